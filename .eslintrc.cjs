@@ -0,0 +1,27 @@
+module.exports = {
+    'root': true,
+    'env': {
+        'browser': true,
+        'es2022': true
+    },
+    'extends': 'eslint:recommended',
+    'parserOptions': {
+        'ecmaVersion': 'latest',
+        'sourceType': 'module'
+    },
+    'rules': {
+        'no-unused-vars': ['error', { 'args': 'none' }],
+        'no-constant-condition': ['error', { 'checkLoops': false }],
+        'no-prototype-builtins': 'off'
+    },
+    'overrides': [
+        {
+            // These functions are converted to source text and run as classic worker scripts, where they use
+            // variables of the worker's global scope
+            'files': ['src/worker/SortWorker.js', 'src/splattree/SplatTree.js'],
+            'rules': {
+                'no-undef': 'off'
+            }
+        }
+    ]
+};
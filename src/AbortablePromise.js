@@ -44,6 +44,9 @@ export class AbortablePromise {
                 if (onResolveResult instanceof Promise || onResolveResult instanceof AbortablePromise) {
                     onResolveResult.then((...args2) => {
                         resolve(...args2);
+                    })
+                    .catch((error) => {
+                        reject(error);
                     });
                 } else {
                     resolve(onResolveResult);
@@ -64,8 +67,8 @@ export class AbortablePromise {
         }, this.abortHandler);
     }
 
-    abort() {
-        if (this.abortHandler) this.abortHandler();
+    abort(reason) {
+        if (this.abortHandler) this.abortHandler(reason);
     }
 
 }
@@ -0,0 +1,4 @@
+export const ControlsMode = {
+    Orbit: 0,
+    Walk: 1
+};
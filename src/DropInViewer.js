@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { Viewer } from './Viewer.js';
+import { ViewerEvent } from './ViewerEvent.js';
 
 /**
  * DropInViewer: Wrapper for a Viewer instance that enables it to be added to a Three.js scene like
@@ -26,7 +27,7 @@ export class DropInViewer extends THREE.Group {
         this.add(this.callbackMesh);
         this.callbackMesh.onBeforeRender = DropInViewer.onBeforeRender.bind(this, this.viewer);
 
-        this.viewer.onSplatMeshChanged(() => {
+        this.viewer.on(ViewerEvent.SplatMeshChanged, () => {
             this.updateSplatMesh();
         });
 
@@ -23,11 +23,17 @@ import {
     Plane,
     Ray,
     MathUtils,
-    Clock,
     Object3D
 } from 'three';
-import { SplatBuffer } from './loaders/SplatBuffer';
-import { SplatMesh } from './splatmesh/SplatMesh';
+import { NavigationGraphLoader } from './navigation/NavigationGraphLoader.js';
+import { PathFollower } from './navigation/PathFollower.js';
+import { WalkableArea } from './navigation/WalkableArea.js';
+import { GroundPlane } from './navigation/GroundPlane.js';
+import { FloorFollower } from './navigation/FloorFollower.js';
+import { CameraCollider } from './navigation/CameraCollider.js';
+import { WalkMovement } from './navigation/WalkMovement.js';
+import { getCurrentTime, isEditableElement } from './Util.js';
+import { Raycaster } from './raycaster/Raycaster.js';
 
 // OrbitControls performs orbiting, dollying (zooming), and panning.
 // Unlike TrackballControls, it maintains the "up" direction object.up (+Y by default).
@@ -39,6 +45,9 @@ import { SplatMesh } from './splatmesh/SplatMesh';
 const _changeEvent = { type: 'change' };
 const _startEvent = { type: 'start' };
 const _endEvent = { type: 'end' };
+const _pathStartEvent = { type: 'pathstart' };
+const _pathEndEvent = { type: 'pathend' };
+const _pathCancelEvent = { type: 'pathcancel' };
 const _ray = new Ray();
 const _plane = new Plane();
 const TILT_LIMIT = Math.cos( 70 * MathUtils.DEG2RAD );
@@ -54,6 +63,11 @@ class OrbitControls extends EventDispatcher {
         this.viewer = viewer;  // Viewer 인스턴스 저장
         this.graphConnections = null; // graphConnections 초기화
         this.graphPoints = null; // graphPoints 초기화
+        this.navigationGraph = null; // 가중치 경로 탐색용 인접 인덱스
+        this.pathFollower = new PathFollower(object); // 스플라인 경로 이동 (speed, turnRate 등은 pathFollower에서 설정)
+        this.lastPathFollowUpdateTime = null;
+        this.pathDestination = null; // 경로 이동 목적지 (포커스 마커 표시용)
+        this.raycaster = new Raycaster(); // 우클릭 목적지 선택용
 
         // Set to false to disable this control
         this.enabled = true;
@@ -105,8 +119,9 @@ class OrbitControls extends EventDispatcher {
         this.autoRotate = false;
         this.autoRotateSpeed = 2.0; // 30 seconds per orbit when fps is 60
 
-        // The four arrow keys
-        this.keys = { LEFT: 'KeyA', UP: 'KeyW', RIGHT: 'KeyD', BOTTOM: 'KeyS' };
+        // The four arrow keys, plus up/down for free-fly mode and sprint
+        this.keys = { LEFT: 'KeyA', UP: 'KeyW', RIGHT: 'KeyD', BOTTOM: 'KeyS', ASCEND: 'KeyE', DESCEND: 'KeyQ',
+                      SPRINT: ['ShiftLeft', 'ShiftRight'] };
 
         // Mouse buttons
         this.mouseButtons = { LEFT: MOUSE.ROTATE, MIDDLE: MOUSE.DOLLY, RIGHT: MOUSE.PAN };
@@ -130,37 +145,28 @@ class OrbitControls extends EventDispatcher {
         // 경계 관련 속성 추가
         this.boundaryPoints = [];
         this.convexHull = [];
+        this.walkableArea = null; // 걸을 수 있는 영역 (구멍이 있는 다각형들)
+        this.groundPlane = new GroundPlane(object.up); // 걷기 이동 평면 (카메라 up 벡터에 수직)
+        this.enableFloorFollowing = false; // 아래쪽 스플랫 표면을 따라 눈높이 유지
+        this.floorFollower = new FloorFollower(); // eyeHeight, maxStepHeight 등은 floorFollower에서 설정
+        this.enableCollision = false; // 불투명한 스플랫과의 충돌 처리
+        this.cameraCollider = new CameraCollider(); // radius, minimumOpacity 등은 cameraCollider에서 설정
         this.enableBoundary = false;
+        this.enableFreeFly = false; // true면 바라보는 방향 그대로 이동하고 Q/E로 상하 이동 (도로, 경계, 바닥 따라가기 무시)
 
         //경로 관련 속성 추가함
         this.t = 0;
         this.testtest = [];
-        this.baseMoveSpeed = 0.5; // 기본 이동 속도
+        this.walkMovement = new WalkMovement({ speed: 0.5 }); // 키보드 이동 속도/가속도 (speed, sprintMultiplier 등)
+        this.lookInput = new Vector2(); // 가상 조이스틱 시점 입력 (x: 오른쪽으로 회전, y: 위를 봄, -1 ~ 1)
+        this.lookSpeed = 2.0; // 시점 입력을 끝까지 밀었을 때의 회전 속도 (rad/s)
         this.curve = null;
         this.isDataLoaded = false;  // 데이터 로드 상태 플래그
         this.isGraphLoaded = false; // 그래프 로드 플래그
         this.boundaryLoad = false; // 그래프 없을 경우 바운더리 플래그
-        this.loadGraphAndPaths()
-            .then(() => {
-                // 데이터가 로드된 후에 isDataLoaded를 true로 설정
-                this.isDataLoaded = true;
-                console.log("3")
-                //requestAnimationFrame(this.animateHandler.bind(this));
-       
-            })
-            .catch((error) => {
-                console.error("Graph and paths loading failed", error);
-                this.boundaryLoad = true;
-                //requestAnimationFrame(this.animateHandler.bind(this));
-            });    
+        // 그래프는 createOrbitControls()가 loadGraphAndPaths()로 불러온다
         this.currentPathIndex = 0; // 현재 경로 인덱스
         this.pathProgress = 0; 
-        // clock을 클래스의 멤버로 정의
-        this.clock = new Clock();
-        this.startTime = null; // 애니메이션 시작 시간 초기화
-        this.isMoving = false; // 애니메이션 진행 여부
-        this.startPosition = new Vector3(); // 시작 위치
-        this.targetPosition = new Vector3(); // 목표 위치
 
         this.graph = new Map(); // 그래프 구조를 저장할 Map
         this.currentNode = null; // 현재 위치한 노드
@@ -173,8 +179,6 @@ class OrbitControls extends EventDispatcher {
         // internals
         //
 
-        const scope = this;
-
         this.STATE = {
             NONE: - 1,
             ROTATE: 0,
@@ -218,17 +222,18 @@ class OrbitControls extends EventDispatcher {
         this.screenSpacePanning = true; // 필요에 따라 설정
         this.panOffset = new Vector3(); // panOffset을 클래스 속성으로 추가
 
-        //0829
-        this.keysPressed = {
-            UP: false,
-            DOWN: false,
-            LEFT: false,
-            RIGHT: false
-        }
         // keydown, keyup 이벤트 리스너
         this.handleKeyDown = this.handleKeyDown.bind(this);
         this.handleKeyUp = this.handleKeyUp.bind(this);
 
+        // 리스너를 제거할 수 있도록 한 번만 바인딩해서 보관 (컨트롤 전환 시 dispose로 정리)
+        this.onContextMenu = this.onContextMenu.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onMouseWheel = this.onMouseWheel.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+
         // 애니메이션
         //this.animate = this.animate.bind(this);
         
@@ -261,36 +266,22 @@ class OrbitControls extends EventDispatcher {
         return this.object.position.distanceTo( this.target );
 
     }
-    animateHandler(event) {
-        // if (this.animationStarted){ 
-        //     console.log(this.isGraphLoaded, this.isDataLoaded);
-        //     return; // 애니메이션 이미 시작된 경우 중복 실행 방지
-        // }
-        if (this.isGraphLoaded && this.isDataLoaded && !this.animationStarted2) {
-            this.animate();
-            //console.log("들어왔다!!")
-            this.animationStarted = true; // 애니메이션 시작 상태 플래그 설정
-        } else if(!this.animationStarted){
-            this.animate2();
-            //console.log("개망함!!", this.animationStarted2)
-            this.animationStarted2 = true; // 애니메이션 시작 상태 플래그 설정
-
-        }
-    }
     listenToKeyEvents( domElement ) {
 
          // keydown, keyup 이벤트 처리 함수 바인딩
-        domElement.addEventListener('keydown', this.handleKeyDown.bind(this));
-        domElement.addEventListener('keyup', this.handleKeyUp.bind(this));
-        domElement.addEventListener('keydown', this.animateHandler.bind(this));
+        this.stopListenToKeyEvents();
+        domElement.addEventListener('keydown', this.handleKeyDown);
+        domElement.addEventListener('keyup', this.handleKeyUp);
 
-        // this._domElementKeyEvents = domElement;
+        this._domElementKeyEvents = domElement;
 
     }
 
     stopListenToKeyEvents() {
 
-        this._domElementKeyEvents.removeEventListener( 'keydown', onKeyDown );
+        if ( this._domElementKeyEvents === null ) return;
+        this._domElementKeyEvents.removeEventListener( 'keydown', this.handleKeyDown );
+        this._domElementKeyEvents.removeEventListener( 'keyup', this.handleKeyUp );
         this._domElementKeyEvents = null;
 
     }
@@ -316,7 +307,7 @@ class OrbitControls extends EventDispatcher {
 
         this.update();
 
-        state = this.STATE.NONE;
+        this.state = this.STATE.NONE;
 
     }
 
@@ -332,6 +323,15 @@ class OrbitControls extends EventDispatcher {
     // this method is exposed, but perhaps it would be better if we can make it private...
     update() {
 
+        // 경로 이동 중이면 카메라 위치와 방향을 먼저 갱신하고, 아니면 키 입력으로 이동한 뒤 바닥 높이를 맞춘다
+        const walkTimeDelta = this.getWalkTimeDelta();
+        this.updatePathFollow(walkTimeDelta);
+        if (!this.pathFollower.isActive()) {
+            this.updateLookInput(walkTimeDelta);
+            this.updateCameraMovement(walkTimeDelta);
+        }
+        this.updateFloorFollowing(walkTimeDelta);
+
         const offset = new Vector3();
     
         // so camera.up is the orbit axis
@@ -341,6 +341,7 @@ class OrbitControls extends EventDispatcher {
         const lastPosition = new Vector3();
         const lastQuaternion = new Quaternion();
         const lastTargetPosition = new Vector3();
+        const dollyMovement = new Vector3();
     
         const twoPI = 2 * Math.PI;
 
@@ -417,7 +418,9 @@ class OrbitControls extends EventDispatcher {
             // rotate offset back to "camera-up-vector-is-up" space
             offset.applyQuaternion(quatInverse);
     
-            position.copy(this.target).add(offset);
+            // 휠/드래그 줌(dolly)으로 생기는 이동도 moveIn/moveOut과 같은 충돌 처리를 거친다
+            dollyMovement.copy(this.target).add(offset).sub(position);
+            this.applyDollyMovement(dollyMovement);
     
             this.object.lookAt(this.target);
     
@@ -437,15 +440,16 @@ class OrbitControls extends EventDispatcher {
                 if (this.object.isPerspectiveCamera) {
                     // move the camera down the pointer ray
                     const prevRadius = offset.length();
-                    newRadius = this.clampDistance(prevRadius * scale);
+                    newRadius = this.clampDistance(prevRadius * this.scale);
                     const radiusDelta = prevRadius - newRadius;
-                    this.object.position.addScaledVector(this.dollyDirection, radiusDelta);
+                    dollyMovement.copy(this.dollyDirection).multiplyScalar(radiusDelta);
+                    this.applyDollyMovement(dollyMovement);
                     this.object.updateMatrixWorld();
                 } else if (this.object.isOrthographicCamera) {
                     const mouseBefore = new Vector3(this.mouse.x, this.mouse.y, 0);
                     mouseBefore.unproject(this.object);
     
-                    this.object.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.object.zoom / scale));
+                    this.object.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.object.zoom / this.scale));
                     this.object.updateProjectionMatrix();
                     zoomChanged = true;
     
@@ -509,18 +513,48 @@ class OrbitControls extends EventDispatcher {
         return executeUpdate;
     }
 
-    dispose() {
-        this.domElement.removeEventListener( 'contextmenu', this.onContextMenu );
-        this.domElement.removeEventListener( 'pointerdown', this.onPointerDown );
-        this.domElement.removeEventListener( 'pointercancel', this.onPointerUp );
-        this.domElement.removeEventListener( 'wheel', this.onMouseWheel );
-        this.domElement.removeEventListener( 'pointermove', this.onPointerMove );
-        this.domElement.removeEventListener( 'pointerup', this.onPointerUp );
-
-        if ( this._domElementKeyEvents !== null ) {
-            this._domElementKeyEvents.removeEventListener( 'keydown', this.onKeyDown );
-            this._domElementKeyEvents = null;
+    getWalkTimeDelta() {
+        const currentTime = getCurrentTime();
+        const timeDelta = this.lastPathFollowUpdateTime === null ? 0 : Math.min(currentTime - this.lastPathFollowUpdateTime, 0.1);
+        this.lastPathFollowUpdateTime = currentTime;
+        return timeDelta;
+    }
+
+    updatePathFollow(timeDelta) {
+        if (this.pathFollower.isActive()) {
+            this.pathFollower.update(timeDelta);
+            this.clearDampedRotation();
+            this.clearDampedPan();
+        }
+    }
+
+    // 그래프 경로 이동 중에는 노드 높이를 그대로 사용하므로 바닥 따라가기를 하지 않는다
+    updateFloorFollowing(timeDelta) {
+        if (!this.enableFloorFollowing || this.enableFreeFly || this.pathFollower.isActive() || this.object.isOrthographicCamera) {
+            this.floorFollower.reset();
+            return;
         }
+        const splatMesh = this.viewer ? this.viewer.splatMesh : null;
+        this.floorFollower.update(this.object, splatMesh, this.getGroundPlane(), timeDelta);
+    }
+
+    isFollowingPath() {
+        return this.pathFollower.isActive();
+    }
+
+    getPathDestination() {
+        return this.pathFollower.isActive() ? this.pathDestination : null;
+    }
+
+    // 사용자가 조작을 시작하면 진행 중인 경로 이동을 취소
+    cancelPathFollow() {
+        this.pathFollower.cancel();
+    }
+
+    dispose() {
+        this.cancelPathFollow();
+        this.removeEventListeners();
+        this.stopListenToKeyEvents();
     }
     getAutoRotationAngle() {
 
@@ -605,77 +639,79 @@ class OrbitControls extends EventDispatcher {
     moveOut() {
         const movementDirection = new Vector3();
         this.object.getWorldDirection(movementDirection);
-        movementDirection.z = 0; // z 구성 요소를 0으로 설정
-        movementDirection.normalize(); // 벡터를 정규화
-        const newPosition = this.object.position.clone().addScaledVector(movementDirection, -0.01); // 새로운 위치 계산
-        // 경계 확인
-        if (!this.isInsideBoundary(newPosition)) {
-            console.log("Boundary reached. Movement blocked.");
-            return; // 경계를 벗어나면 이동하지 않음
-        }
-    
-        // 경계 내에 있을 경우 이동 처리
-        this.object.position.addScaledVector(movementDirection, -0.01);
+        this.getGroundPlane().projectDirection(movementDirection); // 바닥 평면으로 투영 후 정규화
+        // 경계에 닿으면 벽을 따라 미끄러지며 이동
+        this.applyBoundedMovement(movementDirection.multiplyScalar(-0.01));
     }
 
     moveIn() {
         const movementDirection = new Vector3();
         this.object.getWorldDirection(movementDirection);
-        movementDirection.z = 0;
-        movementDirection.normalize();
-    
-        const newPosition = this.object.position.clone().addScaledVector(movementDirection, 0.01); // 새로운 위치 계산
-    
-        // 경계 확인
-        if (!this.isInsideBoundary(newPosition)) {
-            console.log("Boundary reached. Movement blocked.");
-            return; // 경계를 벗어나면 이동하지 않음
-        }
+        this.getGroundPlane().projectDirection(movementDirection);
     
-        // 경계 내에 있을 경우 이동 처리
-        this.object.position.addScaledVector(movementDirection, 0.01);
+        // 경계에 닿으면 벽을 따라 미끄러지며 이동
+        this.applyBoundedMovement(movementDirection.multiplyScalar(0.01));
     }
     
     moveLeft(scale = 1) {
         const movementDirection = new Vector3();
         this.object.getWorldDirection(movementDirection);
-        movementDirection.z = 0;
-        movementDirection.normalize();
+        this.getGroundPlane().projectDirection(movementDirection);
     
         // 왼쪽 방향 벡터 계산
         const leftVector = new Vector3();
         leftVector.crossVectors(movementDirection, this.object.up).normalize();
-        const newPosition = this.object.position.clone().addScaledVector(leftVector, -0.01 * scale); // 새로운 위치 계산
-    
-        // 경계 확인
-        if (!this.isInsideBoundary(newPosition)) {
-            console.log("Boundary reached. Movement blocked.");
-            return; // 경계를 벗어나면 이동하지 않음
-        }
-    
-        // 경계 내에 있을 경우 이동 처리
-        this.object.position.addScaledVector(leftVector, -0.01 * scale);
+        // 경계에 닿으면 벽을 따라 미끄러지며 이동
+        this.applyBoundedMovement(leftVector.multiplyScalar(-0.01 * scale));
     }
     
     moveRight(scale = 1) {
         const movementDirection = new Vector3();
         this.object.getWorldDirection(movementDirection);
-        movementDirection.z = 0;
-        movementDirection.normalize();
+        this.getGroundPlane().projectDirection(movementDirection);
     
         // 오른쪽 방향 벡터 계산
         const rightVector = new Vector3();
         rightVector.crossVectors(movementDirection, this.object.up).normalize();
-        const newPosition = this.object.position.clone().addScaledVector(rightVector, 0.01 * scale); // 새로운 위치 계산
-    
-        // 경계 확인
-        if (!this.isInsideBoundary(newPosition)) {
-            console.log("Boundary reached. Movement blocked.");
-            return; // 경계를 벗어나면 이동하지 않음
+        // 경계에 닿으면 벽을 따라 미끄러지며 이동
+        this.applyBoundedMovement(rightVector.multiplyScalar(0.01 * scale));
+    }
+
+    // 경계 밖으로 나가는 이동은 막지 않고 부딪힌 벽을 따라 미끄러지도록 보정해서 적용
+    // 경계 판정은 바닥 평면 좌표에서 하고, 높이(up 방향) 성분은 그대로 더한다
+    applyBoundedMovement(movement) {
+        this.applyCollision(movement);
+        if (!this.enableBoundary || !this.walkableArea) {
+            this.object.position.add(movement);
+            return;
         }
-    
-        // 경계 내에 있을 경우 이동 처리
-        this.object.position.addScaledVector(rightVector, 0.01 * scale);
+        const groundPlane = this.getGroundPlane();
+        const position = this.object.position;
+        const height = groundPlane.getHeight(position) + groundPlane.getHeight(movement);
+        const from = groundPlane.toPlaneCoordinates(position);
+        const to = groundPlane.toPlaneCoordinates(position.clone().add(movement));
+        const allowed = this.walkableArea.resolveMovement(from, to, new Vector2());
+        groundPlane.fromPlaneCoordinates(allowed, height, position);
+    }
+
+    // 충돌 영역 안으로 들어가는 이동 성분을 제거하고 살짝 밀어낸다 (movement를 직접 수정)
+    applyCollision(movement) {
+        if (!this.enableCollision) return movement;
+        const splatMesh = this.viewer ? this.viewer.splatMesh : null;
+        return this.cameraCollider.resolveMovement(splatMesh, this.object.position, movement);
+    }
+
+    // 충돌 처리를 거쳐 카메라를 이동하고, 충돌로 줄거나 밀려난 만큼 target도 옮겨서 바라보는 방향을 유지한다
+    applyDollyMovement(movement) {
+        const requested = movement.clone();
+        this.applyCollision(movement);
+        this.object.position.add(movement);
+        this.target.add(movement).sub(requested);
+    }
+
+    // 카메라 up 벡터가 바뀌어도(좌우 화살표 등) 항상 현재 up 기준의 평면을 사용
+    getGroundPlane() {
+        return this.groundPlane.setUp(this.object.up);
     }
 
     
@@ -779,47 +815,45 @@ class OrbitControls extends EventDispatcher {
         this.update();
     }
     handleKeyDown(event) {
-        switch (event.code) {
-            case this.keys.UP:
-                this.keysPressed.UP = true;
-                break;
-            case this.keys.BOTTOM:
-                this.keysPressed.DOWN = true;
-                break;
-            case this.keys.LEFT:
-                this.keysPressed.LEFT = true;
-                break;
-            case this.keys.RIGHT:
-                this.keysPressed.RIGHT = true;
-                break;
-        }
-        event.preventDefault();
+        // 페이지의 입력 필드에 타이핑하는 키는 이동 입력으로 쓰지 않는다
+        if (isEditableElement(event.target)) return;
+        const action = this.getKeyAction(event.code);
+        if (action === null) return;
+        // Q/E/Shift는 자유 비행 모드에서만 가로채고, 그 외에는 페이지의 다른 단축키가 쓸 수 있도록 기본 동작을 막지 않는다
+        const ownsKey = WalkMovement.ownsKeyAction(action, this.enableFreeFly);
+        if (ownsKey && action !== WalkMovement.Action.Sprint) this.cancelPathFollow();
+        this.walkMovement.setAction(action, true);
+        if (ownsKey) event.preventDefault();
     }
     
     handleKeyUp(event) {
-        switch (event.code) {
-            case this.keys.UP:
-                this.keysPressed.UP = false;
-                break;
-            case this.keys.BOTTOM:
-                this.keysPressed.DOWN = false;
-                break;
-            case this.keys.LEFT:
-                this.keysPressed.LEFT = false;
-                break;
-            case this.keys.RIGHT:
-                this.keysPressed.RIGHT = false;
-                break;
+        const action = this.getKeyAction(event.code);
+        if (action === null) return;
+        this.walkMovement.setAction(action, false);
+        if (WalkMovement.ownsKeyAction(action, this.enableFreeFly) && !isEditableElement(event.target)) {
+            event.preventDefault();
         }
-        event.preventDefault();
+    }
+
+    // 키 코드를 이동 동작으로 변환 (해당 없으면 null)
+    getKeyAction(code) {
+        const Action = WalkMovement.Action;
+        switch (code) {
+            case this.keys.UP: return Action.Forward;
+            case this.keys.BOTTOM: return Action.Backward;
+            case this.keys.LEFT: return Action.Left;
+            case this.keys.RIGHT: return Action.Right;
+            case this.keys.ASCEND: return Action.Up;
+            case this.keys.DESCEND: return Action.Down;
+        }
+        return this.keys.SPRINT.includes(code) ? Action.Sprint : null;
     }
 
     getForwardDirection() {
         const direction = new Vector3();
         if (this.object && this.object instanceof Object3D) {
             this.object.getWorldDirection(direction);
-            direction.z = 0; // z 값을 유지
-            direction.normalize();
+            this.getGroundPlane().projectDirection(direction); // 바닥 평면 성분만 유지
             return direction;
         } else {
             console.error('Object is not defined or is not an instance of THREE.Object3D');
@@ -836,8 +870,7 @@ class OrbitControls extends EventDispatcher {
         if (this.object && this.object instanceof Object3D) {
             this.object.getWorldDirection(direction);
             const rightDirection = new Vector3().crossVectors(direction, this.object.up);
-            rightDirection.z = 0;
-            rightDirection.normalize();
+            this.getGroundPlane().projectDirection(rightDirection);
             return rightDirection;
         } else {
             console.error('Object is not defined or is not an instance of THREE.Object3D');
@@ -849,51 +882,41 @@ class OrbitControls extends EventDispatcher {
         return this.getRightDirection().negate();
     }
 
-    updateCameraMovementNoneData(deltaTime){
-        const moveSpeed = this.baseMoveSpeed * deltaTime;
-        let movement = new Vector3();
-
-        if (this.keysPressed.UP) {
-            //console.log("roads가 false다")
-            movement = this.getForwardDirection().multiplyScalar(moveSpeed);
-        }
-        if (this.keysPressed.DOWN) {
-            movement = this.getBackwardDirection().multiplyScalar(moveSpeed);
-        }
-        if (this.keysPressed.LEFT) {
-            movement = this.getLeftDirection().multiplyScalar(moveSpeed);
-        }
-        if (this.keysPressed.RIGHT) {
-            movement = this.getRightDirection().multiplyScalar(moveSpeed);
-        }
-        // 이동 후의 예상 위치 계산
-        const newPosition = this.object.position.clone().add(movement).setZ(0); // 2D 좌표화
-        // 경계 확인
-        if (!this.isInsideBoundary(newPosition)) {
-            //console.log("Boundary reached. Movement blocked.");
-            return; // 경계를 벗어나면 이동하지 않음
+    // 키 입력(대각선 포함)을 속도로 바꿔 가속/감속하며 이동 (Shift 달리기, 자유 비행 모드에서는 Q/E 상하 이동)
+    // 이동 결과가 도로/경계/충돌로 막히면 그만큼 속도도 줄인다
+    updateCameraMovement(deltaTime) {
+        if (!this.walkMovement.isMoving()) return;
+        const movement = this.walkMovement.update(this.object, this.getGroundPlane(), this.enableFreeFly, deltaTime, new Vector3());
+        if (movement.lengthSq() === 0) return;
+
+        const startPosition = this.object.position.clone();
+        if (this.enableFreeFly) {
+            this.object.position.add(this.applyCollision(movement));
+        } else if (this.isDataLoaded && this.roads && this.roads.length > 0) {
+            this.applyRoadMovement(movement);
+        } else {
+            // 경계에 닿으면 벽을 따라 미끄러지며 이동
+            this.applyBoundedMovement(movement);
         }
-        this.object.position.add(movement);
+        this.walkMovement.constrainVelocity(this.object.position.clone().sub(startPosition), deltaTime);
     }
-    updateCameraMovement(deltaTime) {
-        const moveSpeed = this.baseMoveSpeed * deltaTime;
-        let movement = new Vector3();
 
-        if (this.keysPressed.UP) {
-            //console.log("roads가 true다")
+    // 가상 조이스틱 등의 아날로그 입력 (-1 ~ 1). 이동은 키보드와 같은 walkMovement로 들어간다
+    setAnalogInput(moveInput, lookInput) {
+        if (moveInput.x !== 0 || moveInput.y !== 0 || lookInput.x !== 0 || lookInput.y !== 0) this.cancelPathFollow();
+        this.walkMovement.setAnalogInput(moveInput.x, moveInput.y);
+        this.lookInput.set(lookInput.x, lookInput.y);
+    }
 
-            movement = this.getForwardDirection().multiplyScalar(moveSpeed);
-        }
-        if (this.keysPressed.DOWN) {
-            movement = this.getBackwardDirection().multiplyScalar(moveSpeed);
-        }
-        if (this.keysPressed.LEFT) {
-            movement = this.getLeftDirection().multiplyScalar(moveSpeed);
-        }
-        if (this.keysPressed.RIGHT) {
-            movement = this.getRightDirection().multiplyScalar(moveSpeed);
-        }
+    updateLookInput(deltaTime) {
+        if (this.lookInput.x === 0 && this.lookInput.y === 0) return;
+        this.rotateLeft(this.lookInput.x * this.lookSpeed * deltaTime);
+        this.rotateUp(-this.lookInput.y * this.lookSpeed * deltaTime);
+    }
 
+    // 그래프가 있으면 도로 폭 안으로만 이동
+    applyRoadMovement(movement) {
+        this.applyCollision(movement);
         const newPosition = this.object.position.clone().add(movement);
         let isWithinRoad = false;
         const roadWidth = 0.2;
@@ -911,75 +934,26 @@ class OrbitControls extends EventDispatcher {
         }
     }
 
+    // 도로 판정은 바닥 평면 좌표에서 한다 (높이 차이는 무시)
     isPointInsideRoad(point, road, roadWidth) {
-        const toPoint = new Vector3().subVectors(point, road.centerStart);
-        const toEnd = new Vector3().subVectors(road.centerEnd, road.centerStart);
+        const groundPlane = this.getGroundPlane();
+        const planePoint = groundPlane.toPlaneCoordinates(point);
+        const start = groundPlane.toPlaneCoordinates(road.centerStart);
+        const end = groundPlane.toPlaneCoordinates(road.centerEnd);
+        const toPoint = new Vector2().subVectors(planePoint, start);
+        const toEnd = new Vector2().subVectors(end, start);
 
         const projection = toPoint.dot(toEnd) / toEnd.lengthSq();
-        if (projection < 0 || projection > 1) {
+        if (!(projection >= 0 && projection <= 1)) {
             return false;
         }
-        const closestPoint = new Vector3().copy(road.centerStart).add(toEnd.multiplyScalar(projection));
+        const closestPoint = new Vector2().copy(start).add(toEnd.multiplyScalar(projection));
 
-        const distance = closestPoint.distanceTo(point);
+        const distance = closestPoint.distanceTo(planePoint);
 
         return distance <= roadWidth / 2;
     }
 
-    animate() {
-        if (this.clock) {
-            const deltaTime = this.clock.getDelta();      
-            //this.updateCameraMovement(deltaTime);      
-            //console.log("isDataLoaded:", this.isDataLoaded, "roads:", this.roads ? this.roads.length : "undefined");
-            console.log("4_yes")
-
-            if (this.isDataLoaded && this.roads && this.roads.length > 0) {
-                this.updateCameraMovement(deltaTime);
-            }
-            if (this.isMoving) {
-                const elapsed = (performance.now() - this.startTime) / 1000;
-                const duration = 1.5;
-                const t = Math.min(elapsed / duration, 1);
-    
-                this.object.position.lerpVectors(this.startPosition, this.targetPosition, t);
-    
-                if (t >= 1) {
-                    this.isMoving = false;
-                }
-            }
-        }
-        requestAnimationFrame(this.animateHandler.bind(this));
-    }
-    animate2() {
-        if(this.isGraphLoaded){
-            console.log("------------------------------------------graph loaded")
-            return;
-        }
-        if (this.clock) {
-            const deltaTime = this.clock.getDelta();      
-            //this.updateCameraMovement(deltaTime);      
-            //console.log("isDataLoaded:", this.isDataLoaded, "roads:", this.roads ? this.roads.length : "undefined");
-
-
-            //console.log("4_no")
-            if (!this.isDataLoaded && !this.roads) {
-                this.updateCameraMovementNoneData(deltaTime);
-            }
-
-            if (this.isMoving) {
-                const elapsed = (performance.now() - this.startTime) / 1000;
-                const duration = 1.5;
-                const t = Math.min(elapsed / duration, 1);
-    
-                this.object.position.lerpVectors(this.startPosition, this.targetPosition, t);
-    
-                if (t >= 1) {
-                    this.isMoving = false;
-                }
-            }
-        }
-        requestAnimationFrame(this.animateHandler.bind(this));
-    }
     handleTouchStartRotate() {
         if (this.pointers.length === 1) {
             this.rotateStart.set(this.pointers[0].pageX, this.pointers[0].pageY);
@@ -1080,18 +1054,19 @@ class OrbitControls extends EventDispatcher {
 
     handleTouchMoveDollyRotate( event ) {
 
-        if ( scope.enableZoom ) this.handleTouchMoveDolly( event );
+        if ( this.enableZoom ) this.handleTouchMoveDolly( event );
 
-        if ( scope.enableRotate ) this.handleTouchMoveRotate( event );
+        if ( this.enableRotate ) this.handleTouchMoveRotate( event );
 
     }
     // Event handlers
     onPointerDown( event ) {
         if ( this.enabled === false ) return;
+        this.cancelPathFollow();
         if ( this.pointers.length === 0 ) {
             this.domElement.setPointerCapture( event.pointerId );
-            this.domElement.addEventListener( 'pointermove', this.onPointerMove.bind(this) );
-            this.domElement.addEventListener( 'pointerup', this.onPointerUp.bind(this) );
+            this.domElement.addEventListener( 'pointermove', this.onPointerMove );
+            this.domElement.addEventListener( 'pointerup', this.onPointerUp );
         }
         this.addPointer( event );
         if ( event.pointerType === 'touch' ) {
@@ -1114,21 +1089,25 @@ class OrbitControls extends EventDispatcher {
         this.removePointer( event );
         if ( this.pointers.length === 0 ) {
             this.domElement.releasePointerCapture( event.pointerId );
-            this.domElement.removeEventListener( 'pointermove', this.onPointerMove.bind(this) );
-            this.domElement.removeEventListener( 'pointerup', this.onPointerUp.bind(this) );
+            this.domElement.removeEventListener( 'pointermove', this.onPointerMove );
+            this.domElement.removeEventListener( 'pointerup', this.onPointerUp );
         }
         this.dispatchEvent( _endEvent );
         this.state = this.STATE.NONE;
     }
 
     onMouseDown( event ) {
+        // 'mousedown' 리스너는 onPointerDown()을 거치지 않으므로 여기서도 확인한다
+        if ( this.enabled === false ) return;
         let mouseAction;
         switch ( event.button ) {
             case 0: mouseAction = this.mouseButtons.LEFT;   break;
             case 1: mouseAction = this.mouseButtons.MIDDLE; break;
             case 2: mouseAction = this.mouseButtons.RIGHT;
-                if(this.originCursor) {
-                    console.log("pick", this.originCursor);
+                // mousedown 리스너도 onMouseDown을 호출하므로 이동은 포인터 이벤트에서만 처리
+                // 클릭한 위치로 스플랫 메시에 레이캐스트해서 목적지를 정하고, 스플랫을 맞히지 못하면 이동하지 않음
+                // (이전에 찍은 위치로 이동하지 않도록)
+                if (event.pointerId !== undefined && this.pickWalkDestination(event)) {
                     this.moveCameraToClosestGraphPoint();
                 }
                 break;
@@ -1190,6 +1169,7 @@ class OrbitControls extends EventDispatcher {
     onMouseWheel( event ) {
         if ( this.enabled === false || this.enableZoom === false || this.state !== this.STATE.NONE ) return;
         event.preventDefault();
+        this.cancelPathFollow();
         this.dispatchEvent( _startEvent );
         this.handleMouseWheel( event );
         this.dispatchEvent( _endEvent );
@@ -1306,74 +1286,72 @@ class OrbitControls extends EventDispatcher {
     
     // Add event listeners
     addEventListeners() {
-        this.domElement.addEventListener('contextmenu', this.onContextMenu.bind(this));
-        this.domElement.addEventListener('pointerdown', this.onPointerDown.bind(this));
-        this.domElement.addEventListener('pointercancel', this.onPointerUp.bind(this));
-        this.domElement.addEventListener('wheel', this.onMouseWheel.bind(this), { passive: false });
-        this.domElement.addEventListener('mousedown', this.onMouseDown.bind(this));
+        this.domElement.addEventListener('contextmenu', this.onContextMenu);
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointercancel', this.onPointerUp);
+        this.domElement.addEventListener('wheel', this.onMouseWheel, { passive: false });
+        this.domElement.addEventListener('mousedown', this.onMouseDown);
     }
     // 이벤트 리스너 제거
     removeEventListeners() {
-        this.domElement.removeEventListener('contextmenu', this.onContextMenu.bind(this));
-        this.domElement.removeEventListener('pointerdown', this.onPointerDown.bind(this));
-        this.domElement.removeEventListener('pointercancel', this.onPointerUp.bind(this));
-        this.domElement.removeEventListener('wheel', this.onMouseWheel.bind(this));
-        this.domElement.removeEventListener('pointermove', this.onPointerMove.bind(this));
-        this.domElement.removeEventListener('pointerup', this.onPointerUp.bind(this));
+        this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+        this.domElement.removeEventListener('wheel', this.onMouseWheel);
+        this.domElement.removeEventListener('mousedown', this.onMouseDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
     }
 
+    // graphCamName이 JSON/GeoJSON 내비게이션 문서면 그것만 읽고, 아니면 기존 텍스트 파일 쌍(점, 간선)을 읽는다
     async loadGraphAndPaths(graphCamName,graphName) {
         if (this.isGraphLoaded) {
             console.log("Data already loaded, skipping");
             return Promise.resolve(true);
         }
+        const navigationDocumentPath = NavigationGraphLoader.isNavigationDocumentPath(graphCamName) ? graphCamName :
+                                       NavigationGraphLoader.isNavigationDocumentPath(graphName) ? graphName : null;
         try {
-            // 경로가 제대로 전달되었는지 확인
-            if (!graphCamName || !graphName) {
-                console.error('Invalid graphCamName or graphName');
-                return Promise.reject("sssssssssssssssssssssssssssssssssssssss");
-            } 
-            console.log("1")
-
-            // 데이터 로드
-            this.graphConnections = await this.loadGraph(graphName);
-            this.graphPoints = await this.loadGraphCam(graphCamName);
-            // 하드코딩
-            // this.graphConnections = await this.loadGraph('assets/data/cafe/cafe_graph.txt');
-            // this.graphPoints = await this.loadGraphCam('assets/data/cafe/cafe_centers.txt');
-            
-            if (!this.graphConnections || this.graphConnections.length === 0) {
-                console.error("Graph Connections are empty or undefined");
-                return Promise.reject(false);
-            }else{
-                console.log("Graph Connections loaded successfully")
+            let navigationGraph;
+            if (navigationDocumentPath) {
+                // 문서 검증 실패(존재하지 않는 노드를 가리키는 간선 등)는 예외로 전달된다
+                navigationGraph = await NavigationGraphLoader.loadFromURL(navigationDocumentPath);
+            } else {
+                // 경로가 제대로 전달되었는지 확인
+                if (!graphCamName || !graphName) {
+                    throw new Error('OrbitControls.loadGraphAndPaths() -> Invalid graphCamName or graphName');
+                }
+                // 기존 텍스트 파일 쌍도 같은 검증을 거친다 (존재하지 않는 노드를 가리키는 간선은 예외)
+                navigationGraph = await NavigationGraphLoader.loadFromLegacyURLs(graphCamName, graphName);
             }
 
-            if (!this.graphPoints || this.graphPoints.length === 0) {
-                console.error("Graph Points are empty or undefined");
-                return Promise.resolve(false);
-            }else {
-                console.log("Graph Points loaded successfully");
+            // 경로 이동에 쓸 수 없는 그래프는 컨트롤에 넣기 전에 거부한다
+            const errors = [];
+            if (!navigationGraph.points || navigationGraph.points.length === 0) errors.push('The graph has no nodes');
+            if (!navigationGraph.connections || navigationGraph.connections.length === 0) errors.push('The graph has no edges');
+            const roads = errors.length === 0 ? this.createRoads(navigationGraph.connections, navigationGraph.points) : [];
+            if (errors.length === 0 && roads.length === 0) errors.push('None of the graph edges form a road');
+            if (errors.length > 0) {
+                throw new Error('OrbitControls.loadGraphAndPaths() -> Invalid navigation graph:\n  ' + errors.join('\n  '));
             }
 
-            this.roads = this.createRoads(this.graphConnections, this.graphPoints);
-            if (!this.roads || this.roads.length === 0) {
-                throw new Error("Roads are empty or undefined");
+            this.navigationGraph = navigationGraph;
+            this.graphConnections = navigationGraph.connections;
+            this.graphPoints = navigationGraph.points;
+            this.roads = roads;
+            // 걸을 수 있는 영역 파일이 먼저 로드됐으면 그것을 우선하고, 없을 때만 노드들의 볼록 껍질을 쓴다
+            if (navigationDocumentPath && !this.walkableArea) {
+                this.setBoundaryPoints(this.graphPoints.map(point => this.getGroundPlane().toPlaneCoordinates(point)));
             }
-
             this.isDataLoaded = true;
-            if(this.roads.length!=0){
-                this.isGraphLoaded = true;
-                console.log(this.roads.length)
-                return Promise.resolve(true); // 명시적으로 true 반환
-            }
-            console.log("Data loaded, starting animation...");
-            console.log("2")
-
+            this.isGraphLoaded = true;
+            return true;
         } catch (error) {
             console.error('Error loading graph and paths:', error);
             this.isDataLoaded = false; // 오류 발생 시 데이터 상태를 명확히
             this.roads = null; // roads 상태도 명확히 초기화
+            this.navigationGraph = null;
+            throw error;
         }
     }
     createRoads = (connections, points) => {
@@ -1396,94 +1374,18 @@ class OrbitControls extends EventDispatcher {
         return roads;
     };
 
-
-    // loadGraph, loadGraphCam 메서드는 기존과 동일
-    async loadGraphCam(filePath){
-        try {
-            console.log('Attempting to load file from:', filePath); // 경로 확인용 로그
-
-            const response = await fetch(filePath);
-            if (!response.ok) {
-                throw new Error('Failed to fetch file: ' + filePath);
-            }
-            const text = await response.text();
-            // HTML이 포함된 파일이 아닌지 확인 (기본적으로 텍스트 파일이어야 함)
-            if (text.includes('<html>')) {
-                throw new Error('Loaded file is an HTML file. Expected a text file.');
-            }
-            // const points = text.split('\n').map(line => {
-            //     const [x, y, z] = line.split(' ').map(Number);
-            //     return new Vector3(x, y, z); // THREE.Vector3로 변경
-            // });
-
-            // //console.log('Loaded graphCam points:', points); // 로그 출력
-            // return points;
-            const points = text.split('\n').map((line, index) => {
-                const trimmedLine = line.trim(); // 공백 제거
-                if (trimmedLine === '') return null; // 빈 줄은 무시
-    
-                const coords = trimmedLine.split(' ').map(Number); // 공백 기준으로 분리
-                if (coords.length === 3 && coords.every(num => !isNaN(num))) {
-                    // x, y, z가 모두 숫자일 때만 Vector3로 변환
-                    return new Vector3(...coords);
-                } else {
-                    // 유효하지 않은 데이터는 null 반환
-                    console.warn(`Invalid line skipped at index ${index}: ${trimmedLine}`);
-                    return null;
-                }
-            }).filter(point => point !== null); // null 값을 제거
-
-            return points;
-        } catch (error) {
-            console.error('Error loading graphCam:', error);
-            return []; // 오류 발생 시 빈 배열 반환
-
-        }
+    // 그래프 편집기 등에서 만든 그래프로 교체 (진행 중인 경로 이동은 취소, null이면 그래프 제거)
+    setNavigationGraph(navigationGraph) {
+        this.cancelPathFollow();
+        this.navigationGraph = navigationGraph;
+        this.graphPoints = navigationGraph ? navigationGraph.points : null;
+        this.graphConnections = navigationGraph ? navigationGraph.connections : null;
+        this.roads = navigationGraph ? this.createRoads(this.graphConnections, this.graphPoints) : null;
+        this.isDataLoaded = !!navigationGraph;
+        this.isGraphLoaded = !!navigationGraph;
     }
 
-    // graph 데이터를 로드하는 함수
-    async loadGraph(filePath){
-        try {
-            console.log('Attempting to load file from:', filePath); // 경로 확인용 로그
-    
-            const response = await fetch(filePath);
-            
-            // 요청이 실패한 경우 에러 처리
-            if (!response.ok) {
-                throw new Error('Failed to fetch file: ' + filePath);
-            }
-    
-            // 응답의 Content-Type이 텍스트 파일인지 확인
-            const contentType = response.headers.get("Content-Type");
-            if (!contentType || !contentType.includes("text/plain")) {
-                //throw new Error('Expected a plain text file, but got: ' + contentType);
-            }
-    
-            const text = await response.text();
-    
-            const connections = text.split('\n').map((line, index) => {
-                line = line.trim(); // 공백 제거 및 빈 줄 체크
-    
-                if (line === '') return null; // 빈 줄이면 null 반환
-    
-                const parts = line.split(' ').map(Number); // 공백으로 나눈 후 숫자로 변환
-                
-                // 유효성 검사: parts 배열이 길이 2가 아니거나, NaN이 포함된 경우 건너뜀
-                if (parts.length !== 2 || isNaN(parts[0]) || isNaN(parts[1])) {
-                    console.warn(`Invalid line skipped at index ${index}: ${line}`); // 잘못된 줄을 건너뜀
-                    return null;
-                }
-    
-                return { from: parts[0], to: parts[1] };
-            }).filter(conn => conn !== null); // 유효하지 않은 연결을 필터링
-    
-            // console.log('Loaded graph connections:', connections); // 로그 출력
-            return connections;
-        } catch (error) {
-            console.error('Error loading graph:', error);
-            return null;
-        }
-    }
+
     async raypoint(originCursor) {
         // origin 값이 전달되었는지 확인
         if (originCursor) {
@@ -1532,129 +1434,105 @@ class OrbitControls extends EventDispatcher {
         }
         return totalPath.reverse(); // 경로를 역순으로 반환
     }
-    // // 다익스트라
-    // calculateShortestPath(graphConnections, graphPoints, startIdx, targetIdx) {
-    //     const distances = Array(graphPoints.length).fill(Infinity);
-    //     const previousNodes = Array(graphPoints.length).fill(null);
-    //     const visited = new Set();
-    //     const queue = [];
-    
-    //     // 시작점의 거리와 초기화
-    //     distances[startIdx] = 0;
-    //     queue.push({ index: startIdx, distance: 0 });
-
-    //     while (queue.length > 0) {
-    //         // 우선순위 큐처럼 사용
-    //         const { index: currentIdx } = queue.shift();
-    //         if (visited.has(currentIdx)) continue;
-    //         visited.add(currentIdx);
-    
-    //         // 현재 노드와 연결된 모든 이웃을 확인
-    //         graphConnections.forEach(({ from, to }) => {
-    //             if (from === currentIdx || to === currentIdx) {
-    //                 const neighborIdx = (from === currentIdx) ? to : from;
-    //                 const distance = graphPoints[currentIdx].distanceTo(graphPoints[neighborIdx]);
-    
-    //                 // 더 짧은 경로를 찾으면 업데이트
-    //                 if (distances[currentIdx] + distance < distances[neighborIdx]) {
-    //                     distances[neighborIdx] = distances[currentIdx] + distance;
-    //                     previousNodes[neighborIdx] = currentIdx;
-    //                     queue.push({ index: neighborIdx, distance: distances[neighborIdx] });
-    //                 }
-    //             }
-    //         });
-    //     }
-    
-    //     // 목표점에서 시작하여 역으로 경로를 추적
-    //     const path = [];
-    //     for (let at = targetIdx; at !== null; at = previousNodes[at]) {
-    //         path.push(at);
-    //     }
-    //     return path.reverse(); // 경로는 역순으로 저장되므로 뒤집어 반환
-    // }
+    // 간선 길이(유클리드 거리 x 비용 배율)를 고려한 최단 경로 (A*)
+    calculateShortestPath(startIdx, targetIdx) {
+        if (!this.navigationGraph) {
+            return this.calculateShortestPathBFS(this.graphConnections, this.graphPoints, startIdx, targetIdx);
+        }
+        return this.navigationGraph.findShortestPath(startIdx, targetIdx);
+    }
+
+    // 화면 좌표로 스플랫 메시에 레이캐스트해서 originCursor를 설정
+    pickWalkDestination(event) {
+        const splatMesh = this.viewer ? this.viewer.splatMesh : null;
+        if (!splatMesh || !splatMesh.getSplatTree()) return false;
+
+        const screenPosition = new Vector2(event.offsetX, event.offsetY);
+        const screenDimensions = new Vector2(this.domElement.clientWidth, this.domElement.clientHeight);
+        if (screenDimensions.x === 0 || screenDimensions.y === 0) return false;
+
+        const outHits = [];
+        this.raycaster.setFromCameraAndScreenPosition(this.object, screenPosition, screenDimensions);
+        this.raycaster.intersectSplatMesh(splatMesh, outHits);
+        if (outHits.length === 0) return false;
+
+        this.originCursor = outHits[0].origin.clone();
+        return true;
+    }
 
     // ray로 찍은 위치와 가장 가까운 그래프포인트 찾기
-    moveCameraToClosestGraphPoint() {
-        if (!this.originCursor || !this.graphPoints) {
+    // 현재 카메라 노드에서 갈 수 있는 노드만 후보로 삼아 끊어진 그래프로 가지 않도록 함
+    // point를 지정하지 않으면 마지막으로 레이캐스트한 originCursor로 이동 (미니맵 클릭 등은 point를 직접 전달)
+    moveCameraToClosestGraphPoint(point = this.originCursor) {
+        if (!point || !this.navigationGraph) {
             console.error("OriginCursor 또는 graphPoints가 정의되지 않았습니다.");
             return;
         }
-    
-        //let closestPoint = null;
-        let closestPointIndex = null;
-        let closestDistance = Infinity;
-    
-        // 가장 가까운 포인트 찾기
-        this.graphPoints.forEach((point, idx) => {
-            const distance = point.distanceTo(this.originCursor); // originCursor와의 거리 계산
-            if (distance < closestDistance) {
-                closestDistance = distance;
-                closestPointIndex = idx;
-                //closestPoint = point;
-            }
-        });
 
         // 현재 카메라 위치에서 가장 가까운 포인트 찾기
-        let currentClosestPointIndex = null;
-        let currentClosestDistance = Infinity;
-        this.graphPoints.forEach((point, idx) => {
-            const distance = point.distanceTo(this.object.position);
-            if (distance < currentClosestDistance) {
-                currentClosestDistance = distance;
-                currentClosestPointIndex = idx;
-            }
-        });
-        if (closestPointIndex !== null && currentClosestPointIndex !== null) {
+        const currentClosestPointIndex = this.navigationGraph.findClosestNode(this.object.position);
+        const reachable = this.navigationGraph.getReachableNodes(currentClosestPointIndex);
+
+        // 도달 가능한 포인트 중 originCursor와 가장 가까운 포인트 찾기
+        const closestPointIndex = this.navigationGraph.findClosestNode(point, idx => reachable.has(idx));
+
+        if (closestPointIndex >= 0 && currentClosestPointIndex >= 0) {
             // 최단 경로 계산 및 카메라 이동 시작
-            const path = this.calculateShortestPathBFS(this.graphConnections, this.graphPoints, currentClosestPointIndex, closestPointIndex);
+            const path = this.calculateShortestPath(currentClosestPointIndex, closestPointIndex);
             this.animateCameraAlongPath(path);
         } else {
             console.error("가까운 포인트를 찾을 수 없습니다.");
         }
-        // // 가장 가까운 포인트로 카메라 이동
-        // if (closestPoint) {
-        //     console.log("가장 가까운 포인트:", closestPoint);
-        //     this.animateCameraToPoint(closestPoint); 
-        //     //this.object.position.set(closestPoint.x, closestPoint.y, closestPoint.z);
-        // } else {
-        //     console.error("가까운 포인트를 찾을 수 없습니다.");
-        // }
-    }
-    // 카메라를 최단 경로로 이동시키는 함수
-    animateCameraAlongPath(path) {
-        if (path.length === 0) return;
-        
-        let index = 0;
-        const duration = 1.5; // 각 구간 이동 시간 (초 단위)
-        const moveToNextPoint = () => {
-            if (index >= path.length - 1) {
-                console.log("카메라 경로 이동 완료");
-                return;
-            }
-
-            const startPoint = this.graphPoints[path[index]];
-            const endPoint = this.graphPoints[path[index + 1]];
-            const startTime = performance.now();
-
-            const animate = (time) => {
-                const elapsed = (time - startTime) / 1000;
-                const t = Math.min(elapsed / duration, 1);
+    }
 
-                // lerp를 사용하여 카메라 위치 보간
-                this.object.position.lerpVectors(startPoint, endPoint, t);
+    // 현재 카메라 위치에서 가장 가까운 노드부터 지정한 노드까지 최단 경로로 이동
+    moveCameraToGraphNode(targetIdx) {
+        if (!this.navigationGraph || !this.navigationGraph.isValidNodeIndex(targetIdx)) {
+            console.error(`Invalid graph node: ${targetIdx}`);
+            return false;
+        }
+        const startIdx = this.navigationGraph.findClosestNode(this.object.position);
+        const path = this.calculateShortestPath(startIdx, targetIdx);
+        if (path.length === 0) {
+            console.error(`No path from graph node ${startIdx} to ${targetIdx}`);
+            return false;
+        }
+        this.animateCameraAlongPath(path);
+        return true;
+    }
 
-                if (t < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    index++;
-                    moveToNextPoint(); // 다음 포인트로 이동
-                }
-            };
+    // 내비게이션 문서에 정의된 이름 있는 웨이포인트로 이동
+    moveCameraToWaypoint(name) {
+        const targetIdx = this.navigationGraph ? this.navigationGraph.getWaypointNode(name) : -1;
+        if (targetIdx < 0) {
+            console.error(`Unknown waypoint: ${name}`);
+            return false;
+        }
+        return this.moveCameraToGraphNode(targetIdx);
+    }
 
-            requestAnimationFrame(animate); // 애니메이션 시작
-        };
+    // 카메라를 최단 경로로 이동시키는 함수 (centripetal Catmull-Rom 스플라인을 일정 속도로 따라감)
+    // 이동 방향을 바라보다가 도착 노드에 lookDirection이 있으면 그 방향으로 돌아선다
+    animateCameraAlongPath(path) {
+        if (path.length === 0) return;
 
-        moveToNextPoint(); // 첫 번째 이동 시작
+        const points = path.map(idx => this.graphPoints[idx]);
+        const destination = this.navigationGraph ? this.navigationGraph.getNode(path[path.length - 1]) : null;
+        const started = this.pathFollower.start(points, {
+            finalHeading: destination ? destination.lookDirection : null,
+            onComplete: () => {
+                this.pathDestination = null;
+                this.dispatchEvent(_pathEndEvent);
+            },
+            onCancel: () => {
+                this.pathDestination = null;
+                this.dispatchEvent(_pathCancelEvent);
+            }
+        });
+        if (started) {
+            this.pathDestination = points[points.length - 1].clone();
+            this.dispatchEvent(_pathStartEvent);
+        }
     }
     // animateCameraToPoint(targetPoint) {
     //     this.startPosition = this.object.position.clone(); // 현재 카메라 위치
@@ -1666,24 +1544,37 @@ class OrbitControls extends EventDispatcher {
 
 
     // 새로운 메서드 추가 그래프가 없을 때,
+    // .json/.geojson 파일은 걸을 수 있는 영역 다각형(구멍 포함)으로, 그 외 텍스트 파일은 점들의 convex hull로 읽는다
     async loadBoundaryPoints(filePath){
         try {
             console.log(filePath);
+            if (NavigationGraphLoader.isNavigationDocumentPath(filePath)) {
+                this.setWalkableArea(await WalkableArea.loadFromURL(filePath));
+                return;
+            }
             const response = await fetch(filePath);
             const text = await response.text();
             const lines = text.trim().split('\n');
             
-            this.boundaryPoints = lines.map(line => {
+            this.setBoundaryPoints(lines.map(line => {
                 const [x, y, z] = line.split(' ').map(Number);
-                return new Vector2(x, y);
-            });
-            
-            this.calculateConvexHull();
-            this.enableBoundary = true;
+                return this.getGroundPlane().toPlaneCoordinates(new Vector3(x, y, z || 0));
+            }));
         } catch (error) {
             console.error('경계점 로드 중 오류:', error);
         }
-    };
+    }
+
+    setBoundaryPoints(points){
+        this.boundaryPoints = points;
+        this.calculateConvexHull();
+        this.setWalkableArea(WalkableArea.fromOutline(this.convexHull));
+    }
+
+    setWalkableArea(walkableArea){
+        this.walkableArea = walkableArea;
+        this.enableBoundary = true;
+    }
 
     calculateConvexHull(){
         // Graham Scan 알고리즘을 사용한 Convex Hull 계산
@@ -1712,53 +1603,45 @@ class OrbitControls extends EventDispatcher {
             this.convexHull.push(points[i]);
         }
         console.log(this.convexHull)
-    };
+    }
 
     ccw(a, b, c){
         return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
-    };
+    }
 
+    // point는 바닥 평면 좌표(Vector2) 또는 월드 위치(Vector3)
     isInsideBoundary(point){
-        if (!this.enableBoundary) return true;
-
-        const hull = this.convexHull;
-        let inside = false;
-        for (let i = 0, j = hull.length - 1; i < hull.length; j = i++) {
-            const xi = hull[i].x, yi = hull[i].y;
-            const xj = hull[j].x, yj = hull[j].y;
-            
-            const intersect = ((yi > point.y) !== (yj > point.y))
-                && (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
-        }
-        return inside;
-    };
+        if (!this.enableBoundary || !this.walkableArea) return true;
+        if (point.isVector3) point = this.getGroundPlane().toPlaneCoordinates(point);
+        return this.walkableArea.containsPoint(point);
+    }
 
+    // 경계(외곽선 및 구멍)의 가장 가까운 변 위의 점
     getClosestPointOnBoundary(point){
-        const hull = this.convexHull;
-        let closestPoint = hull[0];
-        let minDistance = point.distanceTo(hull[0]);
-
-        for (let i = 1; i < hull.length; i++) {
-            const distance = point.distanceTo(hull[i]);
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestPoint = hull[i];
-            }
-        }
-
+        const closestPoint = new Vector2();
+        if (!this.walkableArea) return closestPoint.copy(point);
+        this.walkableArea.closestPointOnBoundary(point, closestPoint);
         return closestPoint;
-    };
+    }
 
 }
 // OrbitControls 생성 및 초기화 함수
-async function createOrbitControls(camera, domElement, graphCamName, graphName, viewer) {
-    const controls = new OrbitControls(camera, domElement, graphCamName, graphName);
+// graphCamName에는 JSON/GeoJSON 내비게이션 문서 경로를 넘길 수도 있다 (이 경우 graphName은 비워둔다)
+// walkableAreaName을 주면 그 파일을 걸을 수 있는 영역으로 사용한다
+async function createOrbitControls(camera, domElement, graphCamName, graphName, viewer, walkableAreaName) {
+    const controls = new OrbitControls(camera, domElement, viewer);
     //await controls.loadBoundaryPoints(boundaryFilePath);
     console.log(graphName)
 
     controls.loadGraphAndPaths(graphCamName,graphName)
-    controls.loadBoundaryPoints(graphCamName)
+        .catch((error) => {
+            console.error("Graph and paths loading failed", error);
+        });
+    if (walkableAreaName) {
+        controls.loadBoundaryPoints(walkableAreaName)
+    } else if (!NavigationGraphLoader.isNavigationDocumentPath(graphCamName)) {
+        controls.loadBoundaryPoints(graphCamName)
+    }
     return controls;
 }
 
@@ -14,6 +14,12 @@ export class SceneHelper {
         this.controlPlane = null;
         this.debugRoot = null;
         this.secondaryDebugRoot = null;
+        this.navigationGraphRoot = null;
+        this.navigationGraphNodes = null;
+        this.navigationGraphEdges = null;
+        this.navigationGraphPoints = null;
+        this.hotspotRoot = null;
+        this.hotspotMarkers = null;
     }
 
     updateSplatRenderTargetForRenderDimensions(width, height) {
@@ -246,6 +252,224 @@ export class SceneHelper {
 
     }();
 
+    setupNavigationGraphHelpers() {
+        if (!this.navigationGraphRoot) {
+            const edgeMaterial = new THREE.LineBasicMaterial({color: 0x00ccff});
+            edgeMaterial.transparent = true;
+            edgeMaterial.opacity = 0.8;
+            edgeMaterial.depthTest = false;
+            edgeMaterial.depthWrite = false;
+            this.navigationGraphEdges = new THREE.LineSegments(new THREE.BufferGeometry(), edgeMaterial);
+            this.navigationGraphEdges.frustumCulled = false;
+
+            this.navigationGraphRoot = new THREE.Object3D();
+            this.navigationGraphRoot.add(this.navigationGraphEdges);
+            this.navigationGraphPoints = [];
+        }
+    }
+
+    destroyNavigationGraphHelpers() {
+        if (this.navigationGraphRoot) {
+            disposeAllMeshes(this.navigationGraphRoot);
+            this.navigationGraphRoot = null;
+            this.navigationGraphNodes = null;
+            this.navigationGraphEdges = null;
+            this.navigationGraphPoints = null;
+        }
+    }
+
+    setNavigationGraphHelpersVisibility(visible) {
+        this.navigationGraphRoot.visible = visible;
+    }
+
+    /**
+     * Rebuild the navigation graph helpers: a sphere for each node (the selected one highlighted) and a line for
+     * each edge.
+     * @param {Array<THREE.Vector3>} points Node positions
+     * @param {Array<object>} connections Edges, as { from, to }
+     * @param {number} selectedIndex Index of the selected node, or -1
+     */
+    updateNavigationGraphHelpers = function() {
+
+        const nodeColor = new THREE.Color(0xffaa00);
+        const selectedNodeColor = new THREE.Color(0xff2222);
+
+        return function(points, connections, selectedIndex) {
+            let nodes = this.navigationGraphNodes;
+            if (!nodes || nodes.instanceMatrix.count < points.length) {
+                if (nodes) {
+                    this.navigationGraphRoot.remove(nodes);
+                    disposeAllMeshes(nodes);
+                }
+                const capacity = Math.max(64, nodes ? nodes.instanceMatrix.count * 2 : 0, points.length);
+                const nodeMaterial = new THREE.MeshBasicMaterial({color: 0xffffff});
+                nodeMaterial.depthTest = false;
+                nodeMaterial.depthWrite = false;
+                nodes = new THREE.InstancedMesh(new THREE.SphereGeometry(1, 12, 12), nodeMaterial, capacity);
+                nodes.frustumCulled = false;
+                this.navigationGraphRoot.add(nodes);
+                this.navigationGraphNodes = nodes;
+            }
+            nodes.count = points.length;
+            for (let i = 0; i < points.length; i++) {
+                nodes.setColorAt(i, i === selectedIndex ? selectedNodeColor : nodeColor);
+            }
+            if (nodes.instanceColor) nodes.instanceColor.needsUpdate = true;
+            this.navigationGraphPoints = points;
+
+            const edgePositions = [];
+            for (let connection of connections) {
+                const start = points[connection.from];
+                const end = points[connection.to];
+                if (!start || !end) continue;
+                edgePositions.push(start.x, start.y, start.z, end.x, end.y, end.z);
+            }
+            const edges = this.navigationGraphEdges;
+            edges.geometry.dispose();
+            edges.geometry = new THREE.BufferGeometry();
+            edges.geometry.setAttribute('position', new THREE.Float32BufferAttribute(edgePositions, 3));
+        };
+
+    }();
+
+    /**
+     * Size the node spheres so they keep roughly the same size on screen regardless of their distance to the camera.
+     * @param {THREE.Camera} camera The camera the graph is viewed with
+     * @param {number} screenScale Sphere radius as a fraction of the distance to the camera
+     */
+    scaleNavigationGraphNodeHelpers = function() {
+
+        const tempMatrix = new THREE.Matrix4();
+
+        return function(camera, screenScale = 0.01) {
+            const nodes = this.navigationGraphNodes;
+            if (!nodes) return;
+            this.navigationGraphPoints.forEach((point, index) => {
+                const radius = camera.isOrthographicCamera ? screenScale * 100 / camera.zoom :
+                                                             point.distanceTo(camera.position) * screenScale;
+                tempMatrix.makeScale(radius, radius, radius).setPosition(point);
+                nodes.setMatrixAt(index, tempMatrix);
+            });
+            nodes.instanceMatrix.needsUpdate = true;
+        };
+
+    }();
+
+    setupHotspotHelpers() {
+        if (!this.hotspotRoot) {
+            this.hotspotRoot = new THREE.Object3D();
+            this.hotspotMarkers = [];
+        }
+    }
+
+    destroyHotspotHelpers() {
+        if (this.hotspotRoot) {
+            this.clearHotspotHelpers();
+            this.hotspotRoot = null;
+            this.hotspotMarkers = null;
+        }
+    }
+
+    clearHotspotHelpers() {
+        for (let marker of this.hotspotMarkers) {
+            // disposeAllMeshes() leaves textures alone, and every label has its own canvas texture
+            marker.label.material.map.dispose();
+            disposeAllMeshes(marker);
+            this.hotspotRoot.remove(marker);
+        }
+        this.hotspotMarkers = [];
+    }
+
+    setHotspotHelpersVisibility(visible) {
+        this.hotspotRoot.visible = visible;
+    }
+
+    /**
+     * Rebuild the hotspot markers: a ring at each hotspot, an arrow pointing down at it and a label with the
+     * hotspot's icon and text above it. The markers start out hidden, see setHotspotHelperVisibility().
+     * @param {Array<object>} hotspots Hotspots as { position, label, icon }
+     */
+    updateHotspotHelpers(hotspots) {
+        this.clearHotspotHelpers();
+        for (let hotspot of hotspots) {
+            const ringMaterial = new THREE.MeshBasicMaterial({color: 0xffffff, toneMapped: false});
+            ringMaterial.transparent = true;
+            ringMaterial.opacity = 0.85;
+            ringMaterial.depthTest = false;
+            ringMaterial.depthWrite = false;
+            ringMaterial.side = THREE.DoubleSide;
+            const ring = new THREE.Mesh(new THREE.RingGeometry(0.4, 0.55, 48), ringMaterial);
+
+            const arrow = new ArrowHelper(new THREE.Vector3(0, -1, 0), new THREE.Vector3(), 0.6, 0.05, 0xffffff, 0.3, 0.15);
+            arrow.line.material.depthTest = false;
+            arrow.cone.material.depthTest = false;
+
+            const labelTexture = SceneHelper.buildHotspotLabelTexture(hotspot.label, hotspot.icon);
+            const labelMaterial = new THREE.SpriteMaterial({map: labelTexture, depthTest: false, depthWrite: false});
+            const label = new THREE.Sprite(labelMaterial);
+            label.scale.set(labelTexture.image.width / labelTexture.image.height * 0.5, 0.5, 1);
+
+            const marker = new THREE.Object3D();
+            marker.position.copy(hotspot.position);
+            marker.visible = false;
+            marker.add(ring);
+            marker.add(arrow);
+            marker.add(label);
+            marker.ring = ring;
+            marker.arrow = arrow;
+            marker.label = label;
+            this.hotspotRoot.add(marker);
+            this.hotspotMarkers.push(marker);
+        }
+        this.setHotspotHelperHighlight(-1);
+    }
+
+    setHotspotHelperVisibility(index, visible) {
+        this.hotspotMarkers[index].visible = visible;
+    }
+
+    setHotspotHelperHighlight = function() {
+
+        const color = new THREE.Color(0x33ccff);
+        const highlightColor = new THREE.Color(0xffcc00);
+
+        return function(highlightedIndex) {
+            this.hotspotMarkers.forEach((marker, index) => {
+                const markerColor = index === highlightedIndex ? highlightColor : color;
+                marker.ring.material.color.copy(markerColor);
+                marker.arrow.setColor(markerColor);
+                marker.highlighted = index === highlightedIndex;
+            });
+        };
+
+    }();
+
+    /**
+     * Turn the rings toward the camera, point the arrows down along the camera's up vector and size the markers
+     * so they keep roughly the same size on screen. Highlighted markers are drawn a little larger.
+     * @param {THREE.Camera} camera The camera the hotspots are viewed with
+     * @param {number} screenScale Marker size as a fraction of the distance to the camera
+     */
+    orientHotspotHelpers = function() {
+
+        const down = new THREE.Vector3();
+
+        return function(camera, screenScale = 0.04) {
+            down.copy(camera.up).normalize().negate();
+            for (let marker of this.hotspotMarkers) {
+                let scale = camera.isOrthographicCamera ? screenScale * 100 / camera.zoom :
+                                                          marker.position.distanceTo(camera.position) * screenScale;
+                if (marker.highlighted) scale *= 1.25;
+                marker.scale.set(scale, scale, scale);
+                marker.ring.quaternion.copy(camera.quaternion);
+                marker.arrow.position.copy(down).multiplyScalar(-1.4);
+                marker.arrow.setDirection(down);
+                marker.label.position.copy(down).multiplyScalar(-1.8);
+            }
+        };
+
+    }();
+
     addDebugMeshes() {
         this.debugRoot = this.createDebugMeshes();
         this.secondaryDebugRoot = this.createSecondaryDebugMeshes();
@@ -443,11 +667,63 @@ export class SceneHelper {
         return material;
     }
 
+    /**
+     * Draw a hotspot label: the icon (text such as an emoji, or an image URL) followed by the label text on a
+     * rounded background. Image icons are drawn once they have loaded.
+     * @param {string} text Label text
+     * @param {string} icon Icon text or image URL, or null
+     * @return {THREE.CanvasTexture}
+     */
+    static buildHotspotLabelTexture(text, icon) {
+        const fontSize = 40;
+        const padding = 16;
+        const height = fontSize + padding * 2;
+        const font = `${fontSize}px Arial, sans-serif`;
+        const isImageIcon = !!icon && /^data:image\/|\.(png|jpe?g|gif|svg|webp)([?#].*)?$/i.test(icon);
+
+        const canvas = document.createElement('canvas');
+        const context = canvas.getContext('2d');
+        context.font = font;
+        const iconWidth = !icon ? 0 : (isImageIcon ? fontSize : context.measureText(icon).width) + padding / 2;
+        canvas.width = Math.ceil(iconWidth + context.measureText(text).width + padding * 2);
+        canvas.height = height;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const draw = (iconImage) => {
+            context.clearRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            context.beginPath();
+            if (context.roundRect) context.roundRect(0, 0, canvas.width, canvas.height, height / 2);
+            else context.rect(0, 0, canvas.width, canvas.height);
+            context.fill();
+            context.font = font;
+            context.textBaseline = 'middle';
+            context.fillStyle = '#ffffff';
+            if (iconImage) context.drawImage(iconImage, padding, padding, fontSize, fontSize);
+            else if (icon && !isImageIcon) context.fillText(icon, padding, height / 2);
+            context.fillText(text, padding + iconWidth, height / 2);
+            texture.needsUpdate = true;
+        };
+
+        draw(null);
+        if (isImageIcon) {
+            const iconImage = new Image();
+            iconImage.crossOrigin = 'anonymous';
+            iconImage.onload = () => draw(iconImage);
+            iconImage.src = icon;
+        }
+        return texture;
+    }
+
     dispose() {
         this.destroyMeshCursor();
         this.destroyFocusMarker();
         this.destroyDebugMeshes();
         this.destroyControlPlane();
+        this.destroyNavigationGraphHelpers();
+        this.destroyHotspotHelpers();
         this.destroyRenderTargetCopyObjects();
         this.destroySplatRendertarget();
     }
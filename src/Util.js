@@ -54,6 +54,52 @@ export const rgbaArrayToInteger = function(arr, offset) {
     return arr[offset] + (arr[offset + 1] << 8) + (arr[offset + 2] << 16) + (arr[offset + 3] << 24);
 };
 
+// Size of the chunks that in-memory ArrayBuffer sources are streamed in, so that they can be loaded progressively
+const ARRAY_BUFFER_SOURCE_CHUNK_SIZE_BYTES = 1024 * 1024;
+
+const arrayBufferToStream = (buffer) => {
+    let offset = 0;
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= buffer.byteLength) {
+                controller.close();
+                return;
+            }
+            const chunkSize = Math.min(ARRAY_BUFFER_SOURCE_CHUNK_SIZE_BYTES, buffer.byteLength - offset);
+            controller.enqueue(new Uint8Array(buffer, offset, chunkSize));
+            offset += chunkSize;
+        }
+    });
+};
+
+/**
+ * Open a splat scene source for reading. URLs are fetched, while File, Blob, ArrayBuffer and ReadableStream sources are
+ * wrapped in a Response (with a Content-Length header when their size is known), so that all of them can be read the
+ * same way. A Response (e.g. one that LoaderUtils.peekSceneFormat() has already started reading) is used as it is.
+ * @param {string|File|Blob|ArrayBuffer|ReadableStream|Response} source The source to open
+ * @param {AbortSignal} signal Signal that aborts the fetch of a URL
+ * @return {Promise<Response>}
+ */
+export const fetchSource = function(source, signal) {
+    let body;
+    let sizeBytes;
+    if (source instanceof Response) {
+        return Promise.resolve(source);
+    } else if (source instanceof Blob) {
+        body = source.stream();
+        sizeBytes = source.size;
+    } else if (source instanceof ArrayBuffer) {
+        body = arrayBufferToStream(source);
+        sizeBytes = source.byteLength;
+    } else if (source instanceof ReadableStream) {
+        body = source;
+    } else {
+        return fetch(source, { signal });
+    }
+    const headers = sizeBytes !== undefined ? { 'Content-Length': `${sizeBytes}` } : {};
+    return Promise.resolve(new Response(body, { headers }));
+};
+
 export const fetchWithProgress = function(path, onProgress, saveChunks = true) {
 
     const abortController = new AbortController();
@@ -68,7 +114,7 @@ export const fetchWithProgress = function(path, onProgress, saveChunks = true) {
 
     return new AbortablePromise((resolve, reject) => {
         rejectFunc = reject;
-        fetch(path, { signal })
+        fetchSource(path, signal)
         .then(async (data) => {
             const reader = data.body.getReader();
             let bytesDownloaded = 0;
@@ -109,6 +155,8 @@ export const fetchWithProgress = function(path, onProgress, saveChunks = true) {
                     break;
                 }
             }
+            // Aborting stops fetches of URLs, but other sources have to be cancelled explicitly
+            if (aborted) reader.cancel().catch(() => {});
         });
     }, abortHandler);
 
@@ -122,6 +170,13 @@ export const getCurrentTime = function() {
     return performance.now() / 1000;
 };
 
+// Whether keyboard input aimed at the element is text entry, which keyboard shortcuts must leave alone
+export const isEditableElement = (element) => {
+    if (!element) return false;
+    return element.isContentEditable || element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' ||
+           element.tagName === 'SELECT';
+};
+
 export const disposeAllMeshes = (object3D) => {
     if (object3D.geometry) {
         object3D.geometry.dispose();
@@ -1,18 +1,31 @@
 import * as THREE from 'three'; 
 import { OrbitControls, createOrbitControls } from './OrbitControls.js'; // createOrbitControls
+import { createWalkControls } from './WalkControls.js';
+import { ControlsMode } from './ControlsMode.js';
+import { GuidedTour } from './navigation/GuidedTour.js';
+import { NavigationGraphEditor } from './navigation/NavigationGraphEditor.js';
+import { NavigationGraphGenerator } from './navigation/NavigationGraphGenerator.js';
+import { NavigationGraphLoader } from './navigation/NavigationGraphLoader.js';
+import { RegionSceneManager } from './navigation/RegionSceneManager.js';
 import { PlyLoader } from './loaders/ply/PlyLoader.js';
 import { SplatLoader } from './loaders/splat/SplatLoader.js';
 import { KSplatLoader } from './loaders/ksplat/KSplatLoader.js';
-import { sceneFormatFromPath } from './loaders/Utils.js';
+import { SpzLoader } from './loaders/spz/SpzLoader.js';
+import { sceneFormatFromSourceName, sceneFormatFromSource, peekSceneFormat } from './loaders/Utils.js';
 import { LoadingSpinner } from './ui/LoadingSpinner.js';
 import { LoadingProgressBar } from './ui/LoadingProgressBar.js';
 import { InfoPanel } from './ui/InfoPanel.js';
+import { VirtualJoysticks } from './ui/VirtualJoysticks.js';
+import { Minimap } from './ui/Minimap.js';
+import { Onboarding } from './ui/Onboarding.js';
+import { DropZone } from './ui/DropZone.js';
+import { getString, getPreferredLocale } from './ui/Strings.js';
 import { SceneHelper } from './SceneHelper.js';
 import { Raycaster } from './raycaster/Raycaster.js';
 import { SplatMesh } from './splatmesh/SplatMesh.js';
 import { createSortWorker } from './worker/SortWorker.js';
 import { Constants } from './Constants.js';
-import { getCurrentTime, isIOS, getIOSSemever } from './Util.js';
+import { getCurrentTime, isIOS, getIOSSemever, isEditableElement } from './Util.js';
 import { AbortablePromise, AbortedPromiseError } from './AbortablePromise.js';
 import { SceneFormat } from './loaders/SceneFormat.js';
 import { WebXRMode } from './webxr/WebXRMode.js';
@@ -24,9 +37,14 @@ import { RenderMode } from './RenderMode.js';
 import { LogLevel } from './LogLevel.js';
 import { SceneRevealMode } from './SceneRevealMode.js';
 import { SplatRenderMode } from './SplatRenderMode.js';
+import { ViewerEvent } from './ViewerEvent.js';
 
 const THREE_CAMERA_FOV = 45;
 const MINIMUM_DISTANCE_TO_NEW_FOCAL_POINT = .75;
+const GRAPH_EDITOR_NODE_PICK_DISTANCE = 12;
+const HOTSPOT_PICK_DISTANCE = 28;
+const HOTSPOT_MINIMUM_DISTANCE = .75;
+const HOTSPOT_OCCLUSION_CHECK_INTERVAL = .2;
 const MIN_SPLAT_COUNT_TO_SHOW_SPLAT_TREE_LOADING_SPINNER = 1500000;
 const FOCUS_MARKER_FADE_IN_SPEED = 10.0;
 const FOCUS_MARKER_FADE_OUT_SPEED = 2.5;
@@ -67,6 +85,58 @@ export class Viewer {
         if (options.useBuiltInControls === undefined) options.useBuiltInControls = true;
         this.useBuiltInControls = options.useBuiltInControls;
 
+        // Which built-in controls drive the perspective camera: ControlsMode.Orbit (OrbitControls) or ControlsMode.Walk
+        // (first-person WalkControls). Can be changed later with setControlsMode().
+        if (options.controlsMode === undefined || options.controlsMode === null) options.controlsMode = ControlsMode.Orbit;
+        this.controlsMode = options.controlsMode;
+
+        // Show two on-screen thumbsticks (walk and look) that drive the built-in controls with analog input. Defaults to
+        // true on mobile devices.
+        if (options.virtualJoysticks === undefined || options.virtualJoysticks === null) {
+            options.virtualJoysticks = this.isMobile();
+        }
+        this.useVirtualJoysticks = options.virtualJoysticks;
+
+        // Show a top-down minimap of the splats, walkable area, navigation graph and camera in the top-right corner.
+        // Clicking on it travels along the graph to the clicked spot. Can be toggled with the 'M' key. Default is false.
+        this.showMinimap = options.minimap || false;
+
+        // Language of the built-in UI ('en' or 'ko', or any locale added to Strings). Defaults to the browser's language
+        // when there are strings for it, otherwise English. Can be changed later with setLocale().
+        this.locale = options.locale || getPreferredLocale();
+
+        // Onboarding steps shown over the viewer once the first scene has loaded, until the user dismisses them (which is
+        // remembered in localStorage). Either an array of steps or { steps, storageKey }; each step is an image URL or
+        // { image, title, text, html, device }, where 'device' ('mobile' or 'desktop') limits the step to one kind of
+        // device. See Onboarding. Default is no onboarding.
+        this.onboardingOptions = null;
+        if (options.onboarding) {
+            this.onboardingOptions = Array.isArray(options.onboarding) ? { 'steps': options.onboarding } : options.onboarding;
+        }
+        this.onboarding = null;
+
+        // Load splat files that are dragged and dropped onto the viewer. A plain drop replaces the current scenes, a drop
+        // with Shift held adds to them. Default is false. 'dropSceneOptions' are scene options (as for addSplatScene(),
+        // e.g. 'splatAlphaRemovalThreshold') used for the dropped files.
+        this.enableDropLoading = options.enableDropLoading || false;
+        this.dropSceneOptions = options.dropSceneOptions || {};
+        this.dropZone = null;
+
+        // When the navigation graph declares regions (see NavigationGraphLoader), only the splat scenes of the region the
+        // camera is in are shown, and the scenes of adjacent regions are downloaded ahead of time when
+        // 'prefetchAdjacentRegions' is true (the default). Hiding scenes requires 'enableOptionalEffects: true'.
+        if (options.prefetchAdjacentRegions === undefined || options.prefetchAdjacentRegions === null) {
+            options.prefetchAdjacentRegions = true;
+        }
+        this.regionSceneManager = new RegionSceneManager(this, { 'prefetchAdjacent': options.prefetchAdjacentRegions });
+
+        // Draw the hotspots declared in the navigation document as clickable markers; clicking one travels to its node
+        // along the graph. Hotspots hidden behind splats are not drawn. Default is true.
+        if (options.hotspots === undefined || options.hotspots === null) {
+            options.hotspots = true;
+        }
+        this.showHotspots = options.hotspots;
+
         // parent element of the Three.js renderer canvas
         this.rootElement = options.rootElement;
 
@@ -123,6 +193,7 @@ export class Viewer {
             this.gpuAcceleratedSort = false;
         }
         this.webXRActive = false;
+        this.webXRButton = null;
 
         // if 'renderMode' is RenderMode.Always, then the viewer will rrender the scene on every update. If it is RenderMode.OnChange,
         // it will only render when something in the scene has changed.
@@ -157,7 +228,7 @@ export class Viewer {
         if (options.enableSIMDInSort === undefined || options.enableSIMDInSort === null) options.enableSIMDInSort = true;
         this.enableSIMDInSort = options.enableSIMDInSort;
 
-        // Level to compress PLY files when loading them for direct rendering (not exporting to .ksplat)
+        // Level to compress PLY (and SPZ) files when loading them for direct rendering (not exporting to .ksplat)
         if (options.plyInMemoryCompressionLevel === undefined || options.plyInMemoryCompressionLevel === null) {
             options.plyInMemoryCompressionLevel = 2;
         }
@@ -189,12 +260,34 @@ export class Viewer {
         }
         this.splatRenderMode = options.splatRenderMode;
 
-        this.onSplatMeshChangedCallback = null;
+        // When true, the built-in controls keep the camera 'eyeHeight' above the splat surface below it while walking,
+        // following rises of at most 'maxStepHeight' (so the camera does not climb onto furniture). Default is false.
+        this.floorFollowing = options.floorFollowing || false;
+        if (options.eyeHeight === undefined || options.eyeHeight === null) options.eyeHeight = 1.6;
+        this.eyeHeight = options.eyeHeight;
+        if (options.maxStepHeight === undefined || options.maxStepHeight === null) options.maxStepHeight = 0.35;
+        this.maxStepHeight = options.maxStepHeight;
+
+        // When true, the built-in controls stop the camera from walking or dollying through splats whose alpha (0 - 255) is
+        // at least 'collisionOpacityThreshold', keeping it 'collisionRadius' away from them. Default is false.
+        this.cameraCollision = options.cameraCollision || false;
+        if (options.collisionRadius === undefined || options.collisionRadius === null) options.collisionRadius = 0.25;
+        this.collisionRadius = options.collisionRadius;
+        if (options.collisionOpacityThreshold === undefined || options.collisionOpacityThreshold === null) {
+            options.collisionOpacityThreshold = 200;
+        }
+        this.collisionOpacityThreshold = options.collisionOpacityThreshold;
+
+        // Event listeners by event name, see on() and ViewerEvent
+        this.events = {};
+        this.splatMeshChangedListenerDisposer = null;
         this.createSplatMesh();
 
         this.controls = null;
         this.perspectiveControls = null;
         this.orthographicControls = null;
+        // setupControls() 호출이 겹치지 않도록 이전 호출이 끝난 뒤에 다음 호출을 실행한다
+        this.controlsSetupPromise = Promise.resolve();
 
         this.orthographicCamera = null;
         this.perspectiveCamera = null;
@@ -203,6 +296,20 @@ export class Viewer {
         this.showControlPlane = false;
         this.showInfo = false;
 
+        // Navigation graph editor mode, see setGraphEditorEnabled()
+        this.graphEditor = null;
+        this.graphEditorEnabled = false;
+        this.graphEditorDragNode = -1;
+        this.graphEditorDragControls = null;
+        this.graphEditorDragControlsEnabled = true;
+
+        // Teleport hotspots of the current navigation graph, see updateHotspots()
+        this.hotspots = [];
+        this.hotspotGraph = null;
+        this.hoveredHotspot = -1;
+        this.hotspotOcclusionStale = false;
+        this.lastHotspotOcclusionCheckTime = 0;
+
         this.sceneHelper = null;
 
         this.sortWorker = null;
@@ -246,12 +353,25 @@ export class Viewer {
         this.splatSceneDownloadAndBuildPromise = null;
         this.splatSceneRemovalPromise = null;
 
-        this.loadingSpinner = new LoadingSpinner(null, this.rootElement || document.body);
+        this.loadingSpinner = new LoadingSpinner(null, this.rootElement || document.body, this.locale);
         this.loadingSpinner.hide();
-        this.loadingProgressBar = new LoadingProgressBar(this.rootElement || document.body);
+        this.loadingProgressBar = new LoadingProgressBar(this.rootElement || document.body, this.locale);
         this.loadingProgressBar.hide();
-        this.infoPanel = new InfoPanel(this.rootElement || document.body);
+        this.infoPanel = new InfoPanel(this.rootElement || document.body, this.locale);
         this.infoPanel.hide();
+        this.virtualJoysticks = null;
+        if (this.useVirtualJoysticks && this.useBuiltInControls && this.webXRMode === WebXRMode.None) {
+            this.virtualJoysticks = new VirtualJoysticks(this.rootElement || document.body, (moveInput, lookInput) => {
+                if (this.controls && this.controls.setAnalogInput) this.controls.setAnalogInput(moveInput, lookInput);
+            });
+        }
+        this.minimap = null;
+        if (this.useBuiltInControls && this.webXRMode === WebXRMode.None) {
+            this.minimap = new Minimap(this.rootElement || document.body, (point) => {
+                if (this.controls && this.controls.moveCameraToClosestGraphPoint) this.controls.moveCameraToClosestGraphPoint(point);
+            });
+            if (!this.showMinimap) this.minimap.hide();
+        }
 
         this.usingExternalCamera = (this.dropInMode || this.camera) ? true : false;
         this.usingExternalRenderer = (this.dropInMode || this.renderer) ? true : false;
@@ -264,9 +384,10 @@ export class Viewer {
         this.clustername = '';
         this.graphCamName = '';
         this.graphName = '';
+        this.walkableAreaName = '';
         
         this.downCheck = false; //로딩체크
-        this.events = {}; // 이벤트 저장소
+        this.tour = null;
 
         if (!this.dropInMode) this.init();
         //this.initControls();
@@ -282,7 +403,7 @@ export class Viewer {
                                        this.integerBasedSort, this.antialiased, this.maxScreenSpaceSplatSize, this.logLevel,
                                        this.sphericalHarmonicsDegree);
         this.splatMesh.frustumCulled = false;
-        if (this.onSplatMeshChangedCallback) this.onSplatMeshChangedCallback();
+        this.emit(ViewerEvent.SplatMeshChanged, {});
     }
 
     init() {
@@ -312,10 +433,27 @@ export class Viewer {
         this.sceneHelper.setupMeshCursor();
         this.sceneHelper.setupFocusMarker();
         this.sceneHelper.setupControlPlane();
+        this.sceneHelper.setupNavigationGraphHelpers();
+        this.sceneHelper.setNavigationGraphHelpersVisibility(false);
+        this.sceneHelper.setupHotspotHelpers();
 
         this.loadingProgressBar.setContainer(this.rootElement);
         this.loadingSpinner.setContainer(this.rootElement);
         this.infoPanel.setContainer(this.rootElement);
+        if (this.virtualJoysticks) this.virtualJoysticks.setContainer(this.rootElement);
+        if (this.minimap) this.minimap.setContainer(this.rootElement);
+        if (this.enableDropLoading) {
+            this.dropZone = new DropZone(this.rootElement, {
+                'locale': this.locale,
+                'onDrop': (files, add) => {
+                    this.loadDroppedFiles(files, add)
+                    .catch((error) => {
+                        // Also reported through the 'loadError' event
+                        console.error(error.message);
+                    });
+                }
+            });
+        }
 
         this.initialized = true;
     }
@@ -363,15 +501,18 @@ export class Viewer {
     setupWebXR() {
         if (this.webXRMode) {
             if (this.webXRMode === WebXRMode.VR) {
-                this.rootElement.appendChild(VRButton.createButton(this.renderer));
+                this.webXRButton = VRButton.createButton(this.renderer, this.locale);
             } else if (this.webXRMode === WebXRMode.AR) {
-                this.rootElement.appendChild(ARButton.createButton(this.renderer));
+                this.webXRButton = ARButton.createButton(this.renderer, undefined, this.locale);
             }
+            this.rootElement.appendChild(this.webXRButton);
             this.renderer.xr.addEventListener('sessionstart', (e) => {
                 this.webXRActive = true;
+                this.emit(ViewerEvent.XRSessionStart, {});
             });
             this.renderer.xr.addEventListener('sessionend', (e) => {
                 this.webXRActive = false;
+                this.emit(ViewerEvent.XRSessionEnd, {});
             });
             this.renderer.xr.enabled = true;
             this.camera.position.copy(this.initialCameraPosition);
@@ -388,43 +529,165 @@ export class Viewer {
 
     setBoundName(name){ //setGraphCamName
         this.graphCamName = name;
-        this.setupControls()
+        return this.setupControls();
     }
     setGraphName(name){
         this.graphName = name;
-        this.setupControls()
+        return this.setupControls();
+    }
+    // 걸을 수 있는 영역 파일 지정 (.json/.geojson 다각형, 지정하지 않으면 graphCamName 점들의 convex hull 사용)
+    setWalkableAreaName(name){
+        this.walkableAreaName = name;
+        return this.setupControls();
+    }
+    // JSON/GeoJSON 내비게이션 문서 하나로 그래프를 지정 (setBoundName + setGraphName 대신 사용)
+    setNavigationDocument(path){
+        this.graphCamName = path;
+        this.graphName = '';
+        return this.setupControls();
+    }
+    // 학습 카메라 포즈(COLMAP images.txt 또는 transforms.json)로 그래프를 자동 생성해 컨트롤에 적용한다.
+    // 스플랫 트리로 시야를 확인하므로 장면 로드가 끝난 뒤 호출해야 한다. 생성된 내비게이션 문서를 반환
+    async generateNavigationGraph(posesPath, options = {}){
+        const generator = new NavigationGraphGenerator(options);
+        const positions = await NavigationGraphGenerator.loadCameraPositionsFromURL(posesPath);
+        const navigationDocument = generator.generate(positions, generator.createSplatMeshLineOfSightTest(this.splatMesh));
+        if (this.controls && this.controls.setNavigationGraph) {
+            this.controls.setNavigationGraph(NavigationGraphLoader.parse(navigationDocument));
+        }
+        return navigationDocument;
+    }
+    // 걷기/궤도 컨트롤 전환 (기존 컨트롤을 정리하고 현재 카메라 위치 그대로 새 컨트롤을 만든다)
+    setControlsMode(controlsMode){
+        if (controlsMode === this.controlsMode) return this.controlsSetupPromise;
+        const previousControlsMode = this.controlsMode;
+        this.controlsMode = controlsMode;
+        const setupPromise = this.controls ? this.setupControls() : this.controlsSetupPromise;
+        this.emit(ViewerEvent.ControlsModeChanged, { 'controlsMode': controlsMode, 'previousControlsMode': previousControlsMode });
+        return setupPromise;
+    }
+    getControlsMode(){
+        return this.controlsMode;
+    }
+    // 그래프 편집 모드: 스플랫 표면 클릭으로 노드 추가, 노드 드래그로 이동, Shift+클릭 두 노드로 간선 추가/삭제,
+    // Ctrl+Z / Ctrl+Y(Ctrl+Shift+Z) 실행 취소/다시 실행, Delete로 선택한 노드 삭제. 켤 때 컨트롤의 현재 그래프를 불러온다.
+    setGraphEditorEnabled(enabled){
+        if (enabled === this.graphEditorEnabled) return;
+        this.graphEditorEnabled = enabled;
+        if (enabled) {
+            if (!this.graphEditor) {
+                this.graphEditor = new NavigationGraphEditor();
+                this.graphEditor.onChange = this.onGraphEditorChange.bind(this);
+            }
+            const navigationGraph = this.controls ? this.controls.navigationGraph : null;
+            if (navigationGraph) this.graphEditor.load(navigationGraph.points, navigationGraph.connections, navigationGraph);
+            else this.onGraphEditorChange();
+        } else {
+            this.endGraphEditorDrag();
+        }
+        if (this.sceneHelper) this.sceneHelper.setNavigationGraphHelpersVisibility(enabled);
+        this.forceRenderNextFrame();
     }
-    async setupControls() {
+    isGraphEditorEnabled(){
+        return this.graphEditorEnabled;
+    }
+    getGraphEditor(){
+        return this.graphEditor;
+    }
+    onGraphEditorChange(){
+        if (this.sceneHelper) {
+            this.sceneHelper.updateNavigationGraphHelpers(this.graphEditor.points, this.graphEditor.connections,
+                                                          this.graphEditor.selectedNode);
+        }
+        // 불러오기만 한 경우(편집 기록 없음)는 원본 그래프를 유지하고, 드래그 중에는 드래그가 끝날 때까지 미룬다
+        const edited = this.graphEditor.canUndo() || this.graphEditor.canRedo();
+        if (edited && this.graphEditorDragNode < 0) this.applyGraphEditorToControls();
+        this.forceRenderNextFrame();
+    }
+    // 편집 중인 그래프를 현재 컨트롤에 적용 (바로 경로 이동을 시험해 볼 수 있도록)
+    applyGraphEditorToControls(){
+        if (!this.graphEditor || !this.controls || !this.controls.setNavigationGraph) return;
+        this.controls.setNavigationGraph(this.graphEditor.getNodeCount() > 0 ? this.graphEditor.toNavigationGraph() : null);
+    }
+    // 편집한 그래프를 컨트롤이 읽는 JSON 내비게이션 문서로 내려받는다 (setNavigationDocument()로 다시 불러올 수 있음)
+    downloadNavigationGraph(fileName = 'navigation.json'){
+        if (!this.graphEditor) return;
+        const json = JSON.stringify(this.graphEditor.exportNavigationDocument(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    createPerspectiveControls(camera){
+        const createControls = this.controlsMode === ControlsMode.Walk ? createWalkControls : createOrbitControls;
+        return createControls(camera, this.renderer.domElement, this.graphCamName, this.graphName, this, this.walkableAreaName);
+    }
+    disposeControls(){
+        for (let controls of [this.orthographicControls, this.perspectiveControls]) {
+            if (controls) controls.dispose();
+        }
+        this.orthographicControls = null;
+        this.perspectiveControls = null;
+        this.controls = null;
+        if (this.virtualJoysticks) this.virtualJoysticks.reset();
+    }
+    // 컨트롤 생성은 그래프 파일을 기다리는 비동기 작업이라, 호출이 겹치면 먼저 만든 컨트롤이 정리되지 않고 남는다.
+    // 그래서 각 호출을 이전 호출 뒤에 이어서 실행하고, 이 호출의 컨트롤이 준비되면 끝나는 promise를 반환한다
+    setupControls() {
+        const setup = () => this.createControls();
+        this.controlsSetupPromise = this.controlsSetupPromise.then(setup, setup);
+        return this.controlsSetupPromise;
+    }
+    async createControls() {
+        if (this.isDisposingOrDisposed()) return;
         if (this.useBuiltInControls && this.webXRMode === WebXRMode.None) {
+            // 컨트롤을 다시 만들 때(모드 전환 등)는 초기 시점으로 되돌리지 않고 현재 바라보는 곳을 유지
+            const previousTarget = this.controls ? this.controls.target.clone() : null;
+            this.disposeControls();
             if (!this.usingExternalCamera) {
-                this.perspectiveControls = await createOrbitControls(this.camera, this.renderer.domElement, this.graphCamName, this.graphName, this);
+                this.perspectiveControls = await this.createPerspectiveControls(this.camera);
                 // this.perspectiveControls = await createOrbitControls(this.camera, this.renderer.domElement, 
                 //     this.clustername, this.graphCamName, this.graphName, this);
                 //this.perspectiveControls.visualizeOBB(this.threeScene);
                 //this.perspectiveControls = new OrbitControls(this.perspectiveCamera, this.renderer.domElement);
-                this.orthographicControls = new OrbitControls(this.orthographicCamera, this.renderer.domElement, this.graphCamName, this.graphName, this);
+                this.orthographicControls = new OrbitControls(this.orthographicCamera, this.renderer.domElement, this);
                 // this.orthographicControls = new OrbitControls(this.orthographicCamera, this.renderer.domElement, 
                 //     this.clustername, this.graphCamName, this.graphName);
             } else {
                 if (this.camera.isOrthographicCamera) {
-                    this.orthographicControls = new OrbitControls(this.camera, this.renderer.domElement, this.graphCamName, this.graphName, this);
+                    this.orthographicControls = new OrbitControls(this.camera, this.renderer.domElement, this);
                 } else {
-                    this.perspectiveControls = await createOrbitControls(this.camera, this.renderer.domElement, this.graphCamName, this.graphName, this);
+                    this.perspectiveControls = await this.createPerspectiveControls(this.camera);
                     // this.perspectiveControls = await createOrbitControls(this.camera, this.renderer.domElement, this, 
                     //     this.clustername, this.graphCamName, this.graphName);
                     //this.perspectiveControls.visualizeOBB(this.threeScene);
                     //this.perspectiveControls = new OrbitControls(this.camera, this.renderer.domElement);
                 }
             }
+            if (this.isDisposingOrDisposed()) {
+                this.disposeControls();
+                return;
+            }
             for (let controls of [this.orthographicControls, this.perspectiveControls,]) {
                 if (controls) {
                     controls.listenToKeyEvents(window);
                     controls.rotateSpeed = 0.5;
-                    controls.maxPolarAngle = Math.PI * .52;
-                    controls.minPolarAngle = Math.PI * .48;
+                    // 궤도 컨트롤만 수평 근처로 제한 (걷기 모드는 위아래를 자유롭게 볼 수 있어야 함)
+                    if (controls instanceof OrbitControls) {
+                        controls.maxPolarAngle = Math.PI * .52;
+                        controls.minPolarAngle = Math.PI * .48;
+                    }
                     controls.enableDamping = true;
                     controls.dampingFactor = 0.05;
-                    controls.target.copy(this.initialCameraLookAt);
+                    controls.enableFloorFollowing = this.floorFollowing;
+                    controls.floorFollower.eyeHeight = this.eyeHeight;
+                    controls.floorFollower.maxStepHeight = this.maxStepHeight;
+                    controls.enableCollision = this.cameraCollision;
+                    controls.cameraCollider.radius = this.collisionRadius;
+                    controls.cameraCollider.minimumOpacity = this.collisionOpacityThreshold;
+                    controls.target.copy(previousTarget || this.initialCameraLookAt);
                     controls.update();
                 }
             }
@@ -463,8 +726,14 @@ export class Viewer {
         this.renderMode = renderMode;
     }
 
+    /**
+     * Set the single function to call when the viewer creates a new splat mesh, replacing any previous one. Prefer
+     * on(ViewerEvent.SplatMeshChanged, callback), which allows several listeners.
+     * @param {function} callback Function to call, or null
+     */
     onSplatMeshChanged(callback) {
-        this.onSplatMeshChangedCallback = callback;
+        if (this.splatMeshChangedListenerDisposer) this.splatMeshChangedListenerDisposer();
+        this.splatMeshChangedListenerDisposer = callback ? this.on(ViewerEvent.SplatMeshChanged, () => callback()) : null;
     }
 
     onKeyDown = function() {
@@ -474,6 +743,9 @@ export class Viewer {
         const tempMatrixRight = new THREE.Matrix4();
 
         return function(e) {
+            // 입력 필드에 타이핑 중인 키(Backspace 등)는 뷰어/편집기 단축키로 쓰지 않는다
+            if (isEditableElement(e.target)) return;
+            if (this.graphEditorEnabled && this.onGraphEditorKeyDown(e)) return;
             forward.set(0, 0, -1);
             forward.transformDirection(this.camera.matrixWorld);
             tempMatrixLeft.makeRotationAxis(forward, Math.PI / 128);
@@ -493,6 +765,9 @@ export class Viewer {
                 case 'KeyU':
                     this.showControlPlane = !this.showControlPlane;
                 break;
+                case 'KeyM':
+                    this.setMinimapVisible(!this.showMinimap);
+                break;
                 case 'KeyI':
                     this.showInfo = !this.showInfo;
                     if (this.showInfo) {
@@ -527,13 +802,54 @@ export class Viewer {
     }();
 
 
-    onMouseMove(mouse) {
-        this.mousePosition.set(mouse.offsetX, mouse.offsetY);
-    }
+    onMouseMove = function() {
+
+        const surfacePoint = new THREE.Vector3();
+
+        return function(mouse) {
+            this.mousePosition.set(mouse.offsetX, mouse.offsetY);
+            if (this.graphEditorDragNode >= 0 && this.pickSplatSurfacePoint(this.mousePosition, surfacePoint)) {
+                this.graphEditor.moveNode(this.graphEditorDragNode, surfacePoint);
+            }
+            if (this.hotspots.length > 0) {
+                this.setHoveredHotspot(this.graphEditorEnabled ? -1 : this.pickHotspot(this.mousePosition));
+            }
+        };
+
+    }();
 
-    onMouseDown() {
+    onMouseDown(mouse) {
         this.mouseDownPosition.copy(this.mousePosition);
         this.mouseDownTime = getCurrentTime();
+        if (this.graphEditorEnabled && mouse.button === 0 && !mouse.shiftKey) {
+            const nodeIndex = this.pickGraphEditorNode(this.mousePosition);
+            if (nodeIndex >= 0) {
+                // 노드를 잡으면 컨트롤이 카메라를 돌리지 않도록 이벤트를 여기서 멈추고, preventDefault()로 뒤따르는 호환
+                // mousedown 이벤트도 막는다. 드래그가 끝날 때까지 컨트롤은 꺼 둔다
+                mouse.stopImmediatePropagation();
+                mouse.preventDefault();
+                this.renderer.domElement.setPointerCapture(mouse.pointerId);
+                if (this.controls) {
+                    this.graphEditorDragControls = this.controls;
+                    this.graphEditorDragControlsEnabled = this.controls.enabled;
+                    this.controls.enabled = false;
+                }
+                this.graphEditorDragNode = nodeIndex;
+                this.graphEditor.beginMoveNode(nodeIndex);
+                this.graphEditor.setSelectedNode(nodeIndex);
+            }
+        }
+    }
+
+    endGraphEditorDrag() {
+        if (this.graphEditorDragNode < 0) return;
+        this.graphEditorDragNode = -1;
+        if (this.graphEditorDragControls) {
+            this.graphEditorDragControls.enabled = this.graphEditorDragControlsEnabled;
+            this.graphEditorDragControls = null;
+        }
+        this.graphEditor.endMoveNode();
+        this.onGraphEditorChange();
     }
 
     onMouseUp = function() {
@@ -541,6 +857,11 @@ export class Viewer {
         const clickOffset = new THREE.Vector2();
 
         return function(mouse) {
+            if (this.graphEditorDragNode >= 0) {
+                this.renderer.domElement.releasePointerCapture(mouse.pointerId);
+                this.endGraphEditorDrag();
+                return;
+            }
             clickOffset.copy(this.mousePosition).sub(this.mouseDownPosition);
             const mouseUpTime = getCurrentTime();
             const wasClick = mouseUpTime - this.mouseDownTime < 0.5 && clickOffset.length() < 2;
@@ -553,9 +874,119 @@ export class Viewer {
 
     onMouseClick(mouse) {
         this.mousePosition.set(mouse.offsetX, mouse.offsetY);
+        if (this.graphEditorEnabled && mouse.button === 0) this.onGraphEditorClick(mouse);
+        else if (mouse.button === 0 && this.hotspots.length > 0) {
+            const hotspotIndex = this.pickHotspot(this.mousePosition);
+            if (hotspotIndex >= 0) this.travelToHotspot(hotspotIndex);
+        }
         //this.checkForFocalPointChange();
     }
 
+    onGraphEditorClick = function() {
+
+        const surfacePoint = new THREE.Vector3();
+
+        return function(mouse) {
+            const editor = this.graphEditor;
+            const nodeIndex = this.pickGraphEditorNode(this.mousePosition);
+            if (nodeIndex >= 0) {
+                // Shift+클릭: 선택한 노드와 클릭한 노드 사이 간선을 추가/삭제하고, 클릭한 노드를 선택해 이어서 연결할 수 있게 한다
+                if (mouse.shiftKey && editor.selectedNode >= 0 && editor.selectedNode !== nodeIndex) {
+                    editor.toggleEdge(editor.selectedNode, nodeIndex);
+                }
+                editor.setSelectedNode(nodeIndex);
+            } else if (!mouse.shiftKey && this.pickSplatSurfacePoint(this.mousePosition, surfacePoint)) {
+                editor.addNode(surfacePoint);
+            } else {
+                editor.setSelectedNode(-1);
+            }
+        };
+
+    }();
+
+    onGraphEditorKeyDown(e) {
+        const editor = this.graphEditor;
+        const commandKey = e.ctrlKey || e.metaKey;
+        if (commandKey && e.code === 'KeyZ') {
+            if (e.shiftKey) editor.redo();
+            else editor.undo();
+        } else if (commandKey && e.code === 'KeyY') {
+            editor.redo();
+        } else if ((e.code === 'Delete' || e.code === 'Backspace') && editor.selectedNode >= 0) {
+            editor.removeNode(editor.selectedNode);
+        } else if (e.code === 'Escape') {
+            editor.setSelectedNode(-1);
+        } else {
+            return false;
+        }
+        e.preventDefault();
+        return true;
+    }
+
+    pickGraphEditorNode = function() {
+
+        const renderDimensions = new THREE.Vector2();
+
+        return function(screenPosition) {
+            this.getRenderDimensions(renderDimensions);
+            return this.graphEditor.pickNode(this.camera, screenPosition, renderDimensions, GRAPH_EDITOR_NODE_PICK_DISTANCE);
+        };
+
+    }();
+
+    pickSplatSurfacePoint = function() {
+
+        const renderDimensions = new THREE.Vector2();
+        const outHits = [];
+
+        return function(screenPosition, outPoint) {
+            this.getRenderDimensions(renderDimensions);
+            outHits.length = 0;
+            this.raycaster.setFromCameraAndScreenPosition(this.camera, screenPosition, renderDimensions);
+            this.raycaster.intersectSplatMesh(this.splatMesh, outHits);
+            if (outHits.length === 0) return false;
+            outPoint.copy(outHits[0].origin);
+            return true;
+        };
+
+    }();
+
+    // 화면 위치에서 가장 가까운 (보이는) 핫스팟 찾기, 없으면 -1
+    pickHotspot = function() {
+
+        const renderDimensions = new THREE.Vector2();
+        const projected = new THREE.Vector3();
+
+        return function(screenPosition) {
+            this.getRenderDimensions(renderDimensions);
+            let closestIndex = -1;
+            let closestDistance = HOTSPOT_PICK_DISTANCE;
+            this.hotspots.forEach((hotspot, index) => {
+                if (!hotspot.visible) return;
+                projected.copy(hotspot.position).project(this.camera);
+                if (projected.z < -1 || projected.z > 1) return;
+                const x = (projected.x + 1) / 2 * renderDimensions.x;
+                const y = (1 - projected.y) / 2 * renderDimensions.y;
+                const distance = Math.sqrt((x - screenPosition.x) * (x - screenPosition.x) +
+                                           (y - screenPosition.y) * (y - screenPosition.y));
+                if (distance <= closestDistance) {
+                    closestDistance = distance;
+                    closestIndex = index;
+                }
+            });
+            return closestIndex;
+        };
+
+    }();
+
+    setHoveredHotspot(index) {
+        if (index === this.hoveredHotspot) return;
+        this.hoveredHotspot = index;
+        this.sceneHelper.setHotspotHelperHighlight(index);
+        this.renderer.domElement.style.cursor = index >= 0 ? 'pointer' : '';
+        this.forceRenderNextFrame();
+    }
+
     checkForFocalPointChange = function() {
 
         const renderDimensions = new THREE.Vector2();
@@ -716,9 +1147,83 @@ export class Viewer {
     // getDownCheck() {
     //     return this.downCheck; // downCheck 값을 반환
     // }
+    /**
+     * Listen for a viewer event.
+     * @param {string} event Name of the event, see ViewerEvent
+     * @param {function} listener Function to call with the event's payload
+     * @return {function} Function that removes the listener again
+     */
+    on(event, listener) {
+        if (!this.events[event]) {
+            this.events[event] = [];
+        }
+        this.events[event].push(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Listen for the next occurrence of a viewer event only.
+     * @param {string} event Name of the event, see ViewerEvent
+     * @param {function} listener Function to call with the event's payload
+     * @return {function} Function that removes the listener if the event has not happened yet
+     */
+    once(event, listener) {
+        const onceListener = (...args) => {
+            this.off(event, onceListener);
+            listener(...args);
+        };
+        return this.on(event, onceListener);
+    }
+
+    /**
+     * Stop listening for a viewer event.
+     * @param {string} event Name of the event, see ViewerEvent
+     * @param {function} listener The function passed to on()
+     */
+    off(event, listener) {
+        const listeners = this.events[event];
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index >= 0) listeners.splice(index, 1);
+        if (listeners.length === 0) delete this.events[event];
+    }
+
+    emit(event, ...args) {
+        if (this.events[event]) {
+            // Copied so that listeners can remove themselves (or others) while the event is being delivered
+            for (let listener of this.events[event].slice()) {
+                try {
+                    listener(...args);
+                } catch (e) {
+                    console.error(`Viewer::emit() -> Listener for '${event}' failed:`, e);
+                }
+            }
+        }
+    }
+
+    hasListeners(event) {
+        return !!this.events[event];
+    }
+
+    /**
+     * Create a guided tour over the navigation graph, replacing any existing tour. Call play() on the result to start
+     * it; 'tourStopReached' and 'tourEnded' are emitted as it progresses.
+     * @param {Array} stops Waypoint names, node indexes or { waypoint, node, dwellTime, caption } objects. Defaults to
+     *                      all waypoints of the loaded navigation graph.
+     * @param {object} options Tour options, see GuidedTour
+     * @return {GuidedTour}
+     */
+    createTour(stops, options = {}) {
+        if (this.tour) this.tour.stop();
+        this.tour = new GuidedTour(this, stops, options);
+        return this.tour;
+    }
+
     /**
      * Add a splat scene to the viewer and display any loading UI if appropriate.
-     * @param {string} path Path to splat scene to be loaded
+     * @param {string|File|Blob|ArrayBuffer|ReadableStream} path Path to splat scene to be loaded, or its data. In-memory
+     *                                                           data are loaded the same way (and with the same progress
+     *                                                           reports) as downloads.
      * @param {object} options {
      *
      *         splatAlphaRemovalThreshold: Ignore any splats with an alpha less than the specified
@@ -737,21 +1242,6 @@ export class Viewer {
      * }
      * @return {AbortablePromise}
      */
-
-    on(event, listener) {
-        if (!this.events[event]) {
-            this.events[event] = [];
-        }
-        this.events[event].push(listener);
-    }
-
-    emit(event, ...args) {
-        if (this.events[event]) {
-            this.events[event].forEach(listener => listener(...args));
-        }
-    }
-
-
     addSplatScene(path, options = {}) {
 
         if (this.isLoadingOrUnloading()) {
@@ -767,40 +1257,52 @@ export class Viewer {
             options.progressiveLoad = false;
         }
 
-        const format = (options.format !== undefined && options.format !== null) ? options.format : sceneFormatFromPath(path);
-        const progressiveLoad = Viewer.isProgressivelyLoadable(format) && options.progressiveLoad;
+        const format = (options.format !== undefined && options.format !== null) ? options.format : sceneFormatFromSourceName(path);
+        // A scene whose format cannot be told from its path may still turn out to be progressively loadable
+        const progressiveLoad = (format === null || Viewer.isProgressivelyLoadable(format)) && options.progressiveLoad;
         const showLoadingUI = (options.showLoadingUI !== undefined && options.showLoadingUI !== null) ? options.showLoadingUI : true;
+        const paths = [path];
+        this.emit(ViewerEvent.LoadStart, { 'paths': paths });
         let loadingUITaskId = null;
         if (showLoadingUI) {
             this.loadingSpinner.removeAllTasks();
-            loadingUITaskId = this.loadingSpinner.addTask('다운로드 중');
+            loadingUITaskId = this.loadingSpinner.addTask(getString(this.locale, 'downloading'));
         }
-        const hideLoadingUI = () => {
+        const onLoadException = (error) => {
             this.loadingProgressBar.hide();
             this.loadingSpinner.removeAllTasks();
+            if (!(error instanceof AbortedPromiseError)) {
+                this.emit(ViewerEvent.LoadError, { 'paths': paths, 'error': error });
+            }
         };
 
         const onProgressUIUpdate = (percentComplete, percentCompleteLabel, loaderStatus) => {
             if (showLoadingUI) {
                 if (loaderStatus === LoaderStatus.Downloading) {
                     if (percentComplete == 100) {
-                        this.loadingSpinner.setMessageForTask(loadingUITaskId, '다운로드 완료!');
+                        this.loadingSpinner.setMessageForTask(loadingUITaskId, getString(this.locale, 'downloadComplete'));
                     } else {
                         if (progressiveLoad) {
-                            this.loadingSpinner.setMessageForTask(loadingUITaskId, '실내 불러오는 중');
+                            this.loadingSpinner.setMessageForTask(loadingUITaskId, getString(this.locale, 'processingScene'));
                         } else {
-                            const suffix = percentCompleteLabel ? `: ${percentCompleteLabel}` : `...`;
-                            this.loadingSpinner.setMessageForTask(loadingUITaskId, `Downloading${suffix}`);
+                            const message = percentCompleteLabel ?
+                                            getString(this.locale, 'downloadingPercent', { 'percent': percentCompleteLabel }) :
+                                            getString(this.locale, 'downloading');
+                            this.loadingSpinner.setMessageForTask(loadingUITaskId, message);
                         }
                     }
                 } else if (loaderStatus === LoaderStatus.Processing) {
-                    this.loadingSpinner.setMessageForTask(loadingUITaskId, '실내 불러오는 중');
+                    this.loadingSpinner.setMessageForTask(loadingUITaskId, getString(this.locale, 'processingScene'));
                 }
             }
         };
 
-        let downloadedPercentage = 0;
         const splatBuffersAddedUIUpdate = (firstBuild, finalBuild) => {
+            this.emit(ViewerEvent.SectionBuilt, { 'paths': paths, 'finalBuild': finalBuild });
+            if (finalBuild) {
+                this.emit(ViewerEvent.LoadComplete, { 'paths': paths });
+                this.showOnboarding();
+            }
             if (showLoadingUI) {
                 if (firstBuild && progressiveLoad || finalBuild && !progressiveLoad) {
                     //this.loadingSpinner.removeTask(loadingUITaskId);
@@ -810,8 +1312,6 @@ export class Viewer {
                     if (finalBuild) {
                         this.loadingSpinner.removeTask(loadingUITaskId);
                         this.downCheck = true;
-                        this.emit('sceneLoaded'); // 커스텀 이벤트 발생
-                        //this.addImageUI();
                         //this.loadingProgressBar.hide();
                     } else {
                         //this.loadingProgressBar.setProgress(downloadedPercentage);
@@ -821,13 +1321,18 @@ export class Viewer {
         };
 
         const onProgress = (percentComplete, percentCompleteLabel, loaderStatus) => {
-            downloadedPercentage = percentComplete;
             onProgressUIUpdate(percentComplete, percentCompleteLabel, loaderStatus);
             if (options.onProgress) options.onProgress(percentComplete, percentCompleteLabel, loaderStatus);
+            this.emit(ViewerEvent.LoadProgress, {
+                'paths': paths,
+                'percent': percentComplete,
+                'percentLabel': percentCompleteLabel,
+                'loaderStatus': loaderStatus
+            });
         };
 
         const buildSection = (splatBuffer, firstBuild, finalBuild) => {
-            if (!progressiveLoad && options.onProgress) options.onProgress(0, '0%', LoaderStatus.Processing);
+            if (!progressiveLoad) onProgress(0, '0%', LoaderStatus.Processing);
             const addSplatBufferOptions = {
                 'rotation': options.rotation || options.orientation,
                 'position': options.position,
@@ -837,14 +1342,14 @@ export class Viewer {
             return this.addSplatBuffers([splatBuffer], [addSplatBufferOptions],
                                          finalBuild, firstBuild && showLoadingUI, showLoadingUI,
                                          progressiveLoad, progressiveLoad).then(() => {
-                if (!progressiveLoad && options.onProgress) options.onProgress(100, '100%', LoaderStatus.Processing);
+                if (!progressiveLoad) onProgress(100, '100%', LoaderStatus.Processing);
                 splatBuffersAddedUIUpdate(firstBuild, finalBuild);
             });
         };
 
         const loadFunc = progressiveLoad ? this.downloadAndBuildSingleSplatSceneProgressiveLoad.bind(this) :
                                            this.downloadAndBuildSingleSplatSceneStandardLoad.bind(this);
-        return loadFunc(path, format, options.splatAlphaRemovalThreshold, buildSection.bind(this), onProgress, hideLoadingUI.bind(this));
+        return loadFunc(path, format, options.splatAlphaRemovalThreshold, buildSection.bind(this), onProgress, onLoadException);
     }
     getDownCheck(){
         this.downCheck = true; // 다운로드 완료 시 downCheck 값을 true로 설정
@@ -852,75 +1357,115 @@ export class Viewer {
         return this.downCheck;
     }
 
-    addImageUI(mode) {
-        if (this.imageUI) return; // 이미 UI가 존재하면 추가하지 않음
-
-        const container = this.rootElement;
-        this.imageUI = document.createElement('div');
-        this.imageUI.style.position = 'absolute';
-        this.imageUI.style.top = '0';
-        this.imageUI.style.left = '0';
-        this.imageUI.style.width = '100%';
-        this.imageUI.style.height = '100%';
-        this.imageUI.style.display = 'flex';
-        this.imageUI.style.justifyContent = 'center';
-        this.imageUI.style.alignItems = 'center';
-        this.imageUI.style.zIndex = '1000';
-        this.imageUI.style.cursor = 'pointer';
-        this.imageUI.style.backgroundColor = `rgba(0, 0, 0, 0.4)`; // 반투명 배경
-
-
-        const image = document.createElement('img');
-        if (mode) image.src = 'assets/images/mobile_guide.png'; // 실제 이미지 경로로 변경하세요
-        else image.src = 'assets/images/pc_guide.png'; // 실제 이미지 경로로 변경하세요
-        image.style.maxWidth = '90%';
-        image.style.maxHeight = '90%';
-        image.style.objectFit = 'contain';
-        image.style.opacity = 0.85;
-        image.style.transition = '0.85 0.3s ease';
-
-        this.imageUI.appendChild(image);
-        container.appendChild(this.imageUI);
-
-        this.imageUI.addEventListener('click', this.hideImageUI.bind(this));
-        this.imageUI.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            this.hideImageUI();
-        });
-
-        // 창 크기 변경 시 이미지 크기 조정
-        window.addEventListener('resize', this.resizeImageUI.bind(this));
+    // 내장 UI(로딩 스피너, 진행 막대, 정보 패널, WebXR 버튼, 온보딩)의 언어 변경. 진행 중인 로딩 메시지는 다음 갱신 때 바뀐다
+    setLocale(locale) {
+        this.locale = locale;
+        this.loadingSpinner.setLocale(locale);
+        this.loadingProgressBar.setLocale(locale);
+        this.infoPanel.setLocale(locale);
+        if (this.onboarding) this.onboarding.setLocale(locale);
+        if (this.dropZone) this.dropZone.setLocale(locale);
+        if (this.webXRButton) {
+            if (this.webXRMode === WebXRMode.VR) VRButton.setLocale(this.webXRButton, locale);
+            else ARButton.setLocale(this.webXRButton, locale);
+        }
     }
 
-    resizeImageUI() {
-        if (this.imageUI) {
-            const image = this.imageUI.querySelector('img');
-            const containerWidth = this.rootElement.offsetWidth;
-            const containerHeight = this.rootElement.offsetHeight;
-            const imageAspectRatio = image.naturalWidth / image.naturalHeight;
-            const containerAspectRatio = containerWidth / containerHeight;
+    getLocale() {
+        return this.locale;
+    }
 
-            if (imageAspectRatio > containerAspectRatio) {
-                image.style.width = '90%';
-                image.style.height = 'auto';
-            } else {
-                image.style.width = 'auto';
-                image.style.height = '90%';
-            }
+    // 온보딩 안내 표시 ('onboarding' 옵션의 단계 중 현재 기기(mobile/desktop)에 맞는 것만, 이미 닫았으면 force일 때만)
+    showOnboarding(force = false) {
+        if (!this.onboardingOptions || !this.rootElement) return false;
+        if (!this.onboarding) {
+            const device = this.isMobile() ? 'mobile' : 'desktop';
+            const steps = this.onboardingOptions.steps.filter((step) => !step.device || step.device === device);
+            this.onboarding = new Onboarding(this.rootElement, steps, {
+                'storageKey': this.onboardingOptions.storageKey,
+                'locale': this.locale,
+                'onDismiss': () => this.emit(ViewerEvent.OnboardingDismissed, {})
+            });
         }
+        return this.onboarding.show(force);
     }
 
-    hideImageUI() {
-        if (this.imageUI) {
-            this.imageUI.remove();
-            this.imageUI = null;
-        }
+    hideOnboarding() {
+        if (this.onboarding) this.onboarding.hide();
+    }
+
+    /**
+     * Load files that were dropped onto the viewer ('enableDropLoading'). The format of each file is checked first
+     * (from its name, or else its first bytes): files that are not splat scenes are skipped and reported through the
+     * 'loadError' event, and the current scenes are only replaced once at least one dropped file can be loaded. Drops
+     * that arrive while another load or unload is in progress are ignored.
+     * @param {Array<File>} files Splat scene files
+     * @param {boolean} add Add the files to the current splat scenes instead of replacing them
+     * @return {Promise} Rejects if none of the files is a splat scene or loading fails
+     */
+    loadDroppedFiles(files, add = false) {
+        const isBusy = () => {
+            if (this.isLoadingOrUnloading()) {
+                console.warn('Viewer::loadDroppedFiles() -> Ignoring dropped files, another load or unload is in progress');
+                return true;
+            }
+            return false;
+        };
+        if (files.length === 0 || this.isDisposingOrDisposed() || isBusy()) return Promise.resolve();
+
+        const formatPromises = files.map((file) => {
+            return new Promise((resolve, reject) => {
+                sceneFormatFromSource(file).then(resolve).catch(reject);
+            });
+        });
+        return Promise.all(formatPromises)
+        .then((formats) => {
+            const sceneOptions = [];
+            const unsupportedFiles = [];
+            files.forEach((file, index) => {
+                if (formats[index] === null) unsupportedFiles.push(file);
+                else sceneOptions.push(Object.assign({}, this.dropSceneOptions, { 'path': file, 'format': formats[index] }));
+            });
+            if (unsupportedFiles.length > 0) {
+                const fileNames = unsupportedFiles.map((file) => file.name).join(', ');
+                const error = new Error(`Viewer::loadDroppedFiles() -> Unsupported file format: ${fileNames}`);
+                this.emit(ViewerEvent.LoadError, { 'paths': unsupportedFiles, 'error': error });
+                if (sceneOptions.length === 0) throw error;
+                console.warn(error.message);
+            }
+            // Another load may have started while the files were being checked
+            if (this.isDisposingOrDisposed() || isBusy()) return;
+
+            const droppedFiles = sceneOptions.map((options) => options.path);
+            this.emit(ViewerEvent.FilesDropped, { 'files': droppedFiles, 'add': add });
+
+            const sceneCount = this.splatMesh && this.splatMesh.scenes ? this.splatMesh.scenes.length : 0;
+            const removePromise = !add && sceneCount > 0 ?
+                                  this.removeSplatScenes(Array.from({ length: sceneCount }, (value, index) => index)) :
+                                  Promise.resolve();
+            return removePromise.then(() => {
+                return new Promise((resolve, reject) => {
+                    let loadPromise;
+                    if (sceneOptions.length === 1) {
+                        // Progressive loads are only possible while the viewer is empty
+                        const progressiveLoad = this.splatMesh.scenes.length === 0;
+                        loadPromise = this.addSplatScene(droppedFiles[0],
+                                                         Object.assign({ 'progressiveLoad': progressiveLoad }, sceneOptions[0]));
+                    } else {
+                        loadPromise = this.addSplatScenes(sceneOptions);
+                    }
+                    // AbortablePromise.then() takes no rejection handler, so it cannot be returned to a native promise
+                    loadPromise.then(resolve).catch(reject);
+                });
+            });
+        });
     }
+
     /**
      * Download a single splat scene, convert to splat buffer and then rebuild the viewer's splat mesh
      * by calling 'buildFunc' -- all before displaying the scene. Also sets/clears relevant instance synchronization objects,
      * and calls appropriate functions on success or failure.
-     * @param {string} path Path to splat scene to be loaded
+     * @param {string|File|Blob|ArrayBuffer|ReadableStream} path Path to splat scene to be loaded, or its data
      * @param {SceneFormat} format Format of the splat scene file
      * @param {number} splatAlphaRemovalThreshold Ignore any splats with an alpha less than the specified value (valid range: 0 - 255)
      * @param {function} buildFunc Function to build the viewer's splat mesh with the downloaded splat buffer
@@ -941,7 +1486,7 @@ export class Viewer {
             });
         })
         .catch((e) => {
-            if (onException) onException();
+            if (onException) onException(e);
             downloadAndBuildPromise.reject();
             this.clearSplatSceneDownloadAndBuildPromise();
             this.removeSplatSceneDownloadPromise(downloadPromise);
@@ -960,7 +1505,7 @@ export class Viewer {
      * Download a single splat scene and convert to splat buffer in a progressive manner, allowing rendering as the file downloads.
      * As each section is downloaded, the viewer's splat mesh is rebuilt by calling 'buildFunc'
      * Also sets/clears relevant instance synchronization objects, and calls appropriate functions on success or failure.
-     * @param {string} path Path to splat scene to be loaded
+     * @param {string|File|Blob|ArrayBuffer|ReadableStream} path Path to splat scene to be loaded, or its data
      * @param {SceneFormat} format Format of the splat scene file
      * @param {number} splatAlphaRemovalThreshold Ignore any splats with an alpha less than the specified value (valid range: 0 - 255)
      * @param {function} buildFunc Function to rebuild the viewer's splat mesh after a new splat buffer section is downloaded
@@ -986,7 +1531,9 @@ export class Viewer {
                     if (queuedBuild.firstBuild) {
                         progressiveLoadFirstSectionBuildPromise.reject = null;
                         progressiveLoadFirstSectionBuildPromise.resolve();
-                    } else if (queuedBuild.finalBuild) {
+                    }
+                    // The first build can also be the final one, e.g. for a scene that arrives as a single section
+                    if (queuedBuild.finalBuild) {
                         splatSceneDownloadAndBuildPromise.resolve();
                         this.clearSplatSceneDownloadAndBuildPromise();
                     }
@@ -1041,7 +1588,7 @@ export class Viewer {
      * Add multiple splat scenes to the viewer and display any loading UI if appropriate.
      * @param {Array<object>} sceneOptions Array of per-scene options: {
      *
-     *         path: Path to splat scene to be loaded
+     *         path: Path to splat scene to be loaded, or a File, Blob, ArrayBuffer or ReadableStream with its data
      *
      *         splatAlphaRemovalThreshold: Ignore any splats with an alpha less than the specified
      *                                     value (valid range: 0 - 255), defaults to 1
@@ -1068,11 +1615,13 @@ export class Viewer {
 
         const fileCount = sceneOptions.length;
         const percentComplete = [];
+        const paths = sceneOptions.map((options) => options.path);
+        this.emit(ViewerEvent.LoadStart, { 'paths': paths });
 
         let loadingUITaskId;
         if (showLoadingUI) {
             this.loadingSpinner.removeAllTasks();
-            loadingUITaskId = this.loadingSpinner.addTask('다운로드 중...');
+            loadingUITaskId = this.loadingSpinner.addTask(getString(this.locale, 'downloading'));
         }
 
         const onLoadProgress = (fileIndex, percent, percentLabel, loaderStatus) => {
@@ -1084,10 +1633,17 @@ export class Viewer {
             if (showLoadingUI) {
                 if (loaderStatus === LoaderStatus.Downloading) {
                     this.loadingSpinner.setMessageForTask(loadingUITaskId, totalPercent == 100 ?
-                                                          `다운로드 완료!` : `다운로드: ${percentLabel}`);
+                                                          getString(this.locale, 'downloadComplete') :
+                                                          getString(this.locale, 'downloadingPercent', { 'percent': percentLabel }));
                 }
             }
             if (onProgress) onProgress(totalPercent, percentLabel, loaderStatus);
+            this.emit(ViewerEvent.LoadProgress, {
+                'paths': paths,
+                'percent': totalPercent,
+                'percentLabel': percentLabel,
+                'loaderStatus': loaderStatus
+            });
         };
 
         const downloadPromises = [];
@@ -1095,7 +1651,7 @@ export class Viewer {
         const abortHandlers = [];
         for (let i = 0; i < sceneOptions.length; i++) {
             const options = sceneOptions[i];
-            const format = (options.format !== undefined && options.format !== null) ? options.format : sceneFormatFromPath(options.path);
+            const format = (options.format !== undefined && options.format !== null) ? options.format : sceneFormatFromSourceName(options.path);
             const downloadPromise = this.downloadSplatSceneToSplatBuffer(options.path, options.splatAlphaRemovalThreshold,
                                                                          onLoadProgress.bind(this, i), false, undefined, format);
             abortHandlers.push(downloadPromise.abortHandler);
@@ -1112,6 +1668,8 @@ export class Viewer {
                 this.addSplatBuffers(splatBuffers, sceneOptions, true, showLoadingUI, showLoadingUI, false, false).then(() => {
                     if (onProgress) onProgress(100, '100%', LoaderStatus.Processing);
                     this.clearSplatSceneDownloadAndBuildPromise();
+                    this.emit(ViewerEvent.SectionBuilt, { 'paths': paths, 'finalBuild': true });
+                    this.emit(ViewerEvent.LoadComplete, { 'paths': paths });
                     resolve();
                 });
             })
@@ -1119,7 +1677,9 @@ export class Viewer {
                 if (showLoadingUI) this.loadingSpinner.removeTask(loadingUITaskId);
                 this.clearSplatSceneDownloadAndBuildPromise();
                 if (!(e instanceof AbortedPromiseError)) {
-                    reject(new Error(`Viewer::addSplatScenes -> Could not load one or more splat scenes.`));
+                    const error = new Error(`Viewer::addSplatScenes -> Could not load one or more splat scenes.`);
+                    this.emit(ViewerEvent.LoadError, { 'paths': paths, 'error': error });
+                    reject(error);
                 } else {
                     resolve();
                 }
@@ -1138,19 +1698,23 @@ export class Viewer {
 
     /**
      * Download a splat scene and convert to SplatBuffer instance.
-     * @param {string} path Path to splat scene to be loaded
+     * @param {string|File|Blob|ArrayBuffer|ReadableStream} path Path to splat scene to be loaded, or its data
      * @param {number} splatAlphaRemovalThreshold Ignore any splats with an alpha less than the specified
      *                                            value (valid range: 0 - 255), defaults to 1
      *
      * @param {function} onProgress Function to be called as file data are received
      * @param {boolean} progressiveBuild Construct file sections into splat buffers as they are downloaded
      * @param {function} onSectionBuilt Function to be called when new section is added to the file
-     * @param {string} format File format of the scene
+     * @param {string} format File format of the scene. If it is not given, it is determined from the path or,
+     *                        failing that, from the first bytes of the file.
      * @return {AbortablePromise}
      */
     downloadSplatSceneToSplatBuffer(path, splatAlphaRemovalThreshold = 1, onProgress = undefined,
                                     progressiveBuild = false, onSectionBuilt = undefined, format) {
-        if (format === SceneFormat.Splat) {
+        if (format === undefined || format === null) {
+            return this.sniffAndDownloadSplatSceneToSplatBuffer(path, splatAlphaRemovalThreshold, onProgress,
+                                                                progressiveBuild, onSectionBuilt);
+        } else if (format === SceneFormat.Splat) {
             return SplatLoader.loadFromURL(path, onProgress, progressiveBuild,
                                            onSectionBuilt, splatAlphaRemovalThreshold, 0, false);
         } else if (format === SceneFormat.KSplat) {
@@ -1158,11 +1722,55 @@ export class Viewer {
         } else if (format === SceneFormat.Ply) {
             return PlyLoader.loadFromURL(path, onProgress, progressiveBuild, onSectionBuilt,
                                          splatAlphaRemovalThreshold, this.plyInMemoryCompressionLevel, this.sphericalHarmonicsDegree);
+        } else if (format === SceneFormat.Spz) {
+            return SpzLoader.loadFromURL(path, onProgress, splatAlphaRemovalThreshold, this.plyInMemoryCompressionLevel,
+                                         this.sphericalHarmonicsDegree);
         }
 
         throw new Error(`Viewer::downloadSplatSceneToSplatBuffer -> File format not supported: ${path}`);
     }
 
+    /**
+     * Determine the format of a splat scene from its first bytes with peekSceneFormat() and then load it with
+     * downloadSplatSceneToSplatBuffer(), reading on from the same response so that the scene is only requested once.
+     * Aborting the returned promise aborts whichever of the two is in progress. A scene that turns out not to be
+     * progressively loadable is reported to 'onSectionBuilt' as a single, final section.
+     * @return {AbortablePromise}
+     */
+    sniffAndDownloadSplatSceneToSplatBuffer(path, splatAlphaRemovalThreshold, onProgress, progressiveBuild, onSectionBuilt) {
+        const formatPromise = peekSceneFormat(path);
+        let downloadPromise = null;
+        let aborted = false;
+
+        return new AbortablePromise((resolve, reject) => {
+            formatPromise.then(({ format, response }) => {
+                if (aborted || format === null) response.body.cancel();
+                // The format can arrive just after the load was aborted, when aborting no longer rejects formatPromise
+                if (aborted) {
+                    reject(new AbortedPromiseError('Scene download aborted.'));
+                    return;
+                }
+                if (format === null) {
+                    throw new Error(`Viewer::sniffAndDownloadSplatSceneToSplatBuffer -> Unknown file format: ${path} ` +
+                                    '(not a .ply, .ksplat or .spz file; .splat files need a .splat extension or an explicit format)');
+                }
+                const progressiveFormat = progressiveBuild && Viewer.isProgressivelyLoadable(format);
+                downloadPromise = this.downloadSplatSceneToSplatBuffer(response, splatAlphaRemovalThreshold, onProgress,
+                                                                       progressiveFormat, onSectionBuilt, format);
+                downloadPromise.then((splatBuffer) => {
+                    if (progressiveBuild && !progressiveFormat && onSectionBuilt) onSectionBuilt(splatBuffer, true);
+                    resolve(splatBuffer);
+                })
+                .catch(reject);
+            })
+            .catch(reject);
+        }, (reason) => {
+            aborted = true;
+            if (downloadPromise) downloadPromise.abort(reason);
+            else formatPromise.abort(reason);
+        });
+    }
+
     static isProgressivelyLoadable(format) {
         return format === SceneFormat.Splat || format === SceneFormat.KSplat || format === SceneFormat.Ply;
     }
@@ -1229,7 +1837,7 @@ export class Viewer {
 
             return new Promise((resolve) => {
                 if (showLoadingUI) {
-                    splatProcessingTaskId = this.loadingSpinner.addTask('실내 불러오는 중');
+                    splatProcessingTaskId = this.loadingSpinner.addTask(getString(this.locale, 'processingScene'));
                 }
                 delayedExecute(() => {
                     if (this.isDisposingOrDisposed()) {
@@ -1294,7 +1902,7 @@ export class Viewer {
                 if (showLoadingUIForSplatTreeBuild && splatCount >= MIN_SPLAT_COUNT_TO_SHOW_SPLAT_TREE_LOADING_SPINNER) {
                     if (!finished && !splatOptimizingTaskId) {
                         this.loadingSpinner.setMinimized(true, true);
-                        splatOptimizingTaskId = this.loadingSpinner.addTask('실내 그리는 중...');
+                        splatOptimizingTaskId = this.loadingSpinner.addTask(getString(this.locale, 'optimizingScene'));
                     }
                 }
             };
@@ -1339,6 +1947,7 @@ export class Viewer {
                     this.sortPromiseResolver();
                     this.sortPromiseResolver = null;
                     this.forceRenderNextFrame();
+                    this.emit(ViewerEvent.SortComplete, { 'sortTime': e.data.sortTime, 'splatRenderCount': e.data.splatRenderCount });
                     if (this.runAfterNextSort.length > 0) {
                         this.runAfterNextSort.forEach((func) => {
                             func();
@@ -1414,7 +2023,7 @@ export class Viewer {
             if (showLoadingUI) {
                 this.loadingSpinner.removeAllTasks();
                 this.loadingSpinner.show();
-                revmovalTaskId = this.loadingSpinner.addTask('Removing splat scene...');
+                revmovalTaskId = this.loadingSpinner.addTask(getString(this.locale, 'removingScene'));
             }
 
             const checkAndHideLoadingUI = () => {
@@ -1472,6 +2081,7 @@ export class Viewer {
                 .then(() => {
                     if (checkForEarlyExit()) return;
                     checkAndHideLoadingUI();
+                    this.regionSceneManager.onScenesRemoved(indexesToRemove);
                     this.splatMesh.scenes.forEach((scene, index) => {
                         scene.position.copy(savedSceneTransformComponents[index].position);
                         scene.quaternion.copy(savedSceneTransformComponents[index].quaternion);
@@ -1488,6 +2098,7 @@ export class Viewer {
                         sortPromise = this.sortPromise || Promise.resolve();
                         sortPromise.then(() => {
                             this.splatRenderReady = true;
+                            this.emit(ViewerEvent.SceneRemoved, { 'indexes': indexesToRemove });
                             onDone();
                         });
                     });
@@ -1551,10 +2162,12 @@ export class Viewer {
         this.disposing = true;
         this.disposePromise = Promise.all(waitPromises).finally(() => {
             this.stop();
-            if (this.controls) {
-                this.controls.dispose();
-                this.controls = null;
+            if (this.tour) {
+                this.tour.stop();
+                this.tour = null;
             }
+            this.regionSceneManager.dispose();
+            this.disposeControls();
             if (this.splatMesh) {
                 this.splatMesh.dispose();
                 this.splatMesh = null;
@@ -1575,6 +2188,22 @@ export class Viewer {
             this.loadingProgressBar.hide();
             this.loadingProgressBar.setContainer(null);
             this.infoPanel.setContainer(null);
+            if (this.virtualJoysticks) {
+                this.virtualJoysticks.dispose();
+                this.virtualJoysticks = null;
+            }
+            if (this.minimap) {
+                this.minimap.dispose();
+                this.minimap = null;
+            }
+            if (this.onboarding) {
+                this.onboarding.dispose();
+                this.onboarding = null;
+            }
+            if (this.dropZone) {
+                this.dropZone.dispose();
+                this.dropZone = null;
+            }
 
             this.camera = null;
             this.threeScene = null;
@@ -1598,6 +2227,8 @@ export class Viewer {
             this.sortWorkerTransforms = null;
             this.disposed = true;
             this.disposing = false;
+            this.emit(ViewerEvent.Dispose, {});
+            this.events = {};
         });
         promisesToAbort.forEach((toAbort) => {
             toAbort.abort('Scene disposed');
@@ -1680,6 +2311,14 @@ export class Viewer {
             this.renderer.autoClear = false;
             if (this.sceneHelper.getFocusMarkerOpacity() > 0.0) this.renderer.render(this.sceneHelper.focusMarker, this.camera);
             if (this.showControlPlane) this.renderer.render(this.sceneHelper.controlPlane, this.camera);
+            if (this.hotspots.length > 0 && this.sceneHelper.hotspotRoot.visible) {
+                this.sceneHelper.orientHotspotHelpers(this.camera);
+                this.renderer.render(this.sceneHelper.hotspotRoot, this.camera);
+            }
+            if (this.graphEditorEnabled) {
+                this.sceneHelper.scaleNavigationGraphNodeHelpers(this.camera);
+                this.renderer.render(this.sceneHelper.navigationGraphRoot, this.camera);
+            }
             this.renderer.autoClear = savedAuoClear;
         };
 
@@ -1687,6 +2326,8 @@ export class Viewer {
 
     update(renderer, camera) {
         if (this.dropInMode) this.updateForDropInMode(renderer, camera);
+        // Regions are followed before the first scene is ready, since they may be what loads it
+        if (this.initialized) this.updateRegionScenes();
         if (!this.initialized || !this.splatRenderReady) return;
         if (this.controls) {
             this.controls.update();
@@ -1703,8 +2344,26 @@ export class Viewer {
         this.timingSensitiveUpdates();
         this.updateInfoPanel();
         this.updateControlPlane();
+        this.updateHotspots();
+        this.updateMinimap();
+        this.checkForCameraMovement();
     }
 
+    checkForCameraMovement = function() {
+
+        const lastPosition = new THREE.Vector3();
+        const lastQuaternion = new THREE.Quaternion();
+
+        return function() {
+            if (!this.hasListeners(ViewerEvent.CameraMoved)) return;
+            if (this.camera.position.equals(lastPosition) && this.camera.quaternion.equals(lastQuaternion)) return;
+            lastPosition.copy(this.camera.position);
+            lastQuaternion.copy(this.camera.quaternion);
+            this.emit(ViewerEvent.CameraMoved, { 'position': lastPosition.clone(), 'quaternion': lastQuaternion.clone() });
+        };
+
+    }();
+
     updateForDropInMode(renderer, camera) {
         this.renderer = renderer;
         if (this.splatMesh) this.splatMesh.setRenderer(this.renderer);
@@ -1775,6 +2434,7 @@ export class Viewer {
 
             this.updateCameraTransition(currentTime);
             this.updateFocusMarker(timeDelta);
+            if (this.tour) this.tour.update(timeDelta);
 
             lastUpdateTime = currentTime;
         };
@@ -1808,16 +2468,20 @@ export class Viewer {
     updateFocusMarker = function() {
 
         const renderDimensions = new THREE.Vector2();
+        const focusMarkerPosition = new THREE.Vector3();
         let wasTransitioning = false;
 
         return function(timeDelta) {
             this.getRenderDimensions(renderDimensions);
-            if (this.transitioningCameraTarget) {
+            // While the controls travel along the walk graph, the focus marker sits at the destination node
+            const pathDestination = this.controls && this.controls.getPathDestination ? this.controls.getPathDestination() : null;
+            if (this.transitioningCameraTarget || pathDestination) {
+                focusMarkerPosition.copy(pathDestination || this.nextCameraTarget);
                 this.sceneHelper.setFocusMarkerVisibility(true);
                 const currentFocusMarkerOpacity = Math.max(this.sceneHelper.getFocusMarkerOpacity(), 0.0);
                 let newFocusMarkerOpacity = Math.min(currentFocusMarkerOpacity + FOCUS_MARKER_FADE_IN_SPEED * timeDelta, 1.0);
                 this.sceneHelper.setFocusMarkerOpacity(newFocusMarkerOpacity);
-                this.sceneHelper.updateFocusMarker(this.nextCameraTarget, this.camera, renderDimensions);
+                this.sceneHelper.updateFocusMarker(focusMarkerPosition, this.camera, renderDimensions);
                 wasTransitioning = true;
                 this.forceRenderNextFrame();
             } else {
@@ -1825,7 +2489,7 @@ export class Viewer {
                 if (wasTransitioning) currentFocusMarkerOpacity = 1.0;
                 else currentFocusMarkerOpacity = Math.min(this.sceneHelper.getFocusMarkerOpacity(), 1.0);
                 if (currentFocusMarkerOpacity > 0) {
-                    this.sceneHelper.updateFocusMarker(this.nextCameraTarget, this.camera, renderDimensions);
+                    this.sceneHelper.updateFocusMarker(focusMarkerPosition, this.camera, renderDimensions);
                     let newFocusMarkerOpacity = Math.max(currentFocusMarkerOpacity - FOCUS_MARKER_FADE_OUT_SPEED * timeDelta, 0.0);
                     this.sceneHelper.setFocusMarkerOpacity(newFocusMarkerOpacity);
                     if (newFocusMarkerOpacity === 0.0) this.sceneHelper.setFocusMarkerVisibility(false);
@@ -1883,6 +2547,100 @@ export class Viewer {
 
     }();
 
+    updateRegionScenes() {
+        this.regionSceneManager.setNavigationGraph(this.controls ? this.controls.navigationGraph : null);
+        this.regionSceneManager.update(this.camera.position);
+    }
+
+    getCurrentRegion() {
+        return this.regionSceneManager.getCurrentRegion();
+    }
+
+    // 컨트롤의 그래프가 바뀌면 핫스팟 마커를 다시 만들고, 카메라가 움직이면 스플랫에 가려진 핫스팟을 숨긴다
+    updateHotspots = function() {
+
+        const lastCheckCameraPosition = new THREE.Vector3();
+        const toHotspot = new THREE.Vector3();
+        const outHits = [];
+
+        return function() {
+            const navigationGraph = this.controls ? this.controls.navigationGraph : null;
+            if (navigationGraph !== this.hotspotGraph) {
+                this.hotspotGraph = navigationGraph;
+                this.hotspots = (navigationGraph ? navigationGraph.getHotspots() : [])
+                .filter((hotspot) => navigationGraph.isValidNodeIndex(hotspot.node))
+                .map((hotspot) => {
+                    return Object.assign({}, hotspot, { 'position': navigationGraph.points[hotspot.node], 'visible': false });
+                });
+                this.hoveredHotspot = -1;
+                this.renderer.domElement.style.cursor = '';
+                this.sceneHelper.updateHotspotHelpers(this.hotspots);
+                this.hotspotOcclusionStale = true;
+            }
+            if (this.hotspots.length === 0) return;
+
+            const currentTime = getCurrentTime();
+            const cameraMoved = lastCheckCameraPosition.distanceTo(this.camera.position) > 0.001;
+            if (!this.hotspotOcclusionStale && !cameraMoved) return;
+            if (currentTime - this.lastHotspotOcclusionCheckTime < HOTSPOT_OCCLUSION_CHECK_INTERVAL) return;
+            this.lastHotspotOcclusionCheckTime = currentTime;
+            lastCheckCameraPosition.copy(this.camera.position);
+
+            // 스플랫 트리가 아직 없으면 가림 여부를 알 수 없으므로 일단 보여주고 다음에 다시 확인
+            const canRaycast = !!this.splatMesh.getSplatTree();
+            this.hotspotOcclusionStale = !canRaycast;
+            let changed = false;
+            this.hotspots.forEach((hotspot, index) => {
+                toHotspot.copy(hotspot.position).sub(this.camera.position);
+                const distance = toHotspot.length();
+                let visible = this.showHotspots && distance > HOTSPOT_MINIMUM_DISTANCE;
+                if (visible && canRaycast) {
+                    outHits.length = 0;
+                    this.raycaster.ray.origin.copy(this.camera.position);
+                    this.raycaster.ray.direction.copy(toHotspot).normalize();
+                    this.raycaster.intersectSplatMesh(this.splatMesh, outHits);
+                    visible = outHits.length === 0 || outHits[0].distance > distance - HOTSPOT_MINIMUM_DISTANCE;
+                }
+                if (visible !== hotspot.visible) {
+                    hotspot.visible = visible;
+                    this.sceneHelper.setHotspotHelperVisibility(index, visible);
+                    changed = true;
+                }
+            });
+            if (this.hoveredHotspot >= 0 && !this.hotspots[this.hoveredHotspot].visible) this.setHoveredHotspot(-1);
+            if (changed) this.forceRenderNextFrame();
+        };
+
+    }();
+
+    // 핫스팟 노드까지 그래프를 따라 이동 ('hotspotClicked' 이벤트 발생)
+    travelToHotspot(index) {
+        const hotspot = this.hotspots[index];
+        if (!hotspot || !this.controls || !this.controls.moveCameraToGraphNode) return false;
+        this.emit(ViewerEvent.HotspotClicked, { 'label': hotspot.label, 'node': hotspot.node });
+        return this.controls.moveCameraToGraphNode(hotspot.node);
+    }
+
+    getHotspots() {
+        return this.hotspots;
+    }
+
+    setHotspotsVisible(visible) {
+        this.showHotspots = visible;
+        this.hotspotOcclusionStale = true;
+    }
+
+    setMinimapVisible(visible) {
+        this.showMinimap = visible;
+        if (!this.minimap) return;
+        if (visible) this.minimap.show();
+        else this.minimap.hide();
+    }
+
+    updateMinimap() {
+        if (this.minimap && this.showMinimap) this.minimap.update(this.camera, this.splatMesh, this.controls);
+    }
+
     updateControlPlane() {
         if (this.showControlPlane) {
             this.sceneHelper.setControlPlaneVisibility(true);
@@ -0,0 +1,70 @@
+/**
+ * Names of the events a Viewer emits, for use with Viewer.on(), Viewer.once() and Viewer.off(). Each listener
+ * receives a single payload object, described next to each event. 'paths' lists the paths of the splat scenes
+ * a load is for.
+ */
+export const ViewerEvent = {
+
+    // { paths } A splat scene load started (addSplatScene() or addSplatScenes())
+    LoadStart: 'loadStart',
+
+    // { paths, percent, percentLabel, loaderStatus } Progress of a load; 'percent' covers all of its files
+    LoadProgress: 'loadProgress',
+
+    // { paths, finalBuild } Splats of a load were added to the splat mesh. Progressive loads build each downloaded
+    // section, so this fires several times for them; 'finalBuild' is true for the last one.
+    SectionBuilt: 'sectionBuilt',
+
+    // { paths } A load finished and all of its splats are in the splat mesh
+    LoadComplete: 'sceneLoaded',
+
+    // { paths, error } A load failed (aborted loads do not emit this)
+    LoadError: 'loadError',
+
+    // { indexes } Splat scenes were removed with removeSplatScene() or removeSplatScenes()
+    SceneRemoved: 'sceneRemoved',
+
+    // {} The viewer created a new splat mesh (e.g. after scenes were removed)
+    SplatMeshChanged: 'splatMeshChanged',
+
+    // { sortTime, splatRenderCount } A splat sort finished
+    SortComplete: 'sortComplete',
+
+    // { position, quaternion } The camera position or orientation changed since the last update
+    CameraMoved: 'cameraMoved',
+
+    // { controlsMode, previousControlsMode } setControlsMode() switched the built-in controls
+    ControlsModeChanged: 'controlsModeChanged',
+
+    // {} A WebXR session started
+    XRSessionStart: 'xrSessionStart',
+
+    // {} The WebXR session ended
+    XRSessionEnd: 'xrSessionEnd',
+
+    // { region, previousRegion } The camera moved into another navigation graph region (see RegionSceneManager)
+    RegionChanged: 'regionChanged',
+
+    // { label, node } A teleport hotspot was clicked
+    HotspotClicked: 'hotspotClicked',
+
+    // { index, stop } A guided tour reached a stop (see GuidedTour)
+    TourStopReached: 'tourStopReached',
+
+    // { index, stop } A guided tour ended at its last stop
+    TourEnded: 'tourEnded',
+
+    // { index, stop, error } A guided tour stopped because the camera cannot travel to a stop
+    TourError: 'tourError',
+
+    // {} The user dismissed the onboarding overlay
+    OnboardingDismissed: 'onboardingDismissed',
+
+    // { files, add } Splat scene files dropped onto the viewer ('enableDropLoading') are about to be loaded; 'files'
+    // leaves out dropped files of unsupported formats, and 'add' is true if they are added to the current scenes
+    // rather than replacing them
+    FilesDropped: 'filesDropped',
+
+    // {} The viewer finished disposing; all listeners are removed afterwards
+    Dispose: 'dispose'
+};
@@ -0,0 +1,718 @@
+import * as THREE from 'three';
+import { NavigationGraphLoader } from './navigation/NavigationGraphLoader.js';
+import { PathFollower } from './navigation/PathFollower.js';
+import { WalkableArea } from './navigation/WalkableArea.js';
+import { GroundPlane } from './navigation/GroundPlane.js';
+import { FloorFollower } from './navigation/FloorFollower.js';
+import { CameraCollider } from './navigation/CameraCollider.js';
+import { WalkMovement } from './navigation/WalkMovement.js';
+import { Raycaster } from './raycaster/Raycaster.js';
+import { getCurrentTime, isEditableElement } from './Util.js';
+
+const _changeEvent = { type: 'change' };
+const _startEvent = { type: 'start' };
+const _endEvent = { type: 'end' };
+const _pathStartEvent = { type: 'pathstart' };
+const _pathEndEvent = { type: 'pathend' };
+const _pathCancelEvent = { type: 'pathcancel' };
+
+const MAX_TIME_DELTA = 0.1;
+const MIN_POLAR_MARGIN = 0.001;
+
+/**
+ * WalkControls: First-person controls for walking through a splat scene. It has the same constructor shape and
+ * update() contract as OrbitControls, so the viewer can use either one.
+ *
+ *    Look - left mouse drag / touch: drag on the right half of the screen
+ *    Walk - WASD keys, Shift to sprint / touch: drag on the left half of the screen (acts as a virtual thumbstick)
+ *    Fly - Q/E move down/up when free-fly mode is enabled
+ *    Step - mouse wheel
+ *    Travel - right click: walk along the navigation graph to the node closest to the clicked point
+ *
+ * Movement is restricted by the roads of the navigation graph (when one is loaded), the walkable area and, when
+ * enabled, collision with opaque splats. All walking happens in the ground plane defined by the camera's up vector.
+ */
+export class WalkControls extends THREE.EventDispatcher {
+
+    constructor(object, domElement, viewer) {
+        super();
+
+        this.object = object;
+        this.domElement = domElement;
+        this.domElement.style.touchAction = 'none';
+        this.viewer = viewer;
+
+        // Set to false to disable this control
+        this.enabled = true;
+
+        // Point a short distance in front of the camera, kept up to date by update()
+        this.target = new THREE.Vector3();
+        this.forwardOffset = 1;
+
+        // Turns walking input into velocity-based movement; set walkMovement.speed, sprintMultiplier, acceleration
+        // and deceleration to tune it
+        this.walkMovement = new WalkMovement();
+
+        // When true, movement follows the full view direction, Q/E move down and up, and the roads, walkable area and
+        // floor following do not apply
+        this.enableFreeFly = false;
+
+        // Distance moved by one mouse wheel step
+        this.wheelStepDistance = 0.25;
+
+        // Mouse-look sensitivity, and the turn rate (radians per second) for full deflection of analog look input
+        this.rotateSpeed = 1.0;
+        this.lookSpeed = 2.0;
+
+        // How far the view can tilt, as the angle between the view direction and the up vector (0 to Math.PI)
+        this.minPolarAngle = 0;
+        this.maxPolarAngle = Math.PI;
+
+        // When true, mouse look eases out rather than stopping immediately
+        this.enableDamping = false;
+        this.dampingFactor = 0.05;
+
+        // Drag distance, in pixels, that gives full deflection of the touch thumbstick
+        this.touchStickRadius = 60;
+
+        // Full width of the corridor around each navigation graph edge that the camera may walk in, so the camera
+        // stays within roadWidth / 2 of the nearest edge
+        this.enableRoads = true;
+        this.roadWidth = 0.2;
+
+        this.keys = { LEFT: 'KeyA', UP: 'KeyW', RIGHT: 'KeyD', BOTTOM: 'KeyS', ASCEND: 'KeyE', DESCEND: 'KeyQ',
+                      SPRINT: ['ShiftLeft', 'ShiftRight'] };
+
+        // Analog look input in the range [-1, 1] from on-screen thumbsticks: x turns right, y looks up (analog
+        // movement input goes to walkMovement.analogInput, see setAnalogInput())
+        this.lookInput = new THREE.Vector2();
+
+        this.navigationGraph = null;
+        this.pathFollower = new PathFollower(object);
+        this.pathDestination = null;
+        this.walkableArea = null;
+        this.groundPlane = new GroundPlane(object.up);
+        this.enableFloorFollowing = false;
+        this.floorFollower = new FloorFollower();
+        this.enableCollision = false;
+        this.cameraCollider = new CameraCollider();
+        this.raycaster = new Raycaster();
+
+        // for reset
+        this.target0 = this.target.clone();
+        this.position0 = this.object.position.clone();
+        this.quaternion0 = this.object.quaternion.clone();
+        this.zoom0 = this.object.zoom;
+
+        this.pendingYaw = 0;
+        this.pendingPitch = 0;
+        this.pointers = new Map();
+        this.lastUpdateTime = null;
+        this.lastPosition = new THREE.Vector3();
+        this.lastQuaternion = new THREE.Quaternion();
+
+        this._domElementKeyEvents = null;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onMouseWheel = this.onMouseWheel.bind(this);
+        this.onContextMenu = this.onContextMenu.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+
+        this.domElement.addEventListener('contextmenu', this.onContextMenu);
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointercancel', this.onPointerUp);
+        this.domElement.addEventListener('wheel', this.onMouseWheel, { passive: false });
+    }
+
+    listenToKeyEvents(domElement) {
+        this.stopListenToKeyEvents();
+        domElement.addEventListener('keydown', this.onKeyDown);
+        domElement.addEventListener('keyup', this.onKeyUp);
+        this._domElementKeyEvents = domElement;
+    }
+
+    stopListenToKeyEvents() {
+        if (this._domElementKeyEvents !== null) {
+            this._domElementKeyEvents.removeEventListener('keydown', this.onKeyDown);
+            this._domElementKeyEvents.removeEventListener('keyup', this.onKeyUp);
+            this._domElementKeyEvents = null;
+        }
+    }
+
+    saveState() {
+        this.target0.copy(this.target);
+        this.position0.copy(this.object.position);
+        this.quaternion0.copy(this.object.quaternion);
+        this.zoom0 = this.object.zoom;
+    }
+
+    reset() {
+        this.cancelPathFollow();
+        this.object.position.copy(this.position0);
+        this.object.quaternion.copy(this.quaternion0);
+        this.object.zoom = this.zoom0;
+        this.object.updateProjectionMatrix();
+        this.target.copy(this.target0);
+        this.pendingYaw = 0;
+        this.pendingPitch = 0;
+        this.walkMovement.stop();
+        this.floorFollower.reset();
+        this.dispatchEvent(_changeEvent);
+        this.update();
+    }
+
+    dispose() {
+        this.cancelPathFollow();
+        this.domElement.removeEventListener('contextmenu', this.onContextMenu);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointercancel', this.onPointerUp);
+        this.domElement.removeEventListener('wheel', this.onMouseWheel);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.stopListenToKeyEvents();
+        this.pointers.clear();
+    }
+
+    /**
+     * Advance the controls by the time elapsed since the last call. Call once per frame.
+     * @return {boolean} True if the camera moved or turned
+     */
+    update = function() {
+
+        const lookDirection = new THREE.Vector3();
+
+        return function() {
+            const timeDelta = this.getTimeDelta();
+
+            if (this.pathFollower.isActive()) {
+                this.pathFollower.update(timeDelta);
+                this.pendingYaw = 0;
+                this.pendingPitch = 0;
+            } else if (this.enabled) {
+                this.updateLook(timeDelta);
+                this.updateMovement(timeDelta);
+            }
+            this.updateFloorFollowing(timeDelta);
+
+            this.object.getWorldDirection(lookDirection);
+            this.target.copy(this.object.position).addScaledVector(lookDirection, this.forwardOffset);
+
+            if (this.lastPosition.distanceToSquared(this.object.position) > 1e-12 ||
+                8 * (1 - this.lastQuaternion.dot(this.object.quaternion)) > 1e-12) {
+                this.lastPosition.copy(this.object.position);
+                this.lastQuaternion.copy(this.object.quaternion);
+                this.dispatchEvent(_changeEvent);
+                return true;
+            }
+            return false;
+        };
+
+    }();
+
+    getTimeDelta() {
+        const currentTime = getCurrentTime();
+        const timeDelta = this.lastUpdateTime === null ? 0 : Math.min(currentTime - this.lastUpdateTime, MAX_TIME_DELTA);
+        this.lastUpdateTime = currentTime;
+        return timeDelta;
+    }
+
+    // Camera up vector can change at runtime, so always derive the plane from the current one
+    getGroundPlane() {
+        return this.groundPlane.setUp(this.object.up);
+    }
+
+    updateLook(timeDelta) {
+        let yaw = -this.lookInput.x * this.lookSpeed * timeDelta;
+        let pitch = this.lookInput.y * this.lookSpeed * timeDelta;
+
+        if (this.enableDamping) {
+            yaw += this.pendingYaw * this.dampingFactor;
+            pitch += this.pendingPitch * this.dampingFactor;
+            this.pendingYaw *= (1 - this.dampingFactor);
+            this.pendingPitch *= (1 - this.dampingFactor);
+        } else {
+            yaw += this.pendingYaw;
+            pitch += this.pendingPitch;
+            this.pendingYaw = 0;
+            this.pendingPitch = 0;
+        }
+
+        if (yaw !== 0 || pitch !== 0) this.rotate(yaw, pitch);
+    }
+
+    /**
+     * Turn the camera, keeping its tilt within [minPolarAngle, maxPolarAngle].
+     * @param {number} yaw Rotation about the up vector in radians, positive turns left
+     * @param {number} pitch Change in tilt in radians, positive looks up
+     */
+    rotate = function() {
+
+        const direction = new THREE.Vector3();
+        const horizontal = new THREE.Vector3();
+        const lookAtPoint = new THREE.Vector3();
+
+        return function(yaw, pitch) {
+            const up = this.getGroundPlane().up;
+            this.object.getWorldDirection(direction);
+            direction.applyAxisAngle(up, yaw);
+
+            horizontal.copy(direction);
+            this.getGroundPlane().projectDirection(horizontal);
+            if (horizontal.lengthSq() === 0) return;
+
+            const minPolarAngle = Math.max(this.minPolarAngle, MIN_POLAR_MARGIN);
+            const maxPolarAngle = Math.min(this.maxPolarAngle, Math.PI - MIN_POLAR_MARGIN);
+            const polarAngle = Math.acos(THREE.MathUtils.clamp(direction.dot(up), -1, 1)) - pitch;
+            const clampedPolarAngle = THREE.MathUtils.clamp(polarAngle, minPolarAngle, maxPolarAngle);
+
+            direction.copy(horizontal).multiplyScalar(Math.sin(clampedPolarAngle))
+                     .addScaledVector(up, Math.cos(clampedPolarAngle));
+            lookAtPoint.copy(this.object.position).add(direction);
+            this.object.lookAt(lookAtPoint);
+        };
+
+    }();
+
+    /**
+     * Advance the walking velocity and move the camera by it. If walls, roads or obstacles block part of the move,
+     * the velocity is reduced to match.
+     * @param {number} timeDelta Time elapsed since the last update, in seconds
+     */
+    updateMovement = function() {
+
+        const movement = new THREE.Vector3();
+        const startPosition = new THREE.Vector3();
+        const appliedMovement = new THREE.Vector3();
+
+        return function(timeDelta) {
+            if (!this.walkMovement.isMoving()) return;
+            this.walkMovement.update(this.object, this.getGroundPlane(), this.enableFreeFly, timeDelta, movement);
+            startPosition.copy(this.object.position);
+            this.applyMovement(movement);
+            appliedMovement.copy(this.object.position).sub(startPosition);
+            this.walkMovement.constrainVelocity(appliedMovement, timeDelta);
+        };
+
+    }();
+
+    /**
+     * Feed analog walking and look input, for example from on-screen thumbsticks. Values are in the range [-1, 1].
+     * @param {object} moveInput { x, y }: x walks right, y walks forward
+     * @param {object} lookInput { x, y }: x turns right, y looks up
+     */
+    setAnalogInput(moveInput, lookInput) {
+        if (moveInput.x !== 0 || moveInput.y !== 0 || lookInput.x !== 0 || lookInput.y !== 0) this.cancelPathFollow();
+        this.walkMovement.setAnalogInput(moveInput.x, moveInput.y);
+        this.lookInput.set(lookInput.x, lookInput.y);
+    }
+
+    getForwardDirection(outDirection = new THREE.Vector3()) {
+        this.object.getWorldDirection(outDirection);
+        return this.getGroundPlane().projectDirection(outDirection);
+    }
+
+    // Navigation graph travel sets the camera height from the graph nodes, so the floor is not followed then
+    updateFloorFollowing(timeDelta) {
+        if (!this.enableFloorFollowing || this.enableFreeFly || this.pathFollower.isActive() ||
+            this.object.isOrthographicCamera) {
+            this.floorFollower.reset();
+            return;
+        }
+        const splatMesh = this.viewer ? this.viewer.splatMesh : null;
+        this.floorFollower.update(this.object, splatMesh, this.getGroundPlane(), timeDelta);
+    }
+
+    /**
+     * Move the camera, subject to collision, the navigation graph roads and the walkable area (only collision applies
+     * in free-fly mode). Moves into an obstacle or a wall slide along it.
+     * @param {THREE.Vector3} movement The desired movement, modified in place
+     */
+    applyMovement = function() {
+
+        const newPosition = new THREE.Vector3();
+        const from = new THREE.Vector2();
+        const to = new THREE.Vector2();
+        const allowed = new THREE.Vector2();
+
+        return function(movement) {
+            if (movement.lengthSq() === 0) return;
+
+            if (this.enableCollision) {
+                const splatMesh = this.viewer ? this.viewer.splatMesh : null;
+                this.cameraCollider.resolveMovement(splatMesh, this.object.position, movement);
+            }
+
+            const position = this.object.position;
+            newPosition.copy(position).add(movement);
+            if (this.enableFreeFly) {
+                position.copy(newPosition);
+                return;
+            }
+            if (this.hasRoads() && !this.isMoveAllowedByRoads(position, newPosition)) return;
+
+            if (!this.walkableArea) {
+                position.copy(newPosition);
+                return;
+            }
+            const groundPlane = this.getGroundPlane();
+            groundPlane.toPlaneCoordinates(position, from);
+            groundPlane.toPlaneCoordinates(newPosition, to);
+            this.walkableArea.resolveMovement(from, to, allowed);
+            groundPlane.fromPlaneCoordinates(allowed, groundPlane.getHeight(newPosition), position);
+        };
+
+    }();
+
+    hasRoads() {
+        return this.enableRoads && this.navigationGraph !== null && this.navigationGraph.connections.length > 0;
+    }
+
+    // Moves that end on a road are allowed, as are moves toward the roads, so a camera that starts off the
+    // graph can always walk onto it
+    isMoveAllowedByRoads(from, to) {
+        const toDistance = this.getDistanceToRoads(to);
+        return toDistance <= this.roadWidth / 2 || toDistance < this.getDistanceToRoads(from);
+    }
+
+    /**
+     * Find the ground-plane distance from a point to the nearest navigation graph edge.
+     * @param {THREE.Vector3} point The point to test
+     * @return {number} The distance, Infinity if there are no edges
+     */
+    getDistanceToRoads = function() {
+
+        const planePoint = new THREE.Vector2();
+        const start = new THREE.Vector2();
+        const end = new THREE.Vector2();
+        const closestPoint = new THREE.Vector2();
+
+        return function(point) {
+            const groundPlane = this.getGroundPlane();
+            const points = this.navigationGraph.points;
+            groundPlane.toPlaneCoordinates(point, planePoint);
+            let closestDistance = Infinity;
+            for (let connection of this.navigationGraph.connections) {
+                groundPlane.toPlaneCoordinates(points[connection.from], start);
+                groundPlane.toPlaneCoordinates(points[connection.to], end);
+                WalkableArea.closestPointOnSegment(planePoint, start, end, closestPoint);
+                closestDistance = Math.min(closestDistance, closestPoint.distanceTo(planePoint));
+            }
+            return closestDistance;
+        };
+
+    }();
+
+    /**
+     * Load the navigation graph, either from a JSON/GeoJSON navigation document or from the legacy pair of text
+     * files (node positions and edges).
+     * @param {string} graphCamName Navigation document path, or path of the legacy node positions file
+     * @param {string} graphName Path of the legacy edges file (unused for navigation documents)
+     * @return {Promise<NavigationGraph>}
+     */
+    async loadGraphAndPaths(graphCamName, graphName) {
+        let navigationGraph;
+        if (NavigationGraphLoader.isNavigationDocumentPath(graphCamName)) {
+            navigationGraph = await NavigationGraphLoader.loadFromURL(graphCamName);
+        } else if (NavigationGraphLoader.isNavigationDocumentPath(graphName)) {
+            navigationGraph = await NavigationGraphLoader.loadFromURL(graphName);
+        } else if (graphCamName && graphName) {
+            navigationGraph = await NavigationGraphLoader.loadFromLegacyURLs(graphCamName, graphName);
+        } else {
+            return null;
+        }
+        this.setNavigationGraph(navigationGraph);
+        return navigationGraph;
+    }
+
+    setNavigationGraph(navigationGraph) {
+        this.cancelPathFollow();
+        this.navigationGraph = navigationGraph;
+        if (navigationGraph && !this.walkableArea && navigationGraph.getNodeCount() >= 3) {
+            const groundPlane = this.getGroundPlane();
+            this.setWalkableArea(WalkableArea.fromConvexHull(navigationGraph.points.map((point) => {
+                return groundPlane.toPlaneCoordinates(point);
+            })));
+        }
+    }
+
+    /**
+     * Load the walkable area, either from a JSON/GeoJSON polygon document or from a text file of points (one
+     * "x y z" per line) whose convex hull becomes the area.
+     * @param {string} filePath Path of the walkable area file
+     * @return {Promise<WalkableArea>}
+     */
+    async loadBoundaryPoints(filePath) {
+        let walkableArea;
+        if (NavigationGraphLoader.isNavigationDocumentPath(filePath)) {
+            walkableArea = await WalkableArea.loadFromURL(filePath);
+        } else {
+            const response = await fetch(filePath);
+            if (!response.ok) {
+                throw new Error(`WalkControls.loadBoundaryPoints() -> Failed to fetch ${filePath}: ${response.status}`);
+            }
+            const groundPlane = this.getGroundPlane();
+            const points = [];
+            (await response.text()).split('\n').forEach((line) => {
+                const coords = line.trim().split(/\s+/).map(Number);
+                if (coords.length >= 2 && coords.every((value) => isFinite(value))) {
+                    points.push(groundPlane.toPlaneCoordinates(new THREE.Vector3(coords[0], coords[1], coords[2] || 0)));
+                }
+            });
+            if (points.length < 3) {
+                throw new Error(`WalkControls.loadBoundaryPoints() -> ${filePath} needs at least 3 points`);
+            }
+            walkableArea = WalkableArea.fromConvexHull(points);
+        }
+        this.setWalkableArea(walkableArea);
+        return walkableArea;
+    }
+
+    setWalkableArea(walkableArea) {
+        this.walkableArea = walkableArea;
+    }
+
+    isFollowingPath() {
+        return this.pathFollower.isActive();
+    }
+
+    getPathDestination() {
+        return this.pathFollower.isActive() ? this.pathDestination : null;
+    }
+
+    cancelPathFollow() {
+        this.pathFollower.cancel();
+    }
+
+    /**
+     * Walk along the shortest graph path from the camera's nearest node to a given node.
+     * @param {number} targetIdx Index of the destination node
+     * @return {boolean} True if travel started
+     */
+    moveCameraToGraphNode(targetIdx) {
+        if (!this.navigationGraph || !this.navigationGraph.isValidNodeIndex(targetIdx)) {
+            console.error(`WalkControls::moveCameraToGraphNode() -> Invalid graph node: ${targetIdx}`);
+            return false;
+        }
+        const startIdx = this.navigationGraph.findClosestNode(this.object.position);
+        const path = this.navigationGraph.findShortestPath(startIdx, targetIdx);
+        if (path.length === 0) {
+            console.error(`WalkControls::moveCameraToGraphNode() -> No path from graph node ${startIdx} to ${targetIdx}`);
+            return false;
+        }
+        return this.animateCameraAlongPath(path);
+    }
+
+    moveCameraToWaypoint(name) {
+        const targetIdx = this.navigationGraph ? this.navigationGraph.getWaypointNode(name) : -1;
+        if (targetIdx < 0) {
+            console.error(`WalkControls::moveCameraToWaypoint() -> Unknown waypoint: ${name}`);
+            return false;
+        }
+        return this.moveCameraToGraphNode(targetIdx);
+    }
+
+    /**
+     * Walk to the graph node closest to a point, considering only nodes reachable from where the camera is.
+     * @param {THREE.Vector3} point The point to walk toward
+     * @return {boolean} True if travel started
+     */
+    moveCameraToClosestGraphPoint(point) {
+        if (!this.navigationGraph) return false;
+        const startIdx = this.navigationGraph.findClosestNode(this.object.position);
+        if (startIdx < 0) return false;
+        const reachable = this.navigationGraph.getReachableNodes(startIdx);
+        const targetIdx = this.navigationGraph.findClosestNode(point, (idx) => reachable.has(idx));
+        if (targetIdx < 0) return false;
+        return this.animateCameraAlongPath(this.navigationGraph.findShortestPath(startIdx, targetIdx));
+    }
+
+    animateCameraAlongPath(path) {
+        if (path.length === 0) return false;
+        const points = path.map((idx) => this.navigationGraph.points[idx]);
+        const destination = this.navigationGraph.getNode(path[path.length - 1]);
+        const started = this.pathFollower.start(points, {
+            finalHeading: destination ? destination.lookDirection : null,
+            onComplete: () => {
+                this.pathDestination = null;
+                this.dispatchEvent(_pathEndEvent);
+            },
+            onCancel: () => {
+                this.pathDestination = null;
+                this.dispatchEvent(_pathCancelEvent);
+            }
+        });
+        if (started) {
+            this.pathDestination = points[points.length - 1].clone();
+            this.dispatchEvent(_pathStartEvent);
+        }
+        return started;
+    }
+
+    /**
+     * Ray cast from a screen position into the splat mesh.
+     * @param {THREE.Vector2} screenPosition Position relative to the top-left corner of the DOM element
+     * @param {THREE.Vector3} outPoint Receives the hit point
+     * @return {boolean} True if the splat mesh was hit
+     */
+    pickPoint = function() {
+
+        const screenDimensions = new THREE.Vector2();
+        const outHits = [];
+
+        return function(screenPosition, outPoint) {
+            const splatMesh = this.viewer ? this.viewer.splatMesh : null;
+            if (!splatMesh || !splatMesh.getSplatTree()) return false;
+            screenDimensions.set(this.domElement.clientWidth, this.domElement.clientHeight);
+            if (screenDimensions.x === 0 || screenDimensions.y === 0) return false;
+
+            outHits.length = 0;
+            this.raycaster.setFromCameraAndScreenPosition(this.object, screenPosition, screenDimensions);
+            this.raycaster.intersectSplatMesh(splatMesh, outHits);
+            if (outHits.length === 0) return false;
+            outPoint.copy(outHits[0].origin);
+            return true;
+        };
+
+    }();
+
+    onPointerDown = function() {
+
+        const screenPosition = new THREE.Vector2();
+        const pickedPoint = new THREE.Vector3();
+
+        return function(event) {
+            if (this.enabled === false) return;
+            this.cancelPathFollow();
+
+            if (event.pointerType !== 'touch' && event.button === 2) {
+                screenPosition.set(event.offsetX, event.offsetY);
+                if (this.pickPoint(screenPosition, pickedPoint)) this.moveCameraToClosestGraphPoint(pickedPoint);
+                return;
+            }
+            if (event.pointerType !== 'touch' && event.button !== 0) return;
+
+            if (this.pointers.size === 0) {
+                this.domElement.setPointerCapture(event.pointerId);
+                this.domElement.addEventListener('pointermove', this.onPointerMove);
+                this.domElement.addEventListener('pointerup', this.onPointerUp);
+            }
+
+            // Touches that start on the left half of the element drive movement, everything else looks around
+            const isMoveTouch = event.pointerType === 'touch' && event.offsetX < this.domElement.clientWidth / 2;
+            this.pointers.set(event.pointerId, {
+                'action': isMoveTouch ? 'move' : 'look',
+                'start': new THREE.Vector2(event.clientX, event.clientY),
+                'last': new THREE.Vector2(event.clientX, event.clientY)
+            });
+            this.dispatchEvent(_startEvent);
+        };
+
+    }();
+
+    onPointerMove(event) {
+        if (this.enabled === false) return;
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        if (pointer.action === 'move') {
+            const analogInput = this.walkMovement.analogInput;
+            analogInput.set(event.clientX - pointer.start.x, pointer.start.y - event.clientY, 0)
+                       .divideScalar(this.touchStickRadius);
+            if (analogInput.lengthSq() > 1) analogInput.normalize();
+        } else {
+            const height = this.domElement.clientHeight || 1;
+            this.pendingYaw += 2 * Math.PI * (event.clientX - pointer.last.x) / height * this.rotateSpeed;
+            this.pendingPitch += 2 * Math.PI * (event.clientY - pointer.last.y) / height * this.rotateSpeed;
+        }
+        pointer.last.set(event.clientX, event.clientY);
+    }
+
+    onPointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        if (pointer.action === 'move') this.walkMovement.setAnalogInput(0, 0);
+        this.pointers.delete(event.pointerId);
+        if (this.pointers.size === 0) {
+            this.domElement.releasePointerCapture(event.pointerId);
+            this.domElement.removeEventListener('pointermove', this.onPointerMove);
+            this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        }
+        this.dispatchEvent(_endEvent);
+    }
+
+    onMouseWheel = function() {
+
+        const movement = new THREE.Vector3();
+
+        return function(event) {
+            if (this.enabled === false) return;
+            event.preventDefault();
+            this.cancelPathFollow();
+            if (event.deltaY === 0) return;
+            this.getForwardDirection(movement).multiplyScalar(event.deltaY < 0 ? this.wheelStepDistance : -this.wheelStepDistance);
+            this.dispatchEvent(_startEvent);
+            this.applyMovement(movement);
+            this.dispatchEvent(_endEvent);
+        };
+
+    }();
+
+    onContextMenu(event) {
+        if (this.enabled === false) return;
+        event.preventDefault();
+    }
+
+    onKeyDown(event) {
+        // Keys typed into form fields on the page are not movement input
+        if (this.enabled === false || isEditableElement(event.target)) return;
+        const action = this.getKeyAction(event.code);
+        if (action === null) return;
+        // Q, E and Shift are only claimed in free-fly mode, otherwise they are left to the page's own shortcuts
+        const ownsKey = WalkMovement.ownsKeyAction(action, this.enableFreeFly);
+        if (ownsKey && action !== WalkMovement.Action.Sprint) this.cancelPathFollow();
+        this.walkMovement.setAction(action, true);
+        if (ownsKey) event.preventDefault();
+    }
+
+    onKeyUp(event) {
+        const action = this.getKeyAction(event.code);
+        if (action === null) return;
+        this.walkMovement.setAction(action, false);
+        if (WalkMovement.ownsKeyAction(action, this.enableFreeFly) && !isEditableElement(event.target)) {
+            event.preventDefault();
+        }
+    }
+
+    getKeyAction(code) {
+        const Action = WalkMovement.Action;
+        switch (code) {
+            case this.keys.UP: return Action.Forward;
+            case this.keys.BOTTOM: return Action.Backward;
+            case this.keys.LEFT: return Action.Left;
+            case this.keys.RIGHT: return Action.Right;
+            case this.keys.ASCEND: return Action.Up;
+            case this.keys.DESCEND: return Action.Down;
+        }
+        return this.keys.SPRINT.includes(code) ? Action.Sprint : null;
+    }
+}
+
+/**
+ * Create walk controls and start loading their navigation data in the background. Takes the same arguments as
+ * createOrbitControls().
+ */
+export async function createWalkControls(camera, domElement, graphCamName, graphName, viewer, walkableAreaName) {
+    const controls = new WalkControls(camera, domElement, viewer);
+    if (walkableAreaName) {
+        controls.loadBoundaryPoints(walkableAreaName).catch((error) => {
+            console.error('WalkControls: Walkable area loading failed', error);
+        });
+    }
+    controls.loadGraphAndPaths(graphCamName, graphName).catch((error) => {
+        console.error('WalkControls: Navigation graph loading failed', error);
+    });
+    return controls;
+}
@@ -3,6 +3,8 @@ import { PlayCanvasCompressedPlyParser } from './loaders/ply/PlayCanvasCompresse
 import { PlyLoader } from './loaders/ply/PlyLoader.js';
 import { SplatLoader } from './loaders/splat/SplatLoader.js';
 import { KSplatLoader } from './loaders/ksplat/KSplatLoader.js';
+import { SpzParser } from './loaders/spz/SpzParser.js';
+import { SpzLoader } from './loaders/spz/SpzLoader.js';
 import * as LoaderUtils from './loaders/Utils.js';
 import { SplatBuffer } from './loaders/SplatBuffer.js';
 import { SplatParser } from './loaders/splat/SplatParser.js';
@@ -11,10 +13,26 @@ import { SplatBufferGenerator } from './loaders/SplatBufferGenerator.js';
 import { Viewer } from './Viewer.js';
 import { DropInViewer } from './DropInViewer.js';
 import { OrbitControls } from './OrbitControls.js';
+import { WalkControls } from './WalkControls.js';
+import { NavigationGraph } from './navigation/NavigationGraph.js';
+import { NavigationGraphLoader } from './navigation/NavigationGraphLoader.js';
+import { NavigationGraphEditor } from './navigation/NavigationGraphEditor.js';
+import { NavigationGraphGenerator } from './navigation/NavigationGraphGenerator.js';
+import { PathFollower } from './navigation/PathFollower.js';
+import { GuidedTour } from './navigation/GuidedTour.js';
+import { RegionSceneManager } from './navigation/RegionSceneManager.js';
+import { WalkableArea } from './navigation/WalkableArea.js';
+import { GroundPlane } from './navigation/GroundPlane.js';
+import { FloorFollower } from './navigation/FloorFollower.js';
+import { CameraCollider } from './navigation/CameraCollider.js';
+import { WalkMovement } from './navigation/WalkMovement.js';
 import { AbortablePromise } from './AbortablePromise.js';
 import { SceneFormat } from './loaders/SceneFormat.js';
 import { WebXRMode } from './webxr/WebXRMode.js';
+import { Strings } from './ui/Strings.js';
+import { ViewerEvent } from './ViewerEvent.js';
 import { RenderMode } from './RenderMode.js';
+import { ControlsMode } from './ControlsMode.js';
 import { LogLevel } from './LogLevel.js';
 import { SceneRevealMode } from './SceneRevealMode.js';
 import { SplatRenderMode } from './SplatRenderMode.js';
@@ -25,6 +43,8 @@ export {
     PlyLoader,
     SplatLoader,
     KSplatLoader,
+    SpzParser,
+    SpzLoader,
     LoaderUtils,
     SplatBuffer,
     SplatParser,
@@ -33,10 +53,26 @@ export {
     Viewer,
     DropInViewer,
     OrbitControls,
+    WalkControls,
+    NavigationGraph,
+    NavigationGraphLoader,
+    NavigationGraphEditor,
+    NavigationGraphGenerator,
+    PathFollower,
+    GuidedTour,
+    RegionSceneManager,
+    WalkableArea,
+    GroundPlane,
+    FloorFollower,
+    CameraCollider,
+    WalkMovement,
     AbortablePromise,
     SceneFormat,
     WebXRMode,
+    Strings,
+    ViewerEvent,
     RenderMode,
+    ControlsMode,
     LogLevel,
     SceneRevealMode,
     SplatRenderMode
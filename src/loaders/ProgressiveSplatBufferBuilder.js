@@ -0,0 +1,239 @@
+import * as THREE from 'three';
+import { SplatBuffer } from './SplatBuffer.js';
+import { UncompressedSplatArray } from './UncompressedSplatArray.js';
+
+/**
+ * ProgressiveSplatBufferBuilder: Fills a SplatBuffer with splats as they are decoded from a file that is still being
+ * downloaded. The same SplatBuffer instance is updated throughout, so a viewer can rebuild its splat mesh from it
+ * after each update and only upload the splats that were added since the last build.
+ *
+ * Uncompressed (level 0) splats are written straight into a single section as they arrive. Compressed (level 1 and 2)
+ * splats are stored relative to the centers of their buckets, which are only known once all splats of a section are
+ * in, so they are collected into sections of CompressedSectionSplatCount splats and each section is written once it
+ * is full.
+ *
+ * Splats whose opacity is below the alpha removal threshold are left out, as they are when complete files are loaded.
+ * Since that is only known splat by splat, the buffer is laid out for all of the file's splats and shrunk to the splats
+ * that were kept once the last one has been added.
+ */
+export class ProgressiveSplatBufferBuilder {
+
+    static CompressedSectionSplatCount = 16384;
+
+    /**
+     * @param {number} maxSplatCount Number of splats that will be added
+     * @param {number} minimumAlpha Splats with a lower opacity (0 - 255) are left out
+     * @param {number} compressionLevel Compression level of the splat buffer (0 - 2)
+     * @param {number} sphericalHarmonicsDegree Spherical harmonics degree of the splat buffer (0 - 2)
+     * @param {THREE.Vector3} sceneCenter Scene center written to the splat buffer's header
+     * @param {number} blockSize Size of the blocks that compressed splats are bucketed by
+     * @param {number} bucketSize Maximum number of splats per bucket
+     */
+    constructor(maxSplatCount, minimumAlpha = 0, compressionLevel = 0, sphericalHarmonicsDegree = 0,
+                sceneCenter = new THREE.Vector3(), blockSize = SplatBuffer.BucketBlockSize, bucketSize = SplatBuffer.BucketSize) {
+        this.maxSplatCount = maxSplatCount;
+        this.minimumAlpha = minimumAlpha;
+        this.compressionLevel = compressionLevel;
+        this.sphericalHarmonicsDegree = sphericalHarmonicsDegree;
+        this.sceneCenter = sceneCenter;
+        this.blockSize = blockSize;
+        this.bucketSize = bucketSize;
+
+        this.sectionSplatCount = compressionLevel === 0 ? maxSplatCount :
+                                 Math.min(ProgressiveSplatBufferBuilder.CompressedSectionSplatCount, maxSplatCount);
+        this.maxSectionCount = this.sectionSplatCount > 0 ? Math.ceil(maxSplatCount / this.sectionSplatCount) : 0;
+        this.bytesPerSplat = SplatBuffer.calculateComponentStorage(compressionLevel, sphericalHarmonicsDegree).bytesPerSplat;
+
+        this.sectionCount = 0;
+        this.splatCount = 0;
+        this.committedSplatCount = 0;
+        // Splats added, including those left out for their opacity
+        this.addedSplatCount = 0;
+        this.sectionsEndBytes = SplatBuffer.HeaderSizeBytes + this.maxSectionCount * SplatBuffer.SectionHeaderSizeBytes;
+        this.pendingSplats = new UncompressedSplatArray(sphericalHarmonicsDegree);
+
+        // Compressed sections also store their buckets, whose number is only known once a section is written. Room for
+        // about two buckets per full bucket's worth of splats is reserved, and the buffer grows if that is not enough.
+        const bucketStorageSizeBytes = compressionLevel >= 1 ?
+                                       Math.ceil(maxSplatCount / bucketSize) * 2 * (SplatBuffer.BucketStorageSizeBytes + 4) : 0;
+        const bufferData = new ArrayBuffer(this.sectionsEndBytes + maxSplatCount * this.bytesPerSplat + bucketStorageSizeBytes);
+
+        SplatBuffer.writeHeaderToBuffer({
+            versionMajor: SplatBuffer.CurrentMajorVersion,
+            versionMinor: SplatBuffer.CurrentMinorVersion,
+            maxSectionCount: this.maxSectionCount,
+            sectionCount: 0,
+            maxSplatCount: maxSplatCount,
+            splatCount: 0,
+            compressionLevel: compressionLevel,
+            sceneCenter: sceneCenter
+        }, bufferData);
+
+        // Sections that have not been written yet are laid out as if they had no buckets
+        for (let i = 0; i < this.maxSectionCount; i++) {
+            this.writeBucketlessSectionHeader(bufferData, i, this.getSectionMaxSplatCount(i), 0);
+        }
+
+        this.splatBuffer = new SplatBuffer(bufferData, false);
+    }
+
+    writeBucketlessSectionHeader(bufferData, sectionIndex, maxSplatCount, splatCount) {
+        SplatBuffer.writeSectionHeaderToBuffer({
+            maxSplatCount: maxSplatCount,
+            splatCount: splatCount,
+            bucketSize: this.bucketSize,
+            bucketCount: 0,
+            bucketBlockSize: this.blockSize,
+            compressionScaleRange: SplatBuffer.CompressionLevels[this.compressionLevel].ScaleRange,
+            storageSizeBytes: maxSplatCount * this.bytesPerSplat,
+            fullBucketCount: 0,
+            partiallyFilledBucketCount: 0,
+            sphericalHarmonicsDegree: this.sphericalHarmonicsDegree
+        }, this.compressionLevel, bufferData, SplatBuffer.HeaderSizeBytes + sectionIndex * SplatBuffer.SectionHeaderSizeBytes);
+    }
+
+    getSectionMaxSplatCount(sectionIndex) {
+        return Math.min(this.sectionSplatCount, this.maxSplatCount - sectionIndex * this.sectionSplatCount);
+    }
+
+    getSplatBuffer() {
+        return this.splatBuffer;
+    }
+
+    /**
+     * Add a splat, laid out as in UncompressedSplatArray. It is left out if its opacity is below the alpha removal
+     * threshold.
+     * @param {Array<number>} splat
+     */
+    addSplat(splat) {
+        if (this.addedSplatCount >= this.maxSplatCount) {
+            throw new Error('ProgressiveSplatBufferBuilder::addSplat() -> Too many splats');
+        }
+        this.addedSplatCount++;
+        if ((splat[UncompressedSplatArray.OFFSET.OPACITY] || 0) < this.minimumAlpha) return;
+        if (this.compressionLevel === 0) {
+            const section = this.splatBuffer.sections[0];
+            SplatBuffer.writeSplatDataToSectionBuffer(splat, this.splatBuffer.bufferData,
+                                                      section.dataBase + this.splatCount * this.bytesPerSplat,
+                                                      0, this.sphericalHarmonicsDegree);
+            this.sectionCount = 1;
+            this.splatCount++;
+        } else {
+            this.pendingSplats.addSplat(splat);
+            if (this.pendingSplats.splatCount >= this.getSectionMaxSplatCount(this.sectionCount)) this.writePendingSection();
+        }
+    }
+
+    writePendingSection() {
+        const sectionIndex = this.sectionCount;
+        const sectionSplatCount = this.pendingSplats.splatCount;
+
+        // Lay the section out (buckets included) the same way complete files are, then copy it into place
+        const sectionSplatBuffer = SplatBuffer.generateFromUncompressedSplatArrays([this.pendingSplats], this.minimumAlpha,
+                                                                                   this.compressionLevel,
+                                                                                   this.sceneCenter, this.blockSize, this.bucketSize);
+        const storageSizeBytes = sectionSplatBuffer.sections[0].storageSizeBytes;
+        const remainingSplatCount = this.maxSplatCount - this.splatCount - sectionSplatCount;
+        const requiredSizeBytes = this.sectionsEndBytes + storageSizeBytes + remainingSplatCount * this.bytesPerSplat;
+
+        let bufferData = this.splatBuffer.bufferData;
+        if (requiredSizeBytes > bufferData.byteLength) {
+            const grownBufferData = new ArrayBuffer(Math.ceil(requiredSizeBytes * 1.25));
+            new Uint8Array(grownBufferData).set(new Uint8Array(bufferData, 0, this.sectionsEndBytes));
+            bufferData = grownBufferData;
+        }
+
+        const sectionHeaderOffset = SplatBuffer.HeaderSizeBytes + sectionIndex * SplatBuffer.SectionHeaderSizeBytes;
+        new Uint8Array(bufferData, sectionHeaderOffset, SplatBuffer.SectionHeaderSizeBytes)
+            .set(new Uint8Array(sectionSplatBuffer.bufferData, SplatBuffer.HeaderSizeBytes, SplatBuffer.SectionHeaderSizeBytes));
+        const sectionDataOffset = SplatBuffer.HeaderSizeBytes + SplatBuffer.SectionHeaderSizeBytes;
+        new Uint8Array(bufferData, this.sectionsEndBytes, storageSizeBytes)
+            .set(new Uint8Array(sectionSplatBuffer.bufferData, sectionDataOffset, storageSizeBytes));
+
+        this.sectionsEndBytes += storageSizeBytes;
+        this.sectionCount++;
+        this.splatCount += sectionSplatCount;
+        this.pendingSplats = new UncompressedSplatArray(this.sphericalHarmonicsDegree);
+
+        this.splatBuffer.updateSectionHeaders(bufferData);
+        this.splatBuffer.updateSectionLoadedCounts(sectionIndex, sectionSplatCount);
+    }
+
+    /**
+     * Make the splats added so far visible through the splat buffer's loaded counts. Compressed splats only become
+     * visible once their section is full.
+     * @return {boolean} True if splats were added since the last commit
+     */
+    commit() {
+        if (this.splatCount === this.committedSplatCount) return false;
+        if (this.compressionLevel === 0) this.splatBuffer.updateSectionLoadedCounts(0, this.splatCount);
+        this.splatBuffer.updateLoadedCounts(this.sectionCount, this.splatCount);
+        this.committedSplatCount = this.splatCount;
+        return true;
+    }
+
+    /**
+     * Write the last, partially filled section and commit. All splats must have been added. If splats were left out for
+     * their opacity, the splat buffer is first shrunk to the splats that were kept, which changes its maximum splat
+     * count.
+     */
+    finish() {
+        if (this.addedSplatCount !== this.maxSplatCount) {
+            throw new Error('ProgressiveSplatBufferBuilder::finish() -> Not all splats were added');
+        }
+        const keptSplatCount = this.splatCount + this.pendingSplats.splatCount;
+        if (keptSplatCount < this.maxSplatCount) this.shrinkToSplatCount(keptSplatCount);
+        if (this.pendingSplats.splatCount > 0) this.writePendingSection();
+        this.commit();
+        // Drop the room that was reserved for buckets but not used
+        if (this.compressionLevel >= 1 && this.splatBuffer.bufferData.byteLength > this.sectionsEndBytes) {
+            this.splatBuffer.updateSectionHeaders(this.splatBuffer.bufferData.slice(0, this.sectionsEndBytes));
+        }
+    }
+
+    /**
+     * Lay the splat buffer out again (in place, so that it stays the same instance) for the splats that were kept: only
+     * the sections written so far plus one for the pending splats, and a maximum splat count of 'keptSplatCount'.
+     * @param {number} keptSplatCount Number of splats that were added and not left out
+     */
+    shrinkToSplatCount(keptSplatCount) {
+        const bufferData = this.splatBuffer.bufferData;
+        const pendingSplatCount = this.pendingSplats.splatCount;
+        const maxSectionCount = this.compressionLevel === 0 ? (keptSplatCount > 0 ? 1 : 0) :
+                                                              this.sectionCount + (pendingSplatCount > 0 ? 1 : 0);
+        const sectionsStartBytes = SplatBuffer.HeaderSizeBytes + this.maxSectionCount * SplatBuffer.SectionHeaderSizeBytes;
+        const writtenSizeBytes = this.compressionLevel === 0 ? this.splatCount * this.bytesPerSplat :
+                                                               this.sectionsEndBytes - sectionsStartBytes;
+        const shrunkSectionsStartBytes = SplatBuffer.HeaderSizeBytes + maxSectionCount * SplatBuffer.SectionHeaderSizeBytes;
+        const shrunkBufferData = new ArrayBuffer(shrunkSectionsStartBytes + writtenSizeBytes + pendingSplatCount * this.bytesPerSplat);
+        const writtenSectionHeadersEndBytes = SplatBuffer.HeaderSizeBytes + this.sectionCount * SplatBuffer.SectionHeaderSizeBytes;
+        new Uint8Array(shrunkBufferData, 0, writtenSectionHeadersEndBytes)
+            .set(new Uint8Array(bufferData, 0, writtenSectionHeadersEndBytes));
+        new Uint8Array(shrunkBufferData, shrunkSectionsStartBytes, writtenSizeBytes)
+            .set(new Uint8Array(bufferData, sectionsStartBytes, writtenSizeBytes));
+
+        this.maxSplatCount = keptSplatCount;
+        this.maxSectionCount = maxSectionCount;
+        this.sectionsEndBytes = shrunkSectionsStartBytes + (this.compressionLevel === 0 ? 0 : writtenSizeBytes);
+
+        SplatBuffer.writeHeaderToBuffer({
+            versionMajor: SplatBuffer.CurrentMajorVersion,
+            versionMinor: SplatBuffer.CurrentMinorVersion,
+            maxSectionCount: maxSectionCount,
+            sectionCount: this.sectionCount,
+            maxSplatCount: keptSplatCount,
+            splatCount: this.splatCount,
+            compressionLevel: this.compressionLevel,
+            sceneCenter: this.sceneCenter
+        }, shrunkBufferData);
+        // Written compressed sections already have headers for their actual splat counts. The single uncompressed section
+        // and the section for the pending compressed splats were laid out for more splats.
+        if (this.compressionLevel === 0) {
+            if (maxSectionCount > 0) this.writeBucketlessSectionHeader(shrunkBufferData, 0, keptSplatCount, this.splatCount);
+        } else if (pendingSplatCount > 0) {
+            this.writeBucketlessSectionHeader(shrunkBufferData, this.sectionCount, pendingSplatCount, 0);
+        }
+
+        this.splatBuffer.constructFromBuffer(shrunkBufferData, false);
+    }
+}
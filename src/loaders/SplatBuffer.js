@@ -1024,6 +1024,22 @@ export class SplatBuffer {
         this.sections[sectionIndex].splatCount = newSplatCount;
     }
 
+    /**
+     * Re-read the section headers, keeping the loaded splat counts. Used when sections are written into the buffer while
+     * it is being loaded, which moves the sections after them, or when the buffer data is replaced with a larger copy.
+     * @param {ArrayBuffer} bufferData New buffer data, defaults to the current one
+     */
+    updateSectionHeaders(bufferData = this.bufferData) {
+        const loadedSectionSplatCounts = this.sections.map((section) => section.splatCount);
+        this.bufferData = bufferData;
+        const header = SplatBuffer.parseHeader(this.bufferData);
+        this.sections = SplatBuffer.parseSectionHeaders(header, this.bufferData, SplatBuffer.HeaderSizeBytes, false);
+        for (let i = 0; i < this.sections.length; i++) {
+            this.sections[i].splatCount = loadedSectionSplatCounts[i] || 0;
+        }
+        this.linkBufferArrays();
+    }
+
     static writeSplatDataToSectionBuffer = function() {
 
         const tempCenterBuffer = new ArrayBuffer(12);
@@ -1,8 +1,145 @@
 import { SceneFormat } from './SceneFormat.js';
+import { SplatBuffer } from './SplatBuffer.js';
+import { KSplatLoader } from './ksplat/KSplatLoader.js';
+import { SpzParser } from './spz/SpzParser.js';
+import { AbortablePromise, AbortedPromiseError } from '../AbortablePromise.js';
+import { fetchSource } from '../Util.js';
+
+// Number of bytes at the start of a file that sceneFormatFromBuffer() needs to tell the formats apart
+export const SceneFormatSniffSizeBytes = 32;
 
 export const sceneFormatFromPath = (path) => {
+    // Query strings and fragments (e.g. signed URL tokens) are not part of the file name
+    path = path.split(/[?#]/)[0].toLowerCase();
     if (path.endsWith('.ply')) return SceneFormat.Ply;
     else if (path.endsWith('.splat')) return SceneFormat.Splat;
     else if (path.endsWith('.ksplat')) return SceneFormat.KSplat;
+    else if (path.endsWith('.spz')) return SceneFormat.Spz;
+    return null;
+};
+
+/**
+ * Determine the format of a splat scene file from its first bytes. .ply files start with a 'ply' line, .spz files are
+ * gzipped (or start with the SPZ magic number if they are not) and .ksplat files start with a SplatBuffer header whose
+ * version is supported by KSplatLoader. .splat files have no header at all, so they cannot be told apart from other
+ * data and are only recognized by their extension (see sceneFormatFromPath()).
+ * @param {ArrayBuffer} buffer The file, or at least its first SceneFormatSniffSizeBytes bytes
+ * @return {SceneFormat} The format, or null if it could not be determined
+ */
+export const sceneFormatFromBuffer = (buffer) => {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, SceneFormatSniffSizeBytes));
+    const dataView = new DataView(bytes.buffer, 0, bytes.length);
+
+    if (bytes.length >= 4 && bytes[0] === 0x70 && bytes[1] === 0x6c && bytes[2] === 0x79 &&
+        (bytes[3] === 0x0a || bytes[3] === 0x0d)) {
+        return SceneFormat.Ply;
+    }
+
+    if (SpzParser.isGzipped(bytes.buffer) || (bytes.length >= 4 && dataView.getUint32(0, true) === SpzParser.Magic)) {
+        return SceneFormat.Spz;
+    }
+
+    // Bytes 2 and 3 of a SplatBuffer header are unused and always 0, and its counts have to be consistent
+    if (bytes.length >= 22 && bytes[2] === 0 && bytes[3] === 0 && KSplatLoader.isVersionSupported(bytes[0], bytes[1])) {
+        const maxSectionCount = dataView.getUint32(4, true);
+        const sectionCount = dataView.getUint32(8, true);
+        const maxSplatCount = dataView.getUint32(12, true);
+        const splatCount = dataView.getUint32(16, true);
+        const compressionLevel = dataView.getUint16(20, true);
+        if (sectionCount <= maxSectionCount && splatCount <= maxSplatCount &&
+            SplatBuffer.CompressionLevels[compressionLevel] !== undefined) {
+            return SceneFormat.KSplat;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Determine the format of a splat scene source from its name: the path of a URL or the name of a File.
+ * @param {string|File|Blob|ArrayBuffer|ReadableStream} source The splat scene source
+ * @return {SceneFormat} The format, or null if the source has no name or the name has no known extension
+ */
+export const sceneFormatFromSourceName = (source) => {
+    if (typeof source === 'string') return sceneFormatFromPath(source);
+    else if (typeof File !== 'undefined' && source instanceof File) return sceneFormatFromPath(source.name);
     return null;
 };
+
+/**
+ * Open a splat scene source and determine its format from the first bytes of its data, reading no more than that. The
+ * data is only requested once: the resolved response replays the bytes that were read, followed by the rest of the
+ * data, and can be passed on to a loader as the source. Cancel its body if it is not used.
+ * @param {string|File|Blob|ArrayBuffer|ReadableStream} source URL or in-memory data of the splat scene
+ * @return {AbortablePromise} Resolves with { format, response }, where 'format' is null if it could not be determined
+ */
+export const peekSceneFormat = function(source) {
+    const abortController = new AbortController();
+    let rejectFunc = null;
+    const abortHandler = (reason) => {
+        abortController.abort(reason);
+        rejectFunc(new AbortedPromiseError('Fetch aborted.'));
+    };
+
+    return new AbortablePromise((resolve, reject) => {
+        rejectFunc = reject;
+        fetchSource(source, abortController.signal)
+        .then(async (response) => {
+            if (!response.ok) throw new Error(`peekSceneFormat() -> Could not fetch ${source} (${response.status})`);
+            const reader = response.body.getReader();
+            const chunks = [];
+            let bytesRead = 0;
+            while (bytesRead < SceneFormatSniffSizeBytes) {
+                const { value: chunk, done } = await reader.read();
+                if (done) break;
+                chunks.push(chunk);
+                bytesRead += chunk.length;
+            }
+
+            const buffer = new Uint8Array(Math.min(bytesRead, SceneFormatSniffSizeBytes));
+            let offset = 0;
+            for (let chunk of chunks) {
+                if (offset >= buffer.length) break;
+                const byteCount = Math.min(chunk.length, buffer.length - offset);
+                buffer.set(chunk.subarray(0, byteCount), offset);
+                offset += byteCount;
+            }
+
+            const body = new ReadableStream({
+                pull(controller) {
+                    if (chunks.length > 0) {
+                        controller.enqueue(chunks.shift());
+                        return;
+                    }
+                    return reader.read().then(({ value: chunk, done }) => {
+                        if (done) controller.close();
+                        else controller.enqueue(chunk);
+                    });
+                },
+                cancel(reason) {
+                    return reader.cancel(reason);
+                }
+            });
+            resolve({
+                'format': sceneFormatFromBuffer(buffer.buffer),
+                'response': new Response(body, { 'headers': response.headers })
+            });
+        })
+        .catch(reject);
+    }, abortHandler);
+};
+
+/**
+ * Determine the format of a splat scene source from its name, and if that is not possible (no known extension), from
+ * the first bytes of its data (see peekSceneFormat()). Reading stops as soon as enough bytes have arrived.
+ * @param {string|File|Blob|ArrayBuffer|ReadableStream} source URL or in-memory data of the splat scene
+ * @return {AbortablePromise} Resolves with the format, or null if it could not be determined
+ */
+export const sceneFormatFromSource = function(source) {
+    const format = sceneFormatFromSourceName(source);
+    if (format !== null) return new AbortablePromise((resolve) => resolve(format));
+    return peekSceneFormat(source).then(({ format, response }) => {
+        response.body.cancel();
+        return format;
+    });
+};
@@ -5,19 +5,23 @@ import { Constants } from '../../Constants.js';
 
 export class KSplatLoader {
 
+    static isVersionSupported(versionMajor, versionMinor) {
+        const minVersionMajor = SplatBuffer.CurrentMajorVersion;
+        const minVersionMinor = SplatBuffer.CurrentMinorVersion;
+        return versionMajor === minVersionMajor && versionMinor >= minVersionMinor || versionMajor > minVersionMajor;
+    }
+
    static checkVersion(buffer) {
         const minVersionMajor = SplatBuffer.CurrentMajorVersion;
         const minVersionMinor = SplatBuffer.CurrentMinorVersion;
         const header = SplatBuffer.parseHeader(buffer);
-        if (header.versionMajor === minVersionMajor &&
-            header.versionMinor >= minVersionMinor ||
-            header.versionMajor > minVersionMajor) {
+        if (KSplatLoader.isVersionSupported(header.versionMajor, header.versionMinor)) {
            return true;
         } else {
             throw new Error(`KSplat version not supported: v${header.versionMajor}.${header.versionMinor}. ` +
                             `Minimum required: v${minVersionMajor}.${minVersionMinor}`);
         }
-    };
+    }
 
     static loadFromURL(fileName, externalOnProgress, progressiveLoad, onSectionBuilt) {
         let progressiveLoadBuffer;
@@ -219,7 +219,7 @@ export class PlayCanvasCompressedPlyParser {
     let dataView = readBuffer instanceof DataView ? readBuffer : new DataView(readBuffer);
 
     fromIndex = fromIndex || 0;
-    toIndex = toIndex || element.count - 1;
+    toIndex = (toIndex !== undefined && toIndex !== null) ? toIndex : element.count - 1;
     for (let e = fromIndex; e <= toIndex; ++e) {
       for (let j = 0; j < element.properties.length; ++j) {
         const property = element.properties[j];
@@ -1,12 +1,12 @@
-import * as THREE from 'three';
 import { PlyParser } from './PlyParser.js';
 import { PlyParserUtils } from './PlyParserUtils.js';
 import { INRIAV1PlyParser } from './INRIAV1PlyParser.js';
+import { INRIAV2PlyParser } from './INRIAV2PlyParser.js';
 import { PlayCanvasCompressedPlyParser } from './PlayCanvasCompressedPlyParser.js';
 import { PlyFormat } from './PlyFormat.js';
 import { fetchWithProgress, delayedExecute, nativePromiseWithExtractedComponents } from '../../Util.js';
-import { SplatBuffer } from '../SplatBuffer.js';
 import { SplatBufferGenerator } from '../SplatBufferGenerator.js';
+import { ProgressiveSplatBufferBuilder } from '../ProgressiveSplatBufferBuilder.js';
 import { LoaderStatus } from '../LoaderStatus.js';
 import { Constants } from '../../Constants.js';
 
@@ -33,36 +33,84 @@ export class PlyLoader {
                        outSphericalHarmonicsDegree = 0, sectionSize, sceneCenter, blockSize, bucketSize) {
 
         const progressiveLoadSectionSizeBytes = Constants.ProgressiveLoadSectionSize;
-        const splatDataOffsetBytes = SplatBuffer.HeaderSizeBytes + SplatBuffer.SectionHeaderSizeBytes;
-        const sectionCount = 1;
-
-        let progressiveLoadBufferIn;
-        let progressiveLoadBufferOut;
-        let progressiveLoadSplatBuffer;
-        let compressedPlyHeaderChunksBuffer;
-        let maxSplatCount = 0;
-        let splatCount = 0;
 
-        let headerLoaded = false;
-        let readyToLoadSplatData = false;
-        let compressed = false;
+        let splatBufferBuilder;
+        let elements;
+        let splatElements;
+        let splatElementIndex = 0;
+        let loadFinished = false;
 
         const progressiveLoadPromise = nativePromiseWithExtractedComponents();
 
-        let numBytesStreamed = 0;
-        let numBytesParsed = 0;
         let numBytesDownloaded = 0;
+        let numBytesAtLastUpdate = 0;
         let headerText = '';
-        let header = null;
         let chunks = [];
+        let chunksBuffer;
 
         const textDecoder = new TextDecoder();
 
-        const inriaV1PlyParser = new INRIAV1PlyParser();
+        const addSplat = (splat) => splatBufferBuilder.addSplat(splat);
+
+        const processDownloadedData = (downloadComplete) => {
+            const windowStartBytes = chunks.length > 0 ? chunks[0].startBytes : numBytesDownloaded;
+            if (chunks.length > 0) chunksBuffer = storeChunksInBuffer(chunks, chunksBuffer);
+
+            // Data elements are read as soon as they have fully arrived, so that the splat elements which depend on them
+            // can be decoded
+            for (let element of elements) {
+                if (element.read && !element.loaded && element.startBytes + element.sizeBytes <= numBytesDownloaded) {
+                    element.read(new DataView(chunksBuffer, element.startBytes - windowStartBytes, element.sizeBytes));
+                    element.loaded = true;
+                }
+            }
+
+            // Splat elements are decoded in file order, a whole number of splats at a time
+            while (splatElementIndex < splatElements.length) {
+                const element = splatElements[splatElementIndex];
+                if (element.isReady && !element.isReady()) break;
+                const elementBytesDownloaded = Math.min(numBytesDownloaded - element.startBytes, element.sizeBytes);
+                const splatCount = Math.floor(elementBytesDownloaded / element.bytesPerSplat) - element.parsedSplatCount;
+                if (splatCount > 0) {
+                    const dataOffset = element.startBytes + element.parsedSplatCount * element.bytesPerSplat - windowStartBytes;
+                    element.parseSplats(new DataView(chunksBuffer), dataOffset, element.parsedSplatCount, splatCount, addSplat);
+                    element.parsedSplatCount += splatCount;
+                }
+                if (element.parsedSplatCount < element.splatCount) break;
+                splatElementIndex++;
+            }
+
+            // Keep the downloaded data that has not been decoded yet
+            let keepFromBytes = numBytesDownloaded;
+            if (splatElementIndex < splatElements.length) {
+                const element = splatElements[splatElementIndex];
+                keepFromBytes = element.startBytes + element.parsedSplatCount * element.bytesPerSplat;
+            }
+            for (let element of elements) {
+                if (element.read && !element.loaded) keepFromBytes = Math.min(keepFromBytes, element.startBytes);
+            }
+            while (chunks.length > 0 && chunks[0].endBytes <= keepFromBytes) chunks.shift();
+
+            const allSplatsParsed = splatElementIndex >= splatElements.length;
+            if (!allSplatsParsed && downloadComplete) {
+                throw new Error('PlyLoader.loadFromURL() -> File ended before all splats were loaded.');
+            }
+            if (allSplatsParsed) {
+                splatBufferBuilder.finish();
+                loadFinished = true;
+            }
+            if (splatBufferBuilder.commit() || loadFinished) {
+                onStreamedSectionProgress(splatBufferBuilder.getSplatBuffer(), loadFinished);
+            }
+            if (loadFinished) {
+                progressiveLoadPromise.resolve(splatBufferBuilder.getSplatBuffer());
+            }
+        };
 
         const localOnProgress = (percent, percentLabel, chunkData) => {
-            const loadComplete = percent >= 100;
-            if (progressiveLoad) {
+            // The last call of a download comes without data
+            const downloadComplete = percent >= 100 && !chunkData;
+            if (progressiveLoad && !loadFinished) {
 
                 if (chunkData) {
                     chunks.push({
@@ -74,125 +122,23 @@ export class PlyLoader {
                     numBytesDownloaded += chunkData.byteLength;
                 }
 
-                if (!headerLoaded) {
-                    headerText += textDecoder.decode(chunkData);
+                if (!elements) {
+                    if (chunkData) headerText += textDecoder.decode(chunkData);
                     if (PlyParserUtils.checkTextForEndHeader(headerText)) {
-                        const plyFormat = PlyParserUtils.determineHeaderFormatFromHeaderText(headerText);
-                        if (plyFormat === PlyFormat.INRIAV1) {
-                            header = inriaV1PlyParser.decodeHeaderText(headerText);
-                            maxSplatCount = header.splatCount;
-                            readyToLoadSplatData = true;
-                            compressed = false;
-                        } else if (plyFormat === PlyFormat.PlayCanvasCompressed) {
-                            header = PlayCanvasCompressedPlyParser.decodeHeaderText(headerText);
-                            maxSplatCount = header.vertexElement.count;
-                            compressed = true;
-                        } else {
-                            throw new Error('PlyLoader.loadFromURL() -> Selected Ply format cannot be progressively loaded.');
-                        }
-                        outSphericalHarmonicsDegree = Math.min(outSphericalHarmonicsDegree, header.sphericalHarmonicsDegree);
-
-                        const shDescriptor = SplatBuffer.CompressionLevels[0].SphericalHarmonicsDegrees[outSphericalHarmonicsDegree];
-                        const splatBufferSizeBytes = splatDataOffsetBytes + shDescriptor.BytesPerSplat * maxSplatCount;
-                        progressiveLoadBufferOut = new ArrayBuffer(splatBufferSizeBytes);
-                        SplatBuffer.writeHeaderToBuffer({
-                            versionMajor: SplatBuffer.CurrentMajorVersion,
-                            versionMinor: SplatBuffer.CurrentMinorVersion,
-                            maxSectionCount: sectionCount,
-                            sectionCount: sectionCount,
-                            maxSplatCount: maxSplatCount,
-                            splatCount: splatCount,
-                            compressionLevel: 0,
-                            sceneCenter: new THREE.Vector3()
-                        }, progressiveLoadBufferOut);
-
-                        numBytesStreamed = header.headerSizeBytes;
-                        numBytesParsed = header.headerSizeBytes;
-                        headerLoaded = true;
-                    }
-                } else if (compressed && !readyToLoadSplatData) {
-                    const sizeRequiredForHeaderAndChunks = header.headerSizeBytes + header.chunkElement.storageSizeBytes;
-                    compressedPlyHeaderChunksBuffer = storeChunksInBuffer(chunks, compressedPlyHeaderChunksBuffer);
-                    if (compressedPlyHeaderChunksBuffer.byteLength >= sizeRequiredForHeaderAndChunks) {
-                        PlayCanvasCompressedPlyParser.readElementData(header.chunkElement, compressedPlyHeaderChunksBuffer,
-                                                                      header.headerSizeBytes);
-                        numBytesStreamed = sizeRequiredForHeaderAndChunks;
-                        numBytesParsed = sizeRequiredForHeaderAndChunks;
-                        readyToLoadSplatData = true;
+                        const header = PlyLoader.decodeStreamedHeader(headerText, outSphericalHarmonicsDegree);
+                        elements = header.elements;
+                        splatElements = elements.filter((element) => !element.read);
+                        splatBufferBuilder = new ProgressiveSplatBufferBuilder(header.splatCount, minimumAlpha, compressionLevel,
+                                                                               header.sphericalHarmonicsDegree, sceneCenter,
+                                                                               blockSize, bucketSize);
+                    } else if (downloadComplete) {
+                        throw new Error('PlyLoader.loadFromURL() -> Could not find the end of the PLY header.');
                     }
                 }
 
-                if (headerLoaded && readyToLoadSplatData) {
-
-                    if (chunks.length > 0) {
-
-                        progressiveLoadBufferIn = storeChunksInBuffer(chunks, progressiveLoadBufferIn);
-
-                        const bytesLoadedSinceLastStreamedSection = numBytesDownloaded - numBytesStreamed;
-                        if (bytesLoadedSinceLastStreamedSection > progressiveLoadSectionSizeBytes || loadComplete) {
-                            const numBytesToProcess = numBytesDownloaded - numBytesParsed;
-                            const addedSplatCount = Math.floor(numBytesToProcess / header.bytesPerSplat);
-                            const numBytesToParse = addedSplatCount * header.bytesPerSplat;
-                            const numBytesLeftOver = numBytesToProcess - numBytesToParse;
-                            const newSplatCount = splatCount + addedSplatCount;
-                            const parsedDataViewOffset = numBytesParsed - chunks[0].startBytes;
-                            const dataToParse = new DataView(progressiveLoadBufferIn, parsedDataViewOffset, numBytesToParse);
-
-                            const shDescriptor = SplatBuffer.CompressionLevels[0].SphericalHarmonicsDegrees[outSphericalHarmonicsDegree];
-                            const outOffset = splatCount * shDescriptor.BytesPerSplat + splatDataOffsetBytes;
-
-                            if (compressed) {
-                                PlayCanvasCompressedPlyParser.parseToUncompressedSplatBufferSection(header.chunkElement,
-                                                                                                    header.vertexElement, 0,
-                                                                                                    addedSplatCount - 1, splatCount,
-                                                                                                    dataToParse, 0,
-                                                                                                    progressiveLoadBufferOut, outOffset);
-                            } else {
-                                inriaV1PlyParser.parseToUncompressedSplatBufferSection(header, 0, addedSplatCount - 1, dataToParse,
-                                                                                       0, progressiveLoadBufferOut, outOffset,
-                                                                                       outSphericalHarmonicsDegree);
-                            }
-
-                            splatCount = newSplatCount;
-                            if (!progressiveLoadSplatBuffer) {
-                                SplatBuffer.writeSectionHeaderToBuffer({
-                                    maxSplatCount: maxSplatCount,
-                                    splatCount: splatCount,
-                                    bucketSize: 0,
-                                    bucketCount: 0,
-                                    bucketBlockSize: 0,
-                                    compressionScaleRange: 0,
-                                    storageSizeBytes: 0,
-                                    fullBucketCount: 0,
-                                    partiallyFilledBucketCount: 0,
-                                    sphericalHarmonicsDegree: outSphericalHarmonicsDegree
-                                }, 0, progressiveLoadBufferOut, SplatBuffer.HeaderSizeBytes);
-                                progressiveLoadSplatBuffer = new SplatBuffer(progressiveLoadBufferOut, false);
-                            }
-                            progressiveLoadSplatBuffer.updateLoadedCounts(1, splatCount);
-                            onStreamedSectionProgress(progressiveLoadSplatBuffer, loadComplete);
-                            numBytesStreamed += progressiveLoadSectionSizeBytes;
-                            numBytesParsed += numBytesToParse;
-
-                            if (numBytesLeftOver === 0) {
-                                chunks = [];
-                            } else {
-                                let keepChunks = [];
-                                let keepSize = 0;
-                                for (let i = chunks.length - 1; i >= 0; i--) {
-                                    const chunk = chunks[i];
-                                    keepSize += chunk.sizeBytes;
-                                    keepChunks.unshift(chunk);
-                                    if (keepSize >= numBytesLeftOver) break;
-                                }
-                                chunks = keepChunks;
-                            }
-                        }
-                    }
-
-                    if (loadComplete) {
-                        progressiveLoadPromise.resolve(progressiveLoadSplatBuffer);
-                    }
+                if (elements && (numBytesDownloaded - numBytesAtLastUpdate > progressiveLoadSectionSizeBytes || percent >= 100)) {
+                    processDownloadedData(downloadComplete);
+                    numBytesAtLastUpdate = numBytesDownloaded;
                 }
 
             }
@@ -211,6 +157,116 @@ export class PlyLoader {
         });
     }
 
+    /**
+     * Decode the header of a PLY file of any supported format into the list of elements that follow it, in file order,
+     * so the file can be decoded while it downloads. Splat elements ('splatCount', 'bytesPerSplat', 'parseSplats()')
+     * hold the splats, one row each. Data elements ('read()') hold data the splats depend on, the chunk bounds of
+     * PlayCanvas compressed files and the code book of INRIAV2 files; they are read once they have fully arrived and
+     * splat elements that need them wait until then ('isReady()').
+     * @param {string} headerText Text of the file up to and including 'end_header'
+     * @param {number} outSphericalHarmonicsDegree Highest spherical harmonics degree to load
+     * @return {object} { elements, splatCount, sphericalHarmonicsDegree }
+     */
+    static decodeStreamedHeader(headerText, outSphericalHarmonicsDegree = 0) {
+        const plyFormat = PlyParserUtils.determineHeaderFormatFromHeaderText(headerText);
+        const elements = [];
+        let headerSizeBytes;
+        let sphericalHarmonicsDegree;
+
+        if (plyFormat === PlyFormat.INRIAV1) {
+            const header = new INRIAV1PlyParser().decodeHeaderText(headerText);
+            headerSizeBytes = header.headerSizeBytes;
+            sphericalHarmonicsDegree = Math.min(outSphericalHarmonicsDegree, header.sphericalHarmonicsDegree);
+            elements.push({
+                'splatCount': header.splatCount,
+                'bytesPerSplat': header.bytesPerSplat,
+                'parseSplats': (dataView, dataOffset, fromSplat, splatCount, addSplat) => {
+                    for (let i = 0; i < splatCount; i++) {
+                        addSplat(INRIAV1PlyParser.parseToUncompressedSplat(dataView, i, header, dataOffset, sphericalHarmonicsDegree));
+                    }
+                }
+            });
+        } else if (plyFormat === PlyFormat.INRIAV2) {
+            const parser = new INRIAV2PlyParser();
+            const header = parser.decodeHeaderFromHeaderText(headerText);
+            headerSizeBytes = header.headerSizeBytes;
+            sphericalHarmonicsDegree = outSphericalHarmonicsDegree;
+            let codeBook;
+            for (let sectionHeader of header.sectionHeaders) {
+                if (sectionHeader.sectionName === 'codebook_centers') {
+                    elements.push({
+                        'sizeBytes': sectionHeader.dataSizeBytes,
+                        'read': (dataView) => {
+                            codeBook = parser.decodeCodeBook(dataView, sectionHeader);
+                        }
+                    });
+                } else {
+                    sphericalHarmonicsDegree = Math.min(sphericalHarmonicsDegree, sectionHeader.sphericalHarmonicsDegree);
+                    elements.push({
+                        'splatCount': sectionHeader.vertexCount,
+                        'bytesPerSplat': sectionHeader.bytesPerVertex,
+                        'isReady': () => codeBook !== undefined,
+                        'parseSplats': (dataView, dataOffset, fromSplat, splatCount, addSplat) => {
+                            for (let i = 0; i < splatCount; i++) {
+                                addSplat(INRIAV2PlyParser.parseToUncompressedSplat(dataView, i, sectionHeader, codeBook,
+                                                                                   dataOffset, sphericalHarmonicsDegree));
+                            }
+                        }
+                    });
+                }
+            }
+        } else if (plyFormat === PlyFormat.PlayCanvasCompressed) {
+            const header = PlayCanvasCompressedPlyParser.decodeHeaderText(headerText);
+            const { chunkElement, vertexElement } = header;
+            headerSizeBytes = header.headerSizeBytes;
+            sphericalHarmonicsDegree = Math.min(outSphericalHarmonicsDegree, header.sphericalHarmonicsDegree);
+            let chunksLoaded = false;
+            elements.push({
+                'sizeBytes': chunkElement.storageSizeBytes,
+                'read': (dataView) => {
+                    PlayCanvasCompressedPlyParser.readElementData(chunkElement, dataView, 0);
+                    chunksLoaded = true;
+                }
+            });
+            elements.push({
+                'splatCount': vertexElement.count,
+                'bytesPerSplat': header.bytesPerSplat,
+                'isReady': () => chunksLoaded,
+                'parseSplats': (dataView, dataOffset, fromSplat, splatCount, addSplat) => {
+                    PlayCanvasCompressedPlyParser.readElementData(vertexElement, dataView, dataOffset, 0, splatCount - 1);
+                    const { positionExtremes, scaleExtremes, position, rotation, scale, color } =
+                        PlayCanvasCompressedPlyParser.getElementStorageArrays(chunkElement, vertexElement);
+                    for (let i = 0; i < splatCount; i++) {
+                        addSplat(PlayCanvasCompressedPlyParser.decompressSplat(i, fromSplat, position, positionExtremes, scale,
+                                                                               scaleExtremes, rotation, color));
+                    }
+                }
+            });
+        } else {
+            throw new Error('PlyLoader.decodeStreamedHeader() -> Unknown PLY format.');
+        }
+
+        let startBytes = headerSizeBytes;
+        let splatCount = 0;
+        for (let element of elements) {
+            element.startBytes = startBytes;
+            if (element.read) {
+                element.loaded = false;
+            } else {
+                element.sizeBytes = element.splatCount * element.bytesPerSplat;
+                element.parsedSplatCount = 0;
+                splatCount += element.splatCount;
+            }
+            startBytes += element.sizeBytes;
+        }
+
+        return {
+            'elements': elements,
+            'splatCount': splatCount,
+            'sphericalHarmonicsDegree': sphericalHarmonicsDegree
+        };
+    }
+
     static loadFromFileData(plyFileData, minimumAlpha, compressionLevel, outSphericalHarmonicsDegree = 0,
                             sectionSize, sceneCenter, blockSize, bucketSize) {
         return delayedExecute(() => {
@@ -14,6 +14,7 @@ export class SplatLoader {
         const splatDataOffsetBytes = SplatBuffer.HeaderSizeBytes + SplatBuffer.SectionHeaderSizeBytes;
         const progressiveLoadSectionSizeBytes = Constants.ProgressiveLoadSectionSize;
         const sectionCount = 1;
+        const progressiveLoadRequested = progressiveLoad;
 
         let progressiveLoadBufferIn;
         let progressiveLoadBufferOut;
@@ -95,6 +96,10 @@ export class SplatLoader {
                 SplatLoader.loadFromFileData(fullBuffer, minimumAlpha, compressionLevel, optimizeSplatData,
                                              sectionSize, sceneCenter, blockSize, bucketSize);
             return loadPromise.then((splatBuffer) => {
+                // A file of unknown size (e.g. a ReadableStream source) is not streamed, so it arrives as a single section
+                if (progressiveLoadRequested && !progressiveLoad && onStreamedSectionProgress) {
+                    onStreamedSectionProgress(splatBuffer, true);
+                }
                 if (onProgress) onProgress(100, '100%', LoaderStatus.Done);
                 return splatBuffer;
             });
@@ -0,0 +1,40 @@
+import { SpzParser } from './SpzParser.js';
+import { fetchWithProgress } from '../../Util.js';
+import { SplatBufferGenerator } from '../SplatBufferGenerator.js';
+import { LoaderStatus } from '../LoaderStatus.js';
+
+export class SpzLoader {
+
+    // .spz files are gzipped as a whole, so they are always decoded once the download has finished and cannot
+    // be loaded progressively
+    static loadFromURL(fileName, onProgress, minimumAlpha, compressionLevel, outSphericalHarmonicsDegree = 0,
+                       sectionSize, sceneCenter, blockSize, bucketSize) {
+
+        const localOnProgress = (percent, percentLabel) => {
+            if (onProgress) onProgress(percent, percentLabel, LoaderStatus.Downloading);
+        };
+
+        return fetchWithProgress(fileName, localOnProgress, true).then((spzFileData) => {
+            if (onProgress) onProgress(0, '0%', LoaderStatus.Processing);
+            return SpzLoader.loadFromFileData(spzFileData, minimumAlpha, compressionLevel, outSphericalHarmonicsDegree,
+                                              sectionSize, sceneCenter, blockSize, bucketSize)
+            .then((splatBuffer) => {
+                if (onProgress) onProgress(100, '100%', LoaderStatus.Done);
+                return splatBuffer;
+            });
+        });
+    }
+
+    static loadFromFileData(spzFileData, minimumAlpha, compressionLevel, outSphericalHarmonicsDegree = 0,
+                            sectionSize, sceneCenter, blockSize, bucketSize) {
+        return SpzParser.decompress(spzFileData)
+        .then((spzBuffer) => {
+            return SpzParser.parseToUncompressedSplatArray(spzBuffer, outSphericalHarmonicsDegree);
+        })
+        .then((splatArray) => {
+            const splatBufferGenerator = SplatBufferGenerator.getStandardGenerator(minimumAlpha, compressionLevel, sectionSize,
+                                                                                   sceneCenter, blockSize, bucketSize);
+            return splatBufferGenerator.generateFromUncompressedSplatArray(splatArray);
+        });
+    }
+}
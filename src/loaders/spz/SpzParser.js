@@ -0,0 +1,213 @@
+import * as THREE from 'three';
+import { UncompressedSplatArray } from '../UncompressedSplatArray.js';
+import { clamp } from '../../Util.js';
+
+const SH_C0 = 0.28209479177387814;
+
+// Number of spherical harmonics coefficients per color channel for each degree, excluding the DC term
+const SPZ_SH_COEFFICIENTS_PER_CHANNEL = [0, 3, 8, 15];
+
+/**
+ * SpzParser: Parser for .spz files, a gzipped container of quantized Gaussian splat data. After a 16 byte header the
+ * file stores each attribute for all splats in turn: positions (24-bit fixed point, or half floats in version 1),
+ * alphas, colors, scales, rotations and spherical harmonics. Version 3 files store rotations as the three smallest
+ * quaternion components, earlier versions store x, y and z.
+ *
+ * SPZ data is stored in a right-up-back coordinate system, while .ply and .splat files use right-down-front. The
+ * parser converts it, so that a scene looks the same whether it is loaded from .spz or from the .ply it was made from.
+ */
+export class SpzParser {
+
+    static Magic = 0x5053474e;
+    static HeaderSizeBytes = 16;
+    static MinVersion = 1;
+    static MaxVersion = 3;
+
+    static isGzipped(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+        return bytes.length === 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+    }
+
+    /**
+     * Undo the gzip compression of an .spz file. Data that is not gzipped is returned as it is.
+     * @param {ArrayBuffer} spzFileData Contents of the .spz file
+     * @return {Promise<ArrayBuffer>}
+     */
+    static decompress(spzFileData) {
+        if (!SpzParser.isGzipped(spzFileData)) return Promise.resolve(spzFileData);
+        if (typeof DecompressionStream === 'undefined') {
+            return Promise.reject(new Error('SpzParser::decompress() -> DecompressionStream is not supported'));
+        }
+        const stream = new Blob([spzFileData]).stream().pipeThrough(new DecompressionStream('gzip'));
+        return new Response(stream).arrayBuffer();
+    }
+
+    static decodeHeader(spzBuffer) {
+        if (spzBuffer.byteLength < SpzParser.HeaderSizeBytes) {
+            throw new Error('SpzParser::decodeHeader() -> File is too small to be an .spz file');
+        }
+        const dataView = new DataView(spzBuffer, 0, SpzParser.HeaderSizeBytes);
+        const magic = dataView.getUint32(0, true);
+        const version = dataView.getUint32(4, true);
+        if (magic !== SpzParser.Magic) {
+            throw new Error('SpzParser::decodeHeader() -> Not an .spz file (invalid magic number)');
+        }
+        if (version < SpzParser.MinVersion || version > SpzParser.MaxVersion) {
+            throw new Error(`SpzParser::decodeHeader() -> Unsupported .spz version: ${version}`);
+        }
+        const sphericalHarmonicsDegree = dataView.getUint8(12);
+        if (sphericalHarmonicsDegree >= SPZ_SH_COEFFICIENTS_PER_CHANNEL.length) {
+            throw new Error(`SpzParser::decodeHeader() -> Unsupported spherical harmonics degree: ${sphericalHarmonicsDegree}`);
+        }
+        return {
+            'version': version,
+            'splatCount': dataView.getUint32(8, true),
+            'sphericalHarmonicsDegree': sphericalHarmonicsDegree,
+            'fractionalBits': dataView.getUint8(13),
+            'flags': dataView.getUint8(14)
+        };
+    }
+
+    /**
+     * Parse the contents of an .spz file that has already been decompressed with SpzParser.decompress().
+     * @param {ArrayBuffer} spzBuffer Decompressed .spz data
+     * @param {number} outSphericalHarmonicsDegree Highest spherical harmonics degree to keep (0 - 2)
+     * @return {UncompressedSplatArray}
+     */
+    static parseToUncompressedSplatArray = function() {
+
+        const tempRotation = new THREE.Quaternion();
+
+        const OFFSET = UncompressedSplatArray.OFFSET;
+
+        // Sign changes of the degree 1 (y, z, x) and degree 2 (xy, yz, 3z^2 - 1, xz, x^2 - y^2) spherical harmonics
+        // basis functions when the y and z axes are flipped
+        const SH_FLIP = [-1, -1, 1, -1, 1, 1, -1, 1];
+
+        return function(spzBuffer, outSphericalHarmonicsDegree = 0) {
+            if (SpzParser.isGzipped(spzBuffer)) {
+                throw new Error('SpzParser::parseToUncompressedSplatArray() -> Data is gzipped, use SpzParser.decompress() first');
+            }
+
+            const header = SpzParser.decodeHeader(spzBuffer);
+            const splatCount = header.splatCount;
+            const inCoefficientsPerChannel = SPZ_SH_COEFFICIENTS_PER_CHANNEL[header.sphericalHarmonicsDegree];
+            outSphericalHarmonicsDegree = Math.min(outSphericalHarmonicsDegree, header.sphericalHarmonicsDegree, 2);
+            const outCoefficientsPerChannel = SPZ_SH_COEFFICIENTS_PER_CHANNEL[outSphericalHarmonicsDegree];
+
+            const positionSizeBytes = header.version === 1 ? 6 : 9;
+            const rotationSizeBytes = header.version >= 3 ? 4 : 3;
+            const positionsOffset = SpzParser.HeaderSizeBytes;
+            const alphasOffset = positionsOffset + splatCount * positionSizeBytes;
+            const colorsOffset = alphasOffset + splatCount;
+            const scalesOffset = colorsOffset + splatCount * 3;
+            const rotationsOffset = scalesOffset + splatCount * 3;
+            const sphericalHarmonicsOffset = rotationsOffset + splatCount * rotationSizeBytes;
+            const totalSizeBytes = sphericalHarmonicsOffset + splatCount * inCoefficientsPerChannel * 3;
+            if (spzBuffer.byteLength < totalSizeBytes) {
+                throw new Error('SpzParser::parseToUncompressedSplatArray() -> File is truncated');
+            }
+
+            const bytes = new Uint8Array(spzBuffer);
+            const dataView = new DataView(spzBuffer);
+            const positionScale = 1.0 / (1 << header.fractionalBits);
+
+            const splatArray = new UncompressedSplatArray(outSphericalHarmonicsDegree);
+
+            for (let i = 0; i < splatCount; i++) {
+                const newSplat = splatArray.addDefaultSplat();
+
+                let x; let y; let z;
+                if (header.version === 1) {
+                    const positionBase = positionsOffset + i * 6;
+                    x = THREE.DataUtils.fromHalfFloat(dataView.getUint16(positionBase, true));
+                    y = THREE.DataUtils.fromHalfFloat(dataView.getUint16(positionBase + 2, true));
+                    z = THREE.DataUtils.fromHalfFloat(dataView.getUint16(positionBase + 4, true));
+                } else {
+                    const positionBase = positionsOffset + i * 9;
+                    x = SpzParser.readFixed24(bytes, positionBase) * positionScale;
+                    y = SpzParser.readFixed24(bytes, positionBase + 3) * positionScale;
+                    z = SpzParser.readFixed24(bytes, positionBase + 6) * positionScale;
+                }
+                newSplat[OFFSET.X] = x;
+                newSplat[OFFSET.Y] = -y;
+                newSplat[OFFSET.Z] = -z;
+
+                // Alphas are stored as sigmoid(opacity) * 255, which is what the splat array holds
+                newSplat[OFFSET.OPACITY] = bytes[alphasOffset + i];
+
+                // Colors are the DC spherical harmonics coefficients, scaled by 0.15 around 0.5
+                const colorBase = colorsOffset + i * 3;
+                for (let c = 0; c < 3; c++) {
+                    const dc = (bytes[colorBase + c] / 255 - 0.5) / 0.15;
+                    newSplat[OFFSET.FDC0 + c] = clamp(Math.floor((0.5 + SH_C0 * dc) * 255), 0, 255);
+                }
+
+                // Scales are stored as (log(scale) + 10) * 16
+                const scaleBase = scalesOffset + i * 3;
+                newSplat[OFFSET.SCALE0] = Math.exp(bytes[scaleBase] / 16.0 - 10.0);
+                newSplat[OFFSET.SCALE1] = Math.exp(bytes[scaleBase + 1] / 16.0 - 10.0);
+                newSplat[OFFSET.SCALE2] = Math.exp(bytes[scaleBase + 2] / 16.0 - 10.0);
+
+                if (header.version >= 3) {
+                    SpzParser.readSmallestThreeRotation(bytes, rotationsOffset + i * 4, tempRotation);
+                } else {
+                    const rotationBase = rotationsOffset + i * 3;
+                    const qx = bytes[rotationBase] / 127.5 - 1.0;
+                    const qy = bytes[rotationBase + 1] / 127.5 - 1.0;
+                    const qz = bytes[rotationBase + 2] / 127.5 - 1.0;
+                    tempRotation.set(qx, qy, qz, Math.sqrt(Math.max(0.0, 1.0 - (qx * qx + qy * qy + qz * qz))));
+                }
+                tempRotation.normalize();
+                newSplat[OFFSET.ROTATION0] = tempRotation.w;
+                newSplat[OFFSET.ROTATION1] = tempRotation.x;
+                newSplat[OFFSET.ROTATION2] = -tempRotation.y;
+                newSplat[OFFSET.ROTATION3] = -tempRotation.z;
+
+                // Spherical harmonics are stored per coefficient with the color channel varying fastest, the splat
+                // array groups them by degree and then by color channel
+                if (outCoefficientsPerChannel > 0) {
+                    const shBase = sphericalHarmonicsOffset + i * inCoefficientsPerChannel * 3;
+                    for (let j = 0; j < outCoefficientsPerChannel; j++) {
+                        for (let c = 0; c < 3; c++) {
+                            const outIndex = j < 3 ? c * 3 + j : 9 + c * 5 + (j - 3);
+                            newSplat[OFFSET.FRC0 + outIndex] = (bytes[shBase + j * 3 + c] - 128) / 128 * SH_FLIP[j];
+                        }
+                    }
+                }
+            }
+
+            return splatArray;
+        };
+
+    }();
+
+    static readFixed24(bytes, offset) {
+        let value = bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+        if (value & 0x800000) value |= 0xff000000;
+        return value;
+    }
+
+    /**
+     * Decode a rotation stored as the index of its largest component (2 bits) and the other three components
+     * (1 sign bit and 9 magnitude bits each), with the largest component derived from the unit length.
+     */
+    static readSmallestThreeRotation(bytes, offset, outRotation) {
+        const MAGNITUDE_MASK = (1 << 9) - 1;
+        const components = [0, 0, 0, 0];
+        let packed = (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+        const largestIndex = packed >>> 30;
+        let sumOfSquares = 0;
+        for (let i = 3; i >= 0; i--) {
+            if (i === largestIndex) continue;
+            const magnitude = packed & MAGNITUDE_MASK;
+            const negative = (packed >>> 9) & 0x1;
+            packed = packed >>> 10;
+            components[i] = Math.SQRT1_2 * magnitude / MAGNITUDE_MASK * (negative ? -1 : 1);
+            sumOfSquares += components[i] * components[i];
+        }
+        components[largestIndex] = Math.sqrt(Math.max(0.0, 1.0 - sumOfSquares));
+        return outRotation.set(components[0], components[1], components[2], components[3]);
+    }
+
+}
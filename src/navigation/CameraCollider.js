@@ -0,0 +1,186 @@
+import * as THREE from 'three';
+
+/**
+ * CameraCollider: Treats opaque splats near the camera as a soft collision volume. Movement into the volume is
+ * reduced to its component along the obstacle surface, and a camera that is already inside is gradually pushed
+ * back out.
+ *
+ * Nearby splats are found by walking only the splat tree nodes whose bounds intersect a sphere around the camera.
+ * The result of that query is cached for a region somewhat larger than the collision radius and re-used until the
+ * camera leaves that region, so the per-frame cost is a scan over a short list of splat centers.
+ */
+export class CameraCollider {
+
+    /**
+     * @param {object} options {
+     *
+     *         radius (number):             Radius of the collision volume around the camera, defaults to 0.25
+     *
+     *         minimumOpacity (number):     Splats with an alpha (0 - 255) below this value are ignored, defaults to 200
+     *
+     *         pushBackRate (number):       Fraction of the current penetration depth removed per resolved move,
+     *                                      defaults to 0.5
+     *
+     *         maxSplatsPerQuery (number):  Upper bound on the number of splats gathered by a single tree query,
+     *                                      defaults to 4096
+     * }
+     */
+    constructor(options = {}) {
+        this.radius = options.radius !== undefined ? options.radius : 0.25;
+        this.minimumOpacity = options.minimumOpacity !== undefined ? options.minimumOpacity : 200;
+        this.pushBackRate = options.pushBackRate !== undefined ? options.pushBackRate : 0.5;
+        this.maxSplatsPerQuery = options.maxSplatsPerQuery !== undefined ? options.maxSplatsPerQuery : 4096;
+
+        this.cacheRadiusMultiplier = 3.0;
+        this.cachedCenters = new Float32Array(0);
+        this.cachedCount = 0;
+        this.cacheCenter = new THREE.Vector3();
+        this.cacheRadius = 0;
+        this.cacheSplatTree = null;
+        this.cacheValid = false;
+    }
+
+    invalidate() {
+        this.cacheValid = false;
+    }
+
+    /**
+     * Gather the world-space centers of all sufficiently opaque splats within a sphere.
+     * @param {SplatMesh} splatMesh The splat mesh to query
+     * @param {THREE.Vector3} center Center of the query sphere
+     * @param {number} radius Radius of the query sphere
+     */
+    querySplats = function() {
+
+        const fromLocal = new THREE.Matrix4();
+        const toLocal = new THREE.Matrix4();
+        const sceneTransform = new THREE.Matrix4();
+        const localSphere = new THREE.Sphere();
+        const splatCenter = new THREE.Vector3();
+        const splatColor = new THREE.Vector4();
+
+        return function(splatMesh, center, radius) {
+            const splatTree = splatMesh.getSplatTree();
+            this.cachedCount = 0;
+            this.cacheCenter.copy(center);
+            this.cacheRadius = radius;
+            this.cacheSplatTree = splatTree;
+            this.cacheValid = true;
+            if (!splatTree) return;
+
+            if (this.cachedCenters.length < this.maxSplatsPerQuery * 3) {
+                this.cachedCenters = new Float32Array(this.maxSplatsPerQuery * 3);
+            }
+
+            const radiusSq = radius * radius;
+            for (let s = 0; s < splatTree.subTrees.length; s++) {
+                const subTree = splatTree.subTrees[s];
+                if (!subTree.rootNode) continue;
+
+                fromLocal.copy(splatMesh.matrixWorld);
+                if (splatMesh.dynamicMode) {
+                    splatMesh.getSceneTransform(s, sceneTransform);
+                    fromLocal.multiply(sceneTransform);
+                }
+                toLocal.copy(fromLocal).invert();
+                localSphere.center.copy(center).applyMatrix4(toLocal);
+                localSphere.radius = radius / Math.max(fromLocal.getMaxScaleOnAxis(), 1e-8);
+
+                const nodesToVisit = [subTree.rootNode];
+                while (nodesToVisit.length > 0 && this.cachedCount < this.maxSplatsPerQuery) {
+                    const node = nodesToVisit.pop();
+                    if (!node.boundingBox.intersectsSphere(localSphere)) continue;
+                    for (let child of node.children) nodesToVisit.push(child);
+                    if (!node.data || !node.data.indexes) continue;
+
+                    for (let splatIndex of node.data.indexes) {
+                        const splatScene = splatMesh.getScene(splatMesh.getSceneIndexForSplat(splatIndex));
+                        if (!splatScene.visible) continue;
+                        splatMesh.getSplatColor(splatIndex, splatColor);
+                        if (splatColor.w < this.minimumOpacity) continue;
+                        splatMesh.getSplatCenter(splatIndex, splatCenter, false);
+                        splatCenter.applyMatrix4(fromLocal);
+                        if (splatCenter.distanceToSquared(center) > radiusSq) continue;
+                        const offset = this.cachedCount * 3;
+                        this.cachedCenters[offset] = splatCenter.x;
+                        this.cachedCenters[offset + 1] = splatCenter.y;
+                        this.cachedCenters[offset + 2] = splatCenter.z;
+                        this.cachedCount++;
+                        if (this.cachedCount >= this.maxSplatsPerQuery) break;
+                    }
+                }
+            }
+        };
+
+    }();
+
+    /**
+     * Compute the push-out direction and penetration depth for a camera at a given position.
+     * @param {SplatMesh} splatMesh The splat mesh providing obstacles
+     * @param {THREE.Vector3} position The camera position to test
+     * @param {THREE.Vector3} outNormal Receives the normalized direction pointing away from nearby obstacles
+     * @return {number} Depth of the deepest penetration into the collision volume, 0 if there is no contact
+     */
+    computeContact = function() {
+
+        const toCamera = new THREE.Vector3();
+
+        return function(splatMesh, position, outNormal) {
+            const splatTree = splatMesh ? splatMesh.getSplatTree() : null;
+            outNormal.set(0, 0, 0);
+            if (!splatTree) return 0;
+
+            const cacheMargin = this.cacheRadius - this.radius;
+            if (!this.cacheValid || this.cacheSplatTree !== splatTree || splatMesh.dynamicMode ||
+                position.distanceTo(this.cacheCenter) > cacheMargin) {
+                this.querySplats(splatMesh, position, this.radius * this.cacheRadiusMultiplier);
+            }
+
+            let maxPenetration = 0;
+            for (let i = 0; i < this.cachedCount; i++) {
+                const offset = i * 3;
+                toCamera.set(position.x - this.cachedCenters[offset],
+                             position.y - this.cachedCenters[offset + 1],
+                             position.z - this.cachedCenters[offset + 2]);
+                const distance = toCamera.length();
+                if (distance >= this.radius || distance < 1e-8) continue;
+                const penetration = this.radius - distance;
+                outNormal.addScaledVector(toCamera, penetration / (distance * this.radius));
+                maxPenetration = Math.max(maxPenetration, penetration);
+            }
+
+            if (maxPenetration === 0 || outNormal.lengthSq() < 1e-12) {
+                outNormal.set(0, 0, 0);
+                return 0;
+            }
+            outNormal.normalize();
+            return maxPenetration;
+        };
+
+    }();
+
+    /**
+     * Adjust a desired camera movement so that it does not go into the collision volume.
+     * @param {SplatMesh} splatMesh The splat mesh providing obstacles
+     * @param {THREE.Vector3} position Current camera position
+     * @param {THREE.Vector3} movement Desired movement, modified in place
+     * @return {THREE.Vector3} The adjusted movement
+     */
+    resolveMovement = function() {
+
+        const target = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+
+        return function(splatMesh, position, movement) {
+            target.copy(position).add(movement);
+            const penetration = this.computeContact(splatMesh, target, normal);
+            if (penetration === 0) return movement;
+
+            const intoObstacle = movement.dot(normal);
+            if (intoObstacle < 0) movement.addScaledVector(normal, -intoObstacle);
+            movement.addScaledVector(normal, penetration * this.pushBackRate);
+            return movement;
+        };
+
+    }();
+}
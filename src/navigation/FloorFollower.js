@@ -0,0 +1,111 @@
+import * as THREE from 'three';
+import { Raycaster } from '../raycaster/Raycaster.js';
+
+/**
+ * FloorFollower: Keeps a walking camera at a fixed eye height above the splat surface below it. The floor is found
+ * by casting a ray straight down (against the walk ground plane's up vector) into the splat mesh. The sampled height
+ * is smoothed over time, and rises of more than 'maxStepHeight' are ignored so the camera does not climb onto
+ * furniture or other obstacles.
+ *
+ * Ray casts go through the splat tree and are relatively expensive, so the floor is sampled at a fixed interval
+ * rather than every frame.
+ */
+export class FloorFollower {
+
+    /**
+     * @param {object} options {
+     *
+     *         eyeHeight (number):         Height of the camera above the floor, defaults to 1.6
+     *
+     *         maxStepHeight (number):     Largest rise in floor height the camera will follow, defaults to 0.35
+     *
+     *         maxDropHeight (number):     Largest drop below the current floor that is still considered floor,
+     *                                     defaults to 3.0
+     *
+     *         smoothing (number):         How quickly the camera height converges on the sampled floor height; higher
+     *                                     is snappier, defaults to 8
+     *
+     *         sampleInterval (number):    Seconds between floor samples, defaults to 0.1
+     *
+     *         minimumOpacity (number):    Splats with an alpha (0 - 255) below this value are not considered floor,
+     *                                     defaults to 128
+     * }
+     */
+    constructor(options = {}) {
+        this.eyeHeight = options.eyeHeight !== undefined ? options.eyeHeight : 1.6;
+        this.maxStepHeight = options.maxStepHeight !== undefined ? options.maxStepHeight : 0.35;
+        this.maxDropHeight = options.maxDropHeight !== undefined ? options.maxDropHeight : 3.0;
+        this.smoothing = options.smoothing !== undefined ? options.smoothing : 8;
+        this.sampleInterval = options.sampleInterval !== undefined ? options.sampleInterval : 0.1;
+        this.minimumOpacity = options.minimumOpacity !== undefined ? options.minimumOpacity : 128;
+
+        this.raycaster = new Raycaster();
+        this.targetFloorHeight = null;
+        this.smoothedFloorHeight = null;
+        this.timeSinceSample = Infinity;
+    }
+
+    reset() {
+        this.targetFloorHeight = null;
+        this.smoothedFloorHeight = null;
+        this.timeSinceSample = Infinity;
+    }
+
+    /**
+     * Cast a ray down from a position and find the height of the first sufficiently opaque splat below it.
+     * @param {THREE.Vector3} position Where to cast from
+     * @param {SplatMesh} splatMesh The splat mesh to test against
+     * @param {GroundPlane} groundPlane Defines which way is down and how height is measured
+     * @return {number|null} Height of the floor, or null if nothing was hit
+     */
+    sampleFloorHeight = function() {
+
+        const outHits = [];
+        const color = new THREE.Vector4();
+
+        return function(position, splatMesh, groundPlane) {
+            if (!splatMesh || !splatMesh.getSplatTree()) return null;
+            this.raycaster.ray.origin.copy(position);
+            this.raycaster.ray.direction.copy(groundPlane.up).negate();
+            outHits.length = 0;
+            this.raycaster.intersectSplatMesh(splatMesh, outHits);
+            const maxDistance = this.eyeHeight + this.maxDropHeight;
+            for (let hit of outHits) {
+                if (hit.distance > maxDistance) break;
+                splatMesh.getSplatColor(hit.splatIndex, color);
+                if (color.w >= this.minimumOpacity) return groundPlane.getHeight(hit.origin);
+            }
+            return null;
+        };
+
+    }();
+
+    /**
+     * Move an object to eye height above the floor below it.
+     * @param {THREE.Object3D} object The object (camera) to adjust
+     * @param {SplatMesh} splatMesh The splat mesh providing the floor
+     * @param {GroundPlane} groundPlane The walk ground plane
+     * @param {number} timeDelta Time elapsed since the last update, in seconds
+     */
+    update(object, splatMesh, groundPlane, timeDelta) {
+        this.timeSinceSample += timeDelta;
+        if (this.timeSinceSample >= this.sampleInterval) {
+            this.timeSinceSample = 0;
+            const floorHeight = this.sampleFloorHeight(object.position, splatMesh, groundPlane);
+            if (floorHeight !== null) {
+                if (this.targetFloorHeight === null || floorHeight - this.targetFloorHeight <= this.maxStepHeight) {
+                    this.targetFloorHeight = floorHeight;
+                }
+            }
+        }
+
+        if (this.targetFloorHeight === null) return;
+        if (this.smoothedFloorHeight === null) {
+            this.smoothedFloorHeight = this.targetFloorHeight;
+        } else {
+            const alpha = 1.0 - Math.exp(-this.smoothing * timeDelta);
+            this.smoothedFloorHeight += (this.targetFloorHeight - this.smoothedFloorHeight) * alpha;
+        }
+        groundPlane.setHeight(object.position, this.smoothedFloorHeight + this.eyeHeight);
+    }
+}
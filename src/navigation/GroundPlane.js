@@ -0,0 +1,66 @@
+import * as THREE from 'three';
+
+/**
+ * GroundPlane: The plane walk movement happens in, defined by an up vector. Provides conversion between world
+ * positions and 2D ground-plane coordinates (used by walkable areas and the minimap) and projection of directions
+ * onto the plane.
+ *
+ * The 2D coordinate frame is the world X/Y axes rotated by the shortest rotation that takes +Z onto the up vector,
+ * so for a Z-up world, ground-plane coordinates are simply (x, y), and for a Y-up world they are (x, -z).
+ */
+export class GroundPlane {
+
+    constructor(up = new THREE.Vector3(0, 0, 1)) {
+        this.up = new THREE.Vector3();
+        this.axisU = new THREE.Vector3();
+        this.axisV = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.setUp(up);
+    }
+
+    setUp = function() {
+
+        const zAxis = new THREE.Vector3(0, 0, 1);
+        const normalizedUp = new THREE.Vector3();
+
+        return function(up) {
+            normalizedUp.copy(up).normalize();
+            if (normalizedUp.lengthSq() === 0 || normalizedUp.equals(this.up)) return this;
+            this.up.copy(normalizedUp);
+            this.quaternion.setFromUnitVectors(zAxis, this.up);
+            this.axisU.set(1, 0, 0).applyQuaternion(this.quaternion);
+            this.axisV.set(0, 1, 0).applyQuaternion(this.quaternion);
+            return this;
+        };
+
+    }();
+
+    /**
+     * Remove the up component of a direction and normalize what is left.
+     * @param {THREE.Vector3} direction Direction to project, modified in place
+     * @return {THREE.Vector3} The projected direction, or a zero vector if the direction is parallel to up
+     */
+    projectDirection(direction) {
+        direction.addScaledVector(this.up, -direction.dot(this.up));
+        if (direction.lengthSq() < 1e-12) return direction.set(0, 0, 0);
+        return direction.normalize();
+    }
+
+    getHeight(point) {
+        return point.dot(this.up);
+    }
+
+    setHeight(point, height) {
+        return point.addScaledVector(this.up, height - point.dot(this.up));
+    }
+
+    toPlaneCoordinates(point, outPoint = new THREE.Vector2()) {
+        return outPoint.set(point.dot(this.axisU), point.dot(this.axisV));
+    }
+
+    fromPlaneCoordinates(planePoint, height, outPoint = new THREE.Vector3()) {
+        return outPoint.copy(this.axisU).multiplyScalar(planePoint.x)
+                       .addScaledVector(this.axisV, planePoint.y)
+                       .addScaledVector(this.up, height);
+    }
+}
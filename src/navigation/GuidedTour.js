@@ -0,0 +1,207 @@
+import { ViewerEvent } from '../ViewerEvent.js';
+
+/**
+ * GuidedTour: Walks the viewer's camera through an ordered list of stops on the navigation graph, pausing at each
+ * one for a configurable dwell time. Travel between stops uses the controls' graph path following, and progress is
+ * reported through Viewer.emit():
+ *
+ *     'tourStopReached' ({ index, stop })   The camera arrived at a stop
+ *     'tourEnded' ({ index, stop })         The last stop's dwell time elapsed (not emitted when looping)
+ *     'tourError' ({ index, stop, error })  The camera cannot travel to a stop; the tour stops
+ *
+ * The tour is driven by update(), which the viewer calls once per frame. If the user grabs the controls while the
+ * camera is travelling, the tour pauses; play() resumes it.
+ */
+export class GuidedTour {
+
+    static State = {
+        Stopped: 0,
+        Travelling: 1,
+        Dwelling: 2,
+        Paused: 3
+    };
+
+    /**
+     * @param {Viewer} viewer The viewer whose controls will be driven
+     * @param {Array} stops Tour stops, each either a waypoint name, a node index, or an object
+     *                      { waypoint, node, dwellTime, caption }. Defaults to every waypoint of the loaded
+     *                      navigation graph, in document order.
+     * @param {object} options {
+     *
+     *         dwellTime (number):      Seconds to wait at each stop, defaults to 3
+     *
+     *         loop (boolean):          Start again at the first stop after the last one, defaults to false
+     *
+     *         arrivalDistance:         How close the camera must be to a stop's node to count as having arrived,
+     *                                  defaults to 0.05
+     * }
+     */
+    constructor(viewer, stops, options = {}) {
+        this.viewer = viewer;
+        this.stops = stops ? stops.map((stop) => GuidedTour.normalizeStop(stop)) : null;
+        this.dwellTime = options.dwellTime !== undefined ? options.dwellTime : 3;
+        this.loop = options.loop || false;
+        this.arrivalDistance = options.arrivalDistance !== undefined ? options.arrivalDistance : 0.05;
+
+        this.state = GuidedTour.State.Stopped;
+        this.pausedState = GuidedTour.State.Stopped;
+        this.currentIndex = -1;
+        this.dwellRemaining = 0;
+    }
+
+    static normalizeStop(stop) {
+        if (typeof stop === 'string') return { 'waypoint': stop };
+        if (typeof stop === 'number') return { 'node': stop };
+        return Object.assign({}, stop);
+    }
+
+    getControls() {
+        return this.viewer.controls;
+    }
+
+    getNavigationGraph() {
+        const controls = this.getControls();
+        return controls ? controls.navigationGraph : null;
+    }
+
+    getStops() {
+        if (!this.stops) {
+            const navigationGraph = this.getNavigationGraph();
+            if (!navigationGraph) return [];
+            this.stops = navigationGraph.getWaypointNames().map((name) => GuidedTour.normalizeStop(name));
+        }
+        return this.stops;
+    }
+
+    getStopCount() {
+        return this.getStops().length;
+    }
+
+    getCurrentIndex() {
+        return this.currentIndex;
+    }
+
+    isPlaying() {
+        return this.state === GuidedTour.State.Travelling || this.state === GuidedTour.State.Dwelling;
+    }
+
+    resolveStopNode(stop) {
+        const navigationGraph = this.getNavigationGraph();
+        if (!navigationGraph) return -1;
+        if (stop.waypoint !== undefined) return navigationGraph.getWaypointNode(stop.waypoint);
+        return navigationGraph.isValidNodeIndex(stop.node) ? stop.node : -1;
+    }
+
+    play() {
+        if (this.state === GuidedTour.State.Paused) {
+            if (this.pausedState === GuidedTour.State.Dwelling) {
+                this.state = GuidedTour.State.Dwelling;
+            } else {
+                this.goTo(this.currentIndex);
+            }
+        } else if (this.state === GuidedTour.State.Stopped) {
+            this.goTo(this.currentIndex >= 0 && this.currentIndex < this.getStopCount() - 1 ? this.currentIndex + 1 : 0);
+        }
+    }
+
+    pause() {
+        if (!this.isPlaying()) return;
+        this.pausedState = this.state;
+        this.state = GuidedTour.State.Paused;
+        if (this.pausedState === GuidedTour.State.Travelling) {
+            const controls = this.getControls();
+            if (controls) controls.cancelPathFollow();
+        }
+    }
+
+    stop() {
+        const wasTravelling = this.state === GuidedTour.State.Travelling;
+        this.state = GuidedTour.State.Stopped;
+        this.currentIndex = -1;
+        if (wasTravelling) {
+            const controls = this.getControls();
+            if (controls) controls.cancelPathFollow();
+        }
+    }
+
+    next() {
+        const stopCount = this.getStopCount();
+        if (stopCount === 0) return;
+        if (this.currentIndex >= stopCount - 1 && !this.loop) return;
+        this.goTo((this.currentIndex + 1) % stopCount);
+    }
+
+    previous() {
+        const stopCount = this.getStopCount();
+        if (stopCount === 0) return;
+        if (this.currentIndex <= 0 && !this.loop) return;
+        this.goTo((this.currentIndex - 1 + stopCount) % stopCount);
+    }
+
+    /**
+     * Travel to a specific stop and continue the tour from there.
+     * @param {number} index Index of the stop
+     */
+    goTo(index) {
+        const stops = this.getStops();
+        const controls = this.getControls();
+        if (!controls || index < 0 || index >= stops.length) return;
+
+        const node = this.resolveStopNode(stops[index]);
+        if (node < 0) {
+            this.fail(index, `GuidedTour::goTo() -> Tour stop ${index} does not refer to a valid graph node`);
+            return;
+        }
+
+        this.currentIndex = index;
+        this.state = GuidedTour.State.Travelling;
+        // Controls may decline to start a path when the camera already is at the stop; update() then just arrives
+        if (!controls.moveCameraToGraphNode(node) && !this.isAtNode(node)) {
+            this.fail(index, `GuidedTour::goTo() -> Tour stop ${index} cannot be reached along the navigation graph`);
+        }
+    }
+
+    isAtNode(node) {
+        const controls = this.getControls();
+        const navigationGraph = this.getNavigationGraph();
+        return !!controls && !!navigationGraph && node >= 0 &&
+               controls.object.position.distanceTo(navigationGraph.points[node]) <= this.arrivalDistance;
+    }
+
+    fail(index, message) {
+        const error = new Error(message);
+        console.error(error.message);
+        this.stop();
+        this.viewer.emit(ViewerEvent.TourError, { 'index': index, 'stop': this.getStops()[index], 'error': error });
+    }
+
+    update(timeDelta) {
+        if (this.state === GuidedTour.State.Travelling) {
+            const controls = this.getControls();
+            if (!controls || controls.isFollowingPath()) return;
+            const node = this.resolveStopNode(this.getStops()[this.currentIndex]);
+            if (this.isAtNode(node)) {
+                this.state = GuidedTour.State.Dwelling;
+                const stop = this.getStops()[this.currentIndex];
+                this.dwellRemaining = stop.dwellTime !== undefined ? stop.dwellTime : this.dwellTime;
+                this.viewer.emit(ViewerEvent.TourStopReached, { 'index': this.currentIndex, 'stop': stop });
+            } else {
+                // The user took over the controls before the camera got there
+                this.pausedState = GuidedTour.State.Travelling;
+                this.state = GuidedTour.State.Paused;
+            }
+        } else if (this.state === GuidedTour.State.Dwelling) {
+            this.dwellRemaining -= timeDelta;
+            if (this.dwellRemaining > 0) return;
+            if (this.currentIndex < this.getStopCount() - 1) {
+                this.goTo(this.currentIndex + 1);
+            } else if (this.loop) {
+                this.goTo(0);
+            } else {
+                const index = this.currentIndex;
+                this.state = GuidedTour.State.Stopped;
+                this.viewer.emit(ViewerEvent.TourEnded, { 'index': index, 'stop': this.getStops()[index] });
+            }
+        }
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * NavigationGraph: Walkable graph of camera positions (nodes) joined by undirected edges. The adjacency
+ * index is built once up front so that path queries only ever touch the edges of the nodes they expand.
+ *
+ * Edges are weighted by the Euclidean distance between their end points, multiplied by an optional
+ * per-edge cost (e.g. a value above 1 makes a stairway or narrow corridor less attractive).
+ */
+export class NavigationGraph {
+
+    /**
+     * @param {Array<THREE.Vector3>} points Node positions
+     * @param {Array<object>} connections Edges as { from, to, cost } where cost is optional and defaults to 1
+     * @param {object} options {
+     *
+     *         nodes (Array<object>):   Per-node metadata { id, lookDirection, floor, room, label, region }, in the
+     *                                  same order as points
+     *
+     *         waypoints (Map):         Waypoint name -> node index
+     *
+     *         regions (Map):           Region id -> { id, scenes, adjacent }, where 'scenes' lists the splat scene
+     *                                  options (as for Viewer.addSplatScenes()) the region needs and 'adjacent' is an
+     *                                  optional list of further region ids to treat as neighbors
+     *
+     *         hotspots (Array<object>): Teleport hotspots as { node, label, icon }, where 'node' is a node index and
+     *                                   'icon' is optional text (e.g. an emoji) or an image URL
+     *
+     *         version (number):        Schema version of the document the graph was loaded from
+     * }
+     */
+    constructor(points = [], connections = [], options = {}) {
+        this.points = points;
+        this.connections = connections;
+        this.nodes = options.nodes || points.map((point, index) => {
+            return { 'id': index, 'lookDirection': null, 'floor': null, 'room': null, 'label': null, 'region': null };
+        });
+        this.waypoints = options.waypoints || new Map();
+        this.regions = options.regions || new Map();
+        this.regionAdjacency = new Map();
+        this.hotspots = options.hotspots || [];
+        this.version = options.version;
+        this.adjacency = [];
+        this.minimumCost = 1;
+        this.buildAdjacency();
+        this.buildRegionAdjacency();
+    }
+
+    buildAdjacency() {
+        this.adjacency = this.points.map(() => []);
+        this.minimumCost = Infinity;
+        for (let connection of this.connections) {
+            const from = connection.from;
+            const to = connection.to;
+            if (!this.isValidNodeIndex(from) || !this.isValidNodeIndex(to) || from === to) continue;
+            const cost = NavigationGraph.isValidCost(connection.cost) ? connection.cost : 1;
+            const weight = this.points[from].distanceTo(this.points[to]) * cost;
+            this.adjacency[from].push({ node: to, weight });
+            this.adjacency[to].push({ node: from, weight });
+            this.minimumCost = Math.min(this.minimumCost, cost);
+        }
+        if (this.minimumCost === Infinity) this.minimumCost = 1;
+    }
+
+    /**
+     * Two regions are adjacent when an edge joins nodes in each of them, or when either lists the other in its
+     * 'adjacent' ids (for connections the graph does not capture, like a view down a stairwell).
+     */
+    buildRegionAdjacency() {
+        this.regionAdjacency = new Map();
+        const addAdjacency = (a, b) => {
+            if (a === null || a === undefined || b === null || b === undefined || a === b) return;
+            for (let [from, to] of [[a, b], [b, a]]) {
+                if (!this.regionAdjacency.has(from)) this.regionAdjacency.set(from, new Set());
+                this.regionAdjacency.get(from).add(to);
+            }
+        };
+        for (let connection of this.connections) {
+            if (!this.isValidNodeIndex(connection.from) || !this.isValidNodeIndex(connection.to)) continue;
+            addAdjacency(this.nodes[connection.from].region, this.nodes[connection.to].region);
+        }
+        for (let region of this.regions.values()) {
+            for (let adjacentId of region.adjacent || []) addAdjacency(region.id, adjacentId);
+        }
+    }
+
+    static isValidCost(cost) {
+        return typeof cost === 'number' && isFinite(cost) && cost >= 0;
+    }
+
+    isValidNodeIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.points.length;
+    }
+
+    getNodeCount() {
+        return this.points.length;
+    }
+
+    getNeighbors(index) {
+        return this.adjacency[index] || [];
+    }
+
+    getNode(index) {
+        return this.nodes[index];
+    }
+
+    hasRegions() {
+        return this.regions.size > 0;
+    }
+
+    getRegion(regionId) {
+        return this.regions.get(regionId) || null;
+    }
+
+    /**
+     * @param {number} index Node index
+     * @return {string|number|null} Id of the region the node belongs to, or null if it has none
+     */
+    getNodeRegion(index) {
+        const node = this.nodes[index];
+        return node && node.region !== undefined ? node.region : null;
+    }
+
+    getAdjacentRegions(regionId) {
+        return Array.from(this.regionAdjacency.get(regionId) || []);
+    }
+
+    getHotspots() {
+        return this.hotspots;
+    }
+
+    getWaypointNames() {
+        return Array.from(this.waypoints.keys());
+    }
+
+    /**
+     * Get the index of the node a named waypoint refers to.
+     * @param {string} name Name of the waypoint
+     * @return {number} Node index, or -1 if there is no waypoint with that name
+     */
+    getWaypointNode(name) {
+        return this.waypoints.has(name) ? this.waypoints.get(name) : -1;
+    }
+
+    /**
+     * Find the index of the node closest to a given position.
+     * @param {THREE.Vector3} position The position to test
+     * @param {function} filter Optional predicate (node index) => boolean limiting the candidate nodes
+     * @return {number} Index of the closest node, or -1 if there is none
+     */
+    findClosestNode(position, filter) {
+        let closestIndex = -1;
+        let closestDistanceSq = Infinity;
+        for (let i = 0; i < this.points.length; i++) {
+            if (filter && !filter(i)) continue;
+            const distanceSq = this.points[i].distanceToSquared(position);
+            if (distanceSq < closestDistanceSq) {
+                closestDistanceSq = distanceSq;
+                closestIndex = i;
+            }
+        }
+        return closestIndex;
+    }
+
+    /**
+     * Compute the cheapest route between two nodes using A*. The heuristic is the straight-line distance
+     * scaled by the smallest edge cost in the graph so it never overestimates the remaining cost.
+     * @param {number} startIndex Index of the start node
+     * @param {number} targetIndex Index of the destination node
+     * @return {Array<number>} Node indexes from start to target (inclusive), or an empty array if the
+     *                         target cannot be reached
+     */
+    findShortestPath(startIndex, targetIndex) {
+        if (!this.isValidNodeIndex(startIndex) || !this.isValidNodeIndex(targetIndex)) return [];
+        if (startIndex === targetIndex) return [startIndex];
+
+        const nodeCount = this.points.length;
+        const costs = new Float64Array(nodeCount).fill(Infinity);
+        const previous = new Int32Array(nodeCount).fill(-1);
+        const closed = new Uint8Array(nodeCount);
+        const targetPoint = this.points[targetIndex];
+        const heuristic = (index) => this.points[index].distanceTo(targetPoint) * this.minimumCost;
+
+        const open = new MinHeap();
+        costs[startIndex] = 0;
+        open.push(startIndex, heuristic(startIndex));
+
+        while (open.size() > 0) {
+            const current = open.pop();
+            if (current === targetIndex) return NavigationGraph.reconstructPath(previous, targetIndex);
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            for (let edge of this.adjacency[current]) {
+                if (closed[edge.node]) continue;
+                const cost = costs[current] + edge.weight;
+                if (cost < costs[edge.node]) {
+                    costs[edge.node] = cost;
+                    previous[edge.node] = current;
+                    open.push(edge.node, cost + heuristic(edge.node));
+                }
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Compute the set of nodes that can be reached from a given node.
+     * @param {number} startIndex Index of the start node
+     * @return {Set<number>}
+     */
+    getReachableNodes(startIndex) {
+        const reachable = new Set();
+        if (!this.isValidNodeIndex(startIndex)) return reachable;
+        const stack = [startIndex];
+        reachable.add(startIndex);
+        while (stack.length > 0) {
+            const current = stack.pop();
+            for (let edge of this.adjacency[current]) {
+                if (!reachable.has(edge.node)) {
+                    reachable.add(edge.node);
+                    stack.push(edge.node);
+                }
+            }
+        }
+        return reachable;
+    }
+
+    getPathLength(path) {
+        let length = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            length += this.points[path[i]].distanceTo(this.points[path[i + 1]]);
+        }
+        return length;
+    }
+
+    static reconstructPath(previous, targetIndex) {
+        const path = [];
+        for (let at = targetIndex; at !== -1; at = previous[at]) {
+            path.push(at);
+        }
+        return path.reverse();
+    }
+}
+
+/**
+ * Binary min-heap of node indexes keyed by priority, used as the open set for path queries.
+ */
+class MinHeap {
+
+    constructor() {
+        this.nodes = [];
+        this.priorities = [];
+    }
+
+    size() {
+        return this.nodes.length;
+    }
+
+    push(node, priority) {
+        this.nodes.push(node);
+        this.priorities.push(priority);
+        let i = this.nodes.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.nodes[0];
+        const lastNode = this.nodes.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.nodes.length > 0) {
+            this.nodes[0] = lastNode;
+            this.priorities[0] = lastPriority;
+            let i = 0;
+            const count = this.nodes.length;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < count && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < count && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        const node = this.nodes[a];
+        this.nodes[a] = this.nodes[b];
+        this.nodes[b] = node;
+        const priority = this.priorities[a];
+        this.priorities[a] = this.priorities[b];
+        this.priorities[b] = priority;
+    }
+}
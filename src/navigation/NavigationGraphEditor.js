@@ -0,0 +1,362 @@
+import * as THREE from 'three';
+import { NavigationGraph } from './NavigationGraph.js';
+import { NavigationGraphLoader } from './NavigationGraphLoader.js';
+
+const MAX_HISTORY_LENGTH = 200;
+
+/**
+ * NavigationGraphEditor: Editable navigation graph (node positions and undirected edges) with undo/redo. Every
+ * editing operation records the previous state, so undo() and redo() step through the edit history; moving a node
+ * with beginMoveNode() / moveNode() / endMoveNode() counts as a single step.
+ *
+ * Only positions and edges are edited. The rest of a loaded graph is carried through the edits: each node keeps its
+ * metadata (id, lookDirection, floor, room, label, region) when it is moved or other nodes are removed, waypoints and
+ * hotspots follow their nodes (and are dropped with them), and regions are kept as they are.
+ *
+ * The graph can be exported as the legacy pair of text files (node positions and edges) or as a JSON navigation
+ * document, both of which the controls load.
+ */
+export class NavigationGraphEditor {
+
+    /**
+     * @param {Array<THREE.Vector3>} points Initial node positions
+     * @param {Array<object>} connections Initial edges, as { from, to, cost }
+     * @param {object} options Node metadata and document sections, as for NavigationGraph
+     */
+    constructor(points = [], connections = [], options = {}) {
+        this.points = [];
+        this.connections = [];
+        this.nodes = [];
+        this.waypoints = new Map();
+        this.hotspots = [];
+        this.regions = new Map();
+        this.version = NavigationGraphLoader.CurrentSchemaVersion;
+        this.selectedNode = -1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.moveSnapshot = null;
+
+        // Called with no arguments whenever the graph or the selection changes
+        this.onChange = null;
+
+        this.load(points, connections, options);
+    }
+
+    /**
+     * Replace the graph being edited and clear the edit history. A NavigationGraph can be passed as 'options' to edit
+     * it with all of its metadata, e.g. load(graph.points, graph.connections, graph).
+     * @param {Array<THREE.Vector3>} points Node positions
+     * @param {Array<object>} connections Edges, as { from, to, cost }
+     * @param {object} options {
+     *
+     *         nodes (Array<object>):    Per-node metadata { id, lookDirection, floor, room, label, region }, in the
+     *                                   same order as points
+     *
+     *         waypoints (Map):          Waypoint name -> node index
+     *
+     *         regions (Map):            Region id -> { id, scenes, adjacent }
+     *
+     *         hotspots (Array<object>): Teleport hotspots as { node, label, icon }
+     *
+     *         version (number):         Schema version written to exported navigation documents
+     * }
+     */
+    load(points, connections, options = {}) {
+        this.regions = options.regions || new Map();
+        this.version = options.version !== undefined ? options.version : NavigationGraphLoader.CurrentSchemaVersion;
+        this.restoreSnapshot({
+            'points': points.map((point) => point.clone()),
+            'connections': connections.map((connection) => Object.assign({}, connection)),
+            'nodes': points.map((point, index) => {
+                const node = options.nodes && options.nodes[index];
+                return node ? NavigationGraphEditor.cloneNode(node) : NavigationGraphEditor.createNode(index);
+            }),
+            'waypoints': new Map(options.waypoints || []),
+            'hotspots': (options.hotspots || []).map((hotspot) => Object.assign({}, hotspot))
+        });
+        this.selectedNode = -1;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.moveSnapshot = null;
+        this.notifyChange();
+    }
+
+    getNodeCount() {
+        return this.points.length;
+    }
+
+    isValidNodeIndex(index) {
+        return Number.isInteger(index) && index >= 0 && index < this.points.length;
+    }
+
+    static createNode(id) {
+        return { 'id': id, 'lookDirection': null, 'floor': null, 'room': null, 'label': null, 'region': null };
+    }
+
+    static cloneNode(node) {
+        return Object.assign({}, node, { 'lookDirection': node.lookDirection ? node.lookDirection.clone() : null });
+    }
+
+    /**
+     * Find an id for a new node that no other node uses: the smallest unused integer not below the node count.
+     */
+    createNodeId() {
+        const ids = new Set(this.nodes.map((node) => node.id));
+        let id = this.nodes.length;
+        while (ids.has(id)) id++;
+        return id;
+    }
+
+    createSnapshot() {
+        return {
+            'points': this.points.map((point) => point.clone()),
+            'connections': this.connections.map((connection) => Object.assign({}, connection)),
+            'nodes': this.nodes.map((node) => NavigationGraphEditor.cloneNode(node)),
+            'waypoints': new Map(this.waypoints),
+            'hotspots': this.hotspots.map((hotspot) => Object.assign({}, hotspot))
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.points = snapshot.points;
+        this.connections = snapshot.connections;
+        this.nodes = snapshot.nodes;
+        this.waypoints = snapshot.waypoints;
+        this.hotspots = snapshot.hotspots;
+        if (!this.isValidNodeIndex(this.selectedNode)) this.selectedNode = -1;
+    }
+
+    recordHistory(snapshot = this.createSnapshot()) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > MAX_HISTORY_LENGTH) this.undoStack.shift();
+        this.redoStack.length = 0;
+    }
+
+    notifyChange() {
+        if (this.onChange) this.onChange();
+    }
+
+    addNode(position) {
+        this.recordHistory();
+        this.nodes.push(NavigationGraphEditor.createNode(this.createNodeId()));
+        this.points.push(position.clone());
+        this.selectedNode = this.points.length - 1;
+        this.notifyChange();
+        return this.selectedNode;
+    }
+
+    /**
+     * Remove a node and every edge, waypoint and hotspot that uses it. References to nodes after it are renumbered.
+     * @param {number} index Index of the node to remove
+     */
+    removeNode(index) {
+        if (!this.isValidNodeIndex(index)) {
+            throw new Error(`NavigationGraphEditor.removeNode() -> Invalid node index: ${index}`);
+        }
+        this.recordHistory();
+        const renumber = (nodeIndex) => nodeIndex > index ? nodeIndex - 1 : nodeIndex;
+        this.points.splice(index, 1);
+        this.nodes.splice(index, 1);
+        this.connections = this.connections.filter((connection) => connection.from !== index && connection.to !== index)
+                                           .map((connection) => {
+            return Object.assign({}, connection, {
+                'from': renumber(connection.from),
+                'to': renumber(connection.to)
+            });
+        });
+        const waypoints = new Map();
+        for (let [name, node] of this.waypoints) {
+            if (node !== index) waypoints.set(name, renumber(node));
+        }
+        this.waypoints = waypoints;
+        this.hotspots = this.hotspots.filter((hotspot) => hotspot.node !== index)
+                                     .map((hotspot) => Object.assign({}, hotspot, { 'node': renumber(hotspot.node) }));
+        if (this.selectedNode === index) this.selectedNode = -1;
+        else if (this.selectedNode > index) this.selectedNode--;
+        this.notifyChange();
+    }
+
+    beginMoveNode(index) {
+        if (!this.isValidNodeIndex(index)) {
+            throw new Error(`NavigationGraphEditor.beginMoveNode() -> Invalid node index: ${index}`);
+        }
+        this.moveSnapshot = this.createSnapshot();
+    }
+
+    moveNode(index, position) {
+        if (!this.isValidNodeIndex(index)) {
+            throw new Error(`NavigationGraphEditor.moveNode() -> Invalid node index: ${index}`);
+        }
+        if (!this.moveSnapshot) this.recordHistory();
+        this.points[index].copy(position);
+        this.notifyChange();
+    }
+
+    endMoveNode() {
+        if (!this.moveSnapshot) return;
+        const snapshot = this.moveSnapshot;
+        this.moveSnapshot = null;
+        const moved = snapshot.points.some((point, index) => !point.equals(this.points[index]));
+        if (moved) this.recordHistory(snapshot);
+    }
+
+    findEdge(from, to) {
+        return this.connections.findIndex((connection) => {
+            return (connection.from === from && connection.to === to) || (connection.from === to && connection.to === from);
+        });
+    }
+
+    /**
+     * Add the edge between two nodes, or remove it if it already exists.
+     * @param {number} from Index of the first node
+     * @param {number} to Index of the second node
+     * @return {boolean} True if the edge was added, false if it was removed
+     */
+    toggleEdge(from, to) {
+        if (!this.isValidNodeIndex(from) || !this.isValidNodeIndex(to) || from === to) {
+            throw new Error(`NavigationGraphEditor.toggleEdge() -> Invalid edge: ${from} - ${to}`);
+        }
+        this.recordHistory();
+        const edgeIndex = this.findEdge(from, to);
+        if (edgeIndex >= 0) {
+            this.connections.splice(edgeIndex, 1);
+        } else {
+            this.connections.push({ 'from': from, 'to': to });
+        }
+        this.notifyChange();
+        return edgeIndex < 0;
+    }
+
+    setSelectedNode(index) {
+        this.selectedNode = this.isValidNodeIndex(index) ? index : -1;
+        this.notifyChange();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return false;
+        this.endMoveNode();
+        this.redoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.undoStack.pop());
+        this.notifyChange();
+        return true;
+    }
+
+    redo() {
+        if (!this.canRedo()) return false;
+        this.undoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.redoStack.pop());
+        this.notifyChange();
+        return true;
+    }
+
+    toNavigationGraph() {
+        const snapshot = this.createSnapshot();
+        return new NavigationGraph(snapshot.points, snapshot.connections, {
+            'nodes': snapshot.nodes,
+            'waypoints': snapshot.waypoints,
+            'regions': this.regions,
+            'hotspots': snapshot.hotspots,
+            'version': this.version
+        });
+    }
+
+    /**
+     * Export the graph as the legacy text file pair: one "x y z" line per node, and one "from to" (or
+     * "from to cost") line per edge.
+     * @return {object} { centers, graph } file contents
+     */
+    exportLegacyFiles() {
+        const centers = this.points.map((point) => `${point.x} ${point.y} ${point.z}`).join('\n');
+        const graph = this.connections.map((connection) => {
+            const parts = [connection.from, connection.to];
+            if (connection.cost !== undefined && connection.cost !== 1) parts.push(connection.cost);
+            return parts.join(' ');
+        }).join('\n');
+        return {
+            'centers': centers + '\n',
+            'graph': graph + '\n'
+        };
+    }
+
+    /**
+     * Export the graph as a JSON navigation document (see NavigationGraphLoader). Edges, waypoints and hotspots
+     * refer to nodes by id, so the document stays valid if its nodes are reordered.
+     * @return {object} The document, ready for JSON.stringify()
+     */
+    exportNavigationDocument() {
+        const nodeId = (index) => this.nodes[index].id;
+        const document = {
+            'version': NavigationGraphLoader.CurrentSchemaVersion,
+            'nodes': this.points.map((point, index) => {
+                const node = this.nodes[index];
+                const exported = { 'id': node.id, 'position': point.toArray() };
+                if (node.lookDirection) exported.lookDirection = node.lookDirection.toArray();
+                for (let key of ['floor', 'room', 'label', 'region']) {
+                    if (node[key] !== null && node[key] !== undefined) exported[key] = node[key];
+                }
+                return exported;
+            }),
+            'edges': this.connections.map((connection) => {
+                const edge = { 'from': nodeId(connection.from), 'to': nodeId(connection.to) };
+                if (connection.cost !== undefined && connection.cost !== 1) edge.cost = connection.cost;
+                return edge;
+            })
+        };
+        if (this.waypoints.size > 0) {
+            document.waypoints = Array.from(this.waypoints, ([name, node]) => ({ 'name': name, 'node': nodeId(node) }));
+        }
+        if (this.regions.size > 0) {
+            document.regions = Array.from(this.regions.values(), (region) => {
+                return { 'id': region.id, 'scenes': region.scenes, 'adjacent': region.adjacent };
+            });
+        }
+        if (this.hotspots.length > 0) {
+            document.hotspots = this.hotspots.map((hotspot) => {
+                const exported = { 'node': nodeId(hotspot.node), 'label': hotspot.label };
+                if (hotspot.icon !== null && hotspot.icon !== undefined) exported.icon = hotspot.icon;
+                return exported;
+            });
+        }
+        return document;
+    }
+
+    /**
+     * Find the node drawn closest to a screen position.
+     * @param {THREE.Camera} camera Camera the graph is viewed with
+     * @param {THREE.Vector2} screenPosition Position relative to the top-left corner of the render area
+     * @param {THREE.Vector2} screenDimensions Size of the render area
+     * @param {number} maxDistance Largest distance in pixels at which a node can be picked
+     * @return {number} Index of the node, or -1 if none is close enough
+     */
+    pickNode = function() {
+
+        const projected = new THREE.Vector3();
+
+        return function(camera, screenPosition, screenDimensions, maxDistance) {
+            let closestIndex = -1;
+            let closestDistance = maxDistance;
+            this.points.forEach((point, index) => {
+                projected.copy(point).project(camera);
+                if (projected.z < -1 || projected.z > 1) return;
+                const x = (projected.x + 1) / 2 * screenDimensions.x;
+                const y = (1 - projected.y) / 2 * screenDimensions.y;
+                const distance = Math.sqrt((x - screenPosition.x) * (x - screenPosition.x) +
+                                           (y - screenPosition.y) * (y - screenPosition.y));
+                if (distance <= closestDistance) {
+                    closestDistance = distance;
+                    closestIndex = index;
+                }
+            });
+            return closestIndex;
+        };
+
+    }();
+}
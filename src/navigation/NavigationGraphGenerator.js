@@ -0,0 +1,334 @@
+import * as THREE from 'three';
+import { NavigationGraphLoader } from './NavigationGraphLoader.js';
+
+/**
+ * NavigationGraphGenerator: Builds a navigation graph from the camera poses a capture was trained with. Camera
+ * positions are read from a COLMAP 'images.txt' file or a nerfstudio / instant-ngp 'transforms.json' file, merged
+ * into nodes (cameras closer than 'clusterRadius' to an existing node join it), and connected wherever the camera
+ * moved from one node to another during the capture or two nodes are closer than 'maxEdgeLength'. When a line of
+ * sight test is supplied, edges that pass through dense splats are dropped.
+ *
+ * The result is a JSON navigation document (see NavigationGraphLoader), so it can be saved and loaded by the
+ * controls like any hand-made graph. Camera positions must be in the same coordinate system as the splat scene;
+ * pass 'transform' if the scene was loaded with a position, rotation or scale.
+ */
+export class NavigationGraphGenerator {
+
+    /**
+     * @param {object} options {
+     *
+     *         clusterRadius (number):      Cameras within this distance of a node are merged into it, defaults to 0.75
+     *
+     *         maxEdgeLength (number):      Nodes closer than this are connected (if the line of sight is clear), in
+     *                                      addition to nodes the capture path moved between, defaults to 2.0
+     *
+     *         maxNeighbors (number):       Upper bound on the number of distance-based edges per node, defaults to 6
+     *
+     *         clearance (number):          Splats closer than this to an edge count as blocking it, defaults to 0.1
+     *
+     *         minimumOpacity (number):     Splats with an alpha (0 - 255) below this value never block an edge,
+     *                                      defaults to 200
+     *
+     *         maxBlockingSplats (number):  An edge is blocked once this many splats block it, so that a few stray
+     *                                      floaters do not cut the graph apart, defaults to 8
+     *
+     *         transform (THREE.Matrix4):   Optional transform applied to every camera position
+     * }
+     */
+    constructor(options = {}) {
+        this.clusterRadius = options.clusterRadius !== undefined ? options.clusterRadius : 0.75;
+        this.maxEdgeLength = options.maxEdgeLength !== undefined ? options.maxEdgeLength : 2.0;
+        this.maxNeighbors = options.maxNeighbors !== undefined ? options.maxNeighbors : 6;
+        this.clearance = options.clearance !== undefined ? options.clearance : 0.1;
+        this.minimumOpacity = options.minimumOpacity !== undefined ? options.minimumOpacity : 200;
+        this.maxBlockingSplats = options.maxBlockingSplats !== undefined ? options.maxBlockingSplats : 8;
+        this.transform = options.transform || null;
+    }
+
+    /**
+     * Read camera positions from the contents of a pose file, detecting the format from its contents.
+     * @param {string|object} data Text of an 'images.txt' or 'transforms.json' file, or an already parsed transforms document
+     * @return {Array<THREE.Vector3>} Camera positions in capture order
+     */
+    static parseCameraPositions(data) {
+        if (typeof data === 'object') return NavigationGraphGenerator.parseTransforms(data);
+        if (data.trimStart().startsWith('{')) return NavigationGraphGenerator.parseTransforms(JSON.parse(data));
+        return NavigationGraphGenerator.parseColmapImages(data);
+    }
+
+    static async loadCameraPositionsFromURL(path) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`NavigationGraphGenerator.loadCameraPositionsFromURL() -> Failed to fetch ${path}: ${response.status}`);
+        }
+        return NavigationGraphGenerator.parseCameraPositions(await response.text());
+    }
+
+    /**
+     * Read camera positions from a COLMAP 'images.txt' file. Each image takes two lines, "IMAGE_ID QW QX QY QZ TX TY TZ
+     * CAMERA_ID NAME" followed by its (possibly empty) list of 2D points; the pose maps world to camera coordinates,
+     * so the camera center is -R^T * t. Images are returned sorted by name, which for most captures is capture order.
+     * @param {string} text Contents of the file
+     * @return {Array<THREE.Vector3>}
+     */
+    static parseColmapImages(text) {
+        const lines = text.split('\n').map((line) => line.trim()).filter((line) => !line.startsWith('#'));
+        while (lines.length > 0 && lines[lines.length - 1].length === 0) lines.pop();
+
+        const images = [];
+        const rotation = new THREE.Quaternion();
+        for (let i = 0; i < lines.length; i += 2) {
+            const parts = lines[i].split(/\s+/);
+            const values = parts.slice(1, 8).map(Number);
+            if (parts.length < 10 || values.some((value) => !isFinite(value))) {
+                throw new Error(`NavigationGraphGenerator.parseColmapImages() -> Invalid image line: "${lines[i]}"`);
+            }
+            rotation.set(values[1], values[2], values[3], values[0]).normalize().invert();
+            const center = new THREE.Vector3(values[4], values[5], values[6]).applyQuaternion(rotation).negate();
+            images.push({ 'name': parts.slice(9).join(' '), 'center': center });
+        }
+        images.sort((a, b) => a.name.localeCompare(b.name, undefined, { 'numeric': true }));
+        return images.map((image) => image.center);
+    }
+
+    /**
+     * Read camera positions from a nerfstudio / instant-ngp 'transforms.json' document, whose frames each carry a
+     * 4x4 camera-to-world 'transform_matrix'. Frames are returned sorted by 'file_path'.
+     * @param {object} document The parsed document
+     * @return {Array<THREE.Vector3>}
+     */
+    static parseTransforms(document) {
+        if (!document || !Array.isArray(document.frames)) {
+            throw new Error('NavigationGraphGenerator.parseTransforms() -> Document must have a "frames" array');
+        }
+        const frames = document.frames.map((frame, index) => {
+            const matrix = frame.transform_matrix;
+            if (!Array.isArray(matrix) || matrix.length < 3 || matrix.slice(0, 3).some((row) => !Array.isArray(row) || row.length < 4)) {
+                throw new Error(`NavigationGraphGenerator.parseTransforms() -> frames[${index}].transform_matrix must be a 4x4 matrix`);
+            }
+            return {
+                'name': frame.file_path || '',
+                'center': new THREE.Vector3(matrix[0][3], matrix[1][3], matrix[2][3])
+            };
+        });
+        frames.sort((a, b) => a.name.localeCompare(b.name, undefined, { 'numeric': true }));
+        return frames.map((frame) => frame.center);
+    }
+
+    /**
+     * Merge camera positions into nodes. Positions are visited in capture order and join the closest existing node
+     * within 'clusterRadius' (moving it to the mean of its members), or start a new node.
+     * @param {Array<THREE.Vector3>} positions Camera positions
+     * @return {object} { nodes: Array<THREE.Vector3>, assignments: Array<number> } where assignments[i] is the node
+     *                  position i was merged into
+     */
+    clusterPositions(positions) {
+        const nodes = [];
+        const memberCounts = [];
+        const assignments = [];
+        const clusterRadiusSq = this.clusterRadius * this.clusterRadius;
+        for (let position of positions) {
+            let closestIndex = -1;
+            let closestDistanceSq = clusterRadiusSq;
+            for (let i = 0; i < nodes.length; i++) {
+                const distanceSq = nodes[i].distanceToSquared(position);
+                if (distanceSq <= closestDistanceSq) {
+                    closestDistanceSq = distanceSq;
+                    closestIndex = i;
+                }
+            }
+            if (closestIndex < 0) {
+                closestIndex = nodes.length;
+                nodes.push(position.clone());
+                memberCounts.push(1);
+            } else {
+                memberCounts[closestIndex]++;
+                nodes[closestIndex].lerp(position, 1 / memberCounts[closestIndex]);
+            }
+            assignments.push(closestIndex);
+        }
+        return {
+            'nodes': nodes,
+            'assignments': assignments
+        };
+    }
+
+    /**
+     * Generate a navigation document from camera positions.
+     * @param {Array<THREE.Vector3>} positions Camera positions in capture order
+     * @param {function} isLineOfSightClear Optional test (from, to) => boolean; edges it rejects are left out. See
+     *                                      createSplatMeshLineOfSightTest() and createSplatBufferLineOfSightTest().
+     * @return {object} The navigation document
+     */
+    generate(positions, isLineOfSightClear) {
+        if (this.transform) positions = positions.map((position) => position.clone().applyMatrix4(this.transform));
+        const { nodes, assignments } = this.clusterPositions(positions);
+
+        const candidates = new Map();
+        const addCandidate = (a, b) => {
+            if (a === b) return;
+            const key = a < b ? `${a} ${b}` : `${b} ${a}`;
+            if (!candidates.has(key)) candidates.set(key, { 'from': Math.min(a, b), 'to': Math.max(a, b) });
+        };
+
+        // Moves made during the capture are known to be walkable
+        for (let i = 1; i < assignments.length; i++) addCandidate(assignments[i - 1], assignments[i]);
+
+        const maxEdgeLengthSq = this.maxEdgeLength * this.maxEdgeLength;
+        nodes.forEach((node, a) => {
+            const neighbors = [];
+            nodes.forEach((other, b) => {
+                const distanceSq = node.distanceToSquared(other);
+                if (a !== b && distanceSq <= maxEdgeLengthSq) neighbors.push({ 'index': b, 'distanceSq': distanceSq });
+            });
+            neighbors.sort((x, y) => x.distanceSq - y.distanceSq);
+            neighbors.slice(0, this.maxNeighbors).forEach((neighbor) => addCandidate(a, neighbor.index));
+        });
+
+        const edges = [];
+        for (let edge of candidates.values()) {
+            if (!isLineOfSightClear || isLineOfSightClear(nodes[edge.from], nodes[edge.to])) edges.push(edge);
+        }
+
+        return {
+            'version': NavigationGraphLoader.CurrentSchemaVersion,
+            'nodes': nodes.map((node) => {
+                return { 'position': node.toArray() };
+            }),
+            'edges': edges
+        };
+    }
+
+    /**
+     * Create a line of sight test that checks the splats of a SplatMesh, walking only the splat tree nodes whose
+     * bounds come within 'clearance' of the tested segment. The splat tree must already be built.
+     * @param {SplatMesh} splatMesh The splat mesh providing obstacles
+     * @return {function} Test (from, to) => boolean, taking world-space positions
+     */
+    createSplatMeshLineOfSightTest(splatMesh) {
+        const fromLocal = new THREE.Matrix4();
+        const toLocal = new THREE.Matrix4();
+        const sceneTransform = new THREE.Matrix4();
+        const segment = new THREE.Line3();
+        const ray = new THREE.Ray();
+        const expandedBox = new THREE.Box3();
+        const boxHit = new THREE.Vector3();
+        const splatCenter = new THREE.Vector3();
+        const closestPoint = new THREE.Vector3();
+        const splatColor = new THREE.Vector4();
+
+        const segmentIntersectsBox = (box, clearance) => {
+            expandedBox.copy(box).expandByScalar(clearance);
+            if (expandedBox.containsPoint(segment.start)) return true;
+            ray.origin.copy(segment.start);
+            ray.direction.subVectors(segment.end, segment.start).normalize();
+            return ray.intersectBox(expandedBox, boxHit) !== null && boxHit.distanceTo(segment.start) <= segment.distance();
+        };
+
+        return (from, to) => {
+            const splatTree = splatMesh.getSplatTree();
+            if (!splatTree) {
+                throw new Error('NavigationGraphGenerator.createSplatMeshLineOfSightTest() -> The splat tree has not been built');
+            }
+
+            let blockingCount = 0;
+            for (let s = 0; s < splatTree.subTrees.length; s++) {
+                const subTree = splatTree.subTrees[s];
+                if (!subTree.rootNode) continue;
+
+                fromLocal.copy(splatMesh.matrixWorld);
+                if (splatMesh.dynamicMode) {
+                    splatMesh.getSceneTransform(s, sceneTransform);
+                    fromLocal.multiply(sceneTransform);
+                }
+                toLocal.copy(fromLocal).invert();
+                segment.start.copy(from).applyMatrix4(toLocal);
+                segment.end.copy(to).applyMatrix4(toLocal);
+                const clearance = this.clearance / Math.max(fromLocal.getMaxScaleOnAxis(), 1e-8);
+                const clearanceSq = clearance * clearance;
+
+                const nodesToVisit = [subTree.rootNode];
+                while (nodesToVisit.length > 0) {
+                    const node = nodesToVisit.pop();
+                    if (!segmentIntersectsBox(node.boundingBox, clearance)) continue;
+                    for (let child of node.children) nodesToVisit.push(child);
+                    if (!node.data || !node.data.indexes) continue;
+
+                    for (let splatIndex of node.data.indexes) {
+                        const splatScene = splatMesh.getScene(splatMesh.getSceneIndexForSplat(splatIndex));
+                        if (!splatScene.visible) continue;
+                        splatMesh.getSplatColor(splatIndex, splatColor);
+                        if (splatColor.w < this.minimumOpacity) continue;
+                        splatMesh.getSplatCenter(splatIndex, splatCenter, false);
+                        segment.closestPointToPoint(splatCenter, true, closestPoint);
+                        if (closestPoint.distanceToSquared(splatCenter) > clearanceSq) continue;
+                        if (++blockingCount >= this.maxBlockingSplats) return false;
+                    }
+                }
+            }
+            return true;
+        };
+    }
+
+    /**
+     * Create a line of sight test that checks the splats of a SplatBuffer. This is meant for Node, where the splat
+     * tree (built in a Web Worker) is not available; the opaque splats are bucketed into a grid of cells once, and
+     * each test only looks at the cells along the segment.
+     * @param {SplatBuffer} splatBuffer The splat buffer providing obstacles
+     * @return {function} Test (from, to) => boolean, taking positions in the splat buffer's coordinate system
+     */
+    createSplatBufferLineOfSightTest(splatBuffer) {
+        const cellSize = Math.max(this.clearance * 2, 0.05);
+        const cellKey = (x, y, z) => `${Math.floor(x / cellSize)} ${Math.floor(y / cellSize)} ${Math.floor(z / cellSize)}`;
+
+        const cells = new Map();
+        const splatCenter = new THREE.Vector3();
+        const splatColor = new THREE.Vector4();
+        for (let i = 0; i < splatBuffer.getSplatCount(); i++) {
+            splatBuffer.getSplatColor(i, splatColor);
+            if (splatColor.w < this.minimumOpacity) continue;
+            splatBuffer.getSplatCenter(i, splatCenter);
+            const key = cellKey(splatCenter.x, splatCenter.y, splatCenter.z);
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = [];
+                cells.set(key, cell);
+            }
+            cell.push(splatCenter.x, splatCenter.y, splatCenter.z);
+        }
+
+        const segment = new THREE.Line3();
+        const samplePoint = new THREE.Vector3();
+        const closestPoint = new THREE.Vector3();
+        const clearanceSq = this.clearance * this.clearance;
+
+        return (from, to) => {
+            segment.set(from, to);
+            const stepCount = Math.max(1, Math.ceil(segment.distance() / (cellSize * 0.5)));
+            const visitedCells = new Set();
+            let blockingCount = 0;
+            for (let step = 0; step <= stepCount; step++) {
+                segment.at(step / stepCount, samplePoint);
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dz = -1; dz <= 1; dz++) {
+                            const key = cellKey(samplePoint.x + dx * cellSize, samplePoint.y + dy * cellSize,
+                                                samplePoint.z + dz * cellSize);
+                            if (visitedCells.has(key)) continue;
+                            visitedCells.add(key);
+                            const cell = cells.get(key);
+                            if (!cell) continue;
+                            for (let c = 0; c < cell.length; c += 3) {
+                                splatCenter.set(cell[c], cell[c + 1], cell[c + 2]);
+                                segment.closestPointToPoint(splatCenter, true, closestPoint);
+                                if (closestPoint.distanceToSquared(splatCenter) > clearanceSq) continue;
+                                if (++blockingCount >= this.maxBlockingSplats) return false;
+                            }
+                        }
+                    }
+                }
+            }
+            return true;
+        };
+    }
+}
@@ -0,0 +1,474 @@
+import * as THREE from 'three';
+import { NavigationGraph } from './NavigationGraph.js';
+
+/**
+ * NavigationGraphLoader: Loads walk graphs, either from a single JSON navigation document or from the legacy
+ * pair of whitespace-separated text files (one "x y z" node position per line, one "from to [cost]" edge per line).
+ *
+ * A navigation document has the following layout:
+ *
+ * {
+ *     "version": 1,
+ *     "nodes": [
+ *         { "id": "lobby", "label": "Main lobby", "position": [x, y, z], "lookDirection": [x, y, z], "floor": "1F", "room": "Lobby", "region": "1F" },
+ *         ...
+ *     ],
+ *     "edges": [
+ *         { "from": 0, "to": 1, "cost": 1.5 },   // or [0, 1] / [0, 1, 1.5]; "from" and "to" may also be string node ids
+ *         ...
+ *     ],
+ *     "waypoints": [
+ *         { "name": "Entrance", "node": "lobby" },
+ *         ...
+ *     ],
+ *     "regions": [
+ *         { "id": "1F", "scenes": ["1f.ksplat", { "path": "atrium.ksplat", "position": [0, 4, 0] }], "adjacent": ["2F"] },
+ *         ...
+ *     ],
+ *     "hotspots": [
+ *         { "node": "lobby", "label": "Main lobby", "icon": "🚪" },   // "icon" is optional text or an image URL
+ *         ...
+ *     ]
+ * }
+ *
+ * Edges, waypoints and hotspots refer to nodes by their "id". A node without an "id" is referred to by its index in
+ * "nodes", so documents without ids can use plain indexes.
+ *
+ * Regions split a large venue into parts that each need their own splat scenes (see RegionSceneManager). A node
+ * belongs to the region named by its "region" property; "regions" may also be an object mapping ids to
+ * { scenes, adjacent }. Region references are matched by their text, so a node's "region": 2 belongs to the region
+ * declared under the object key "2".
+ *
+ * Hotspots are drawn by the viewer as clickable markers at their nodes; clicking one travels there along the graph.
+ *
+ * A GeoJSON FeatureCollection is accepted as well: each Point feature is a node (its properties supply "id",
+ * "lookDirection", "floor", "room", "label", "region", optionally a "waypoint" name and optionally a "hotspot" given as
+ * { label, icon }) and each LineString feature is an
+ * edge whose properties supply "from", "to" and "cost".
+ */
+export class NavigationGraphLoader {
+
+    static CurrentSchemaVersion = 1;
+
+    static isNavigationDocumentPath(path) {
+        if (!path) return false;
+        const cleanPath = path.split(/[?#]/)[0].toLowerCase();
+        return cleanPath.endsWith('.json') || cleanPath.endsWith('.geojson');
+    }
+
+    static async loadFromURL(path) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`NavigationGraphLoader.loadFromURL() -> Failed to fetch ${path}: ${response.status}`);
+        }
+        let document;
+        try {
+            document = await response.json();
+        } catch (error) {
+            throw new Error(`NavigationGraphLoader.loadFromURL() -> ${path} is not valid JSON: ${error.message}`);
+        }
+        return NavigationGraphLoader.parse(document);
+    }
+
+    static async loadFromLegacyURLs(pointsPath, edgesPath) {
+        const [pointsText, edgesText] = await Promise.all([pointsPath, edgesPath].map(async (path) => {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`NavigationGraphLoader.loadFromLegacyURLs() -> Failed to fetch ${path}: ${response.status}`);
+            }
+            return response.text();
+        }));
+        return NavigationGraphLoader.parseLegacy(pointsText, edgesText);
+    }
+
+    /**
+     * Build a navigation graph from the legacy text pair. Malformed lines are skipped with a warning (as they always
+     * have been), but edges that reference missing nodes are rejected.
+     * @param {string} pointsText Node positions, one "x y z" per line
+     * @param {string} edgesText Edges, one "from to" or "from to cost" per line
+     * @return {NavigationGraph}
+     */
+    static parseLegacy(pointsText, edgesText) {
+        const nodes = [];
+        pointsText.split('\n').forEach((line, index) => {
+            line = line.trim();
+            if (line === '') return;
+            const coords = line.split(/\s+/).map(Number);
+            if (coords.length === 3 && coords.every((value) => isFinite(value))) {
+                nodes.push({ position: coords });
+            } else {
+                console.warn(`NavigationGraphLoader.parseLegacy() -> Invalid node line skipped at index ${index}: ${line}`);
+            }
+        });
+
+        const edges = [];
+        edgesText.split('\n').forEach((line, index) => {
+            line = line.trim();
+            if (line === '') return;
+            const parts = line.split(/\s+/).map(Number);
+            if ((parts.length === 2 || parts.length === 3) && parts.every((value) => isFinite(value))) {
+                edges.push(parts);
+            } else {
+                console.warn(`NavigationGraphLoader.parseLegacy() -> Invalid edge line skipped at index ${index}: ${line}`);
+            }
+        });
+
+        return NavigationGraphLoader.parse({
+            'version': NavigationGraphLoader.CurrentSchemaVersion,
+            'nodes': nodes,
+            'edges': edges
+        });
+    }
+
+    /**
+     * Validate a navigation document and build a navigation graph from it.
+     * @param {object} document Parsed JSON navigation document, or GeoJSON FeatureCollection
+     * @return {NavigationGraph}
+     */
+    static parse(document) {
+        if (document && document.type === 'FeatureCollection') {
+            document = NavigationGraphLoader.convertGeoJSON(document);
+        }
+
+        const errors = NavigationGraphLoader.validate(document);
+        if (errors.length > 0) {
+            const error = new Error('NavigationGraphLoader.parse() -> Invalid navigation graph:\n  ' + errors.join('\n  '));
+            error.validationErrors = errors;
+            throw error;
+        }
+
+        const nodeIndexes = NavigationGraphLoader.buildNodeIndexMap(document.nodes);
+        const resolve = (reference) => nodeIndexes.get(reference);
+        const normalizedRegions = NavigationGraphLoader.normalizeRegions(document.regions);
+        const regionIds = NavigationGraphLoader.buildRegionIdMap(normalizedRegions);
+        // References take the type of the declared id, so that region lookups by id work whichever form was used
+        const resolveRegion = (reference) => regionIds.has(String(reference)) ? regionIds.get(String(reference)) : reference;
+
+        const points = [];
+        const nodes = document.nodes.map((node, index) => {
+            points.push(new THREE.Vector3().fromArray(node.position));
+            return {
+                'id': node.id !== undefined ? node.id : index,
+                'lookDirection': node.lookDirection ? new THREE.Vector3().fromArray(node.lookDirection).normalize() : null,
+                'floor': node.floor !== undefined ? node.floor : null,
+                'room': node.room !== undefined ? node.room : null,
+                'label': node.label !== undefined ? node.label : null,
+                'region': node.region !== undefined ? resolveRegion(node.region) : null
+            };
+        });
+
+        const connections = (document.edges || []).map((edge) => {
+            const normalized = NavigationGraphLoader.normalizeEdge(edge);
+            const connection = {
+                'from': resolve(normalized.from),
+                'to': resolve(normalized.to)
+            };
+            if (normalized.cost !== undefined) connection.cost = normalized.cost;
+            return connection;
+        });
+
+        const waypoints = new Map();
+        for (let waypoint of NavigationGraphLoader.normalizeWaypoints(document.waypoints)) {
+            waypoints.set(waypoint.name, resolve(waypoint.node));
+        }
+
+        const regions = new Map();
+        for (let region of normalizedRegions) {
+            regions.set(region.id, {
+                'id': region.id,
+                'scenes': (region.scenes || []).map((scene) => typeof scene === 'string' ? { 'path': scene } : Object.assign({}, scene)),
+                'adjacent': (region.adjacent || []).map(resolveRegion)
+            });
+        }
+
+        const hotspots = (document.hotspots || []).map((hotspot) => {
+            return {
+                'node': resolve(hotspot.node),
+                'label': hotspot.label,
+                'icon': hotspot.icon !== undefined ? hotspot.icon : null
+            };
+        });
+
+        return new NavigationGraph(points, connections, {
+            'nodes': nodes,
+            'waypoints': waypoints,
+            'regions': regions,
+            'hotspots': hotspots,
+            'version': document.version
+        });
+    }
+
+    /**
+     * Check a navigation document against the schema.
+     * @param {object} document Parsed JSON navigation document
+     * @return {Array<string>} Human readable description of every problem found, empty if the document is valid
+     */
+    static validate(document) {
+        const errors = [];
+        if (!document || typeof document !== 'object' || Array.isArray(document)) {
+            errors.push('Document must be a JSON object');
+            return errors;
+        }
+
+        if (!Number.isInteger(document.version)) {
+            errors.push('"version" must be an integer');
+        } else if (document.version < 1 || document.version > NavigationGraphLoader.CurrentSchemaVersion) {
+            errors.push(`Unsupported schema version ${document.version} ` +
+                        `(supported: 1 - ${NavigationGraphLoader.CurrentSchemaVersion})`);
+        }
+
+        if (!Array.isArray(document.nodes) || document.nodes.length === 0) {
+            errors.push('"nodes" must be a non-empty array');
+            return errors;
+        }
+
+        const ids = new Set();
+        document.nodes.forEach((node, index) => {
+            const prefix = `nodes[${index}]`;
+            if (!node || typeof node !== 'object') {
+                errors.push(`${prefix} must be an object`);
+                return;
+            }
+            if (!NavigationGraphLoader.isVector3Array(node.position)) {
+                errors.push(`${prefix}.position must be an array of 3 finite numbers`);
+            }
+            if (node.lookDirection !== undefined) {
+                if (!NavigationGraphLoader.isVector3Array(node.lookDirection)) {
+                    errors.push(`${prefix}.lookDirection must be an array of 3 finite numbers`);
+                } else if (node.lookDirection.every((value) => value === 0)) {
+                    errors.push(`${prefix}.lookDirection must not be a zero vector`);
+                }
+            }
+            if (node.id !== undefined) {
+                if (typeof node.id !== 'string' && typeof node.id !== 'number') {
+                    errors.push(`${prefix}.id must be a string or a number`);
+                } else if (ids.has(node.id)) {
+                    errors.push(`${prefix}.id "${node.id}" is not unique`);
+                } else {
+                    ids.add(node.id);
+                }
+            }
+            for (let label of ['floor', 'room', 'label', 'region']) {
+                if (node[label] !== undefined && typeof node[label] !== 'string' && typeof node[label] !== 'number') {
+                    errors.push(`${prefix}.${label} must be a string or a number`);
+                }
+            }
+        });
+
+        const nodeIndexes = NavigationGraphLoader.buildNodeIndexMap(document.nodes);
+        const nodeCount = document.nodes.length;
+        const checkReference = (reference, description) => {
+            if (!nodeIndexes.has(reference)) {
+                errors.push(`${description} references node ${JSON.stringify(reference)}, which does not exist ` +
+                            `(node count: ${nodeCount})`);
+                return false;
+            }
+            return true;
+        };
+
+        if (document.edges !== undefined && !Array.isArray(document.edges)) {
+            errors.push('"edges" must be an array');
+        } else {
+            (document.edges || []).forEach((edge, index) => {
+                const prefix = `edges[${index}]`;
+                const normalized = NavigationGraphLoader.normalizeEdge(edge);
+                if (!normalized) {
+                    errors.push(`${prefix} must be [from, to], [from, to, cost] or { from, to, cost }`);
+                    return;
+                }
+                const fromValid = checkReference(normalized.from, `${prefix}.from`);
+                const toValid = checkReference(normalized.to, `${prefix}.to`);
+                if (fromValid && toValid && nodeIndexes.get(normalized.from) === nodeIndexes.get(normalized.to)) {
+                    errors.push(`${prefix} connects node ${JSON.stringify(normalized.from)} to itself`);
+                }
+                if (normalized.cost !== undefined && !NavigationGraph.isValidCost(normalized.cost)) {
+                    errors.push(`${prefix}.cost must be a finite number >= 0`);
+                }
+            });
+        }
+
+        const waypoints = NavigationGraphLoader.normalizeWaypoints(document.waypoints);
+        if (!waypoints) {
+            errors.push('"waypoints" must be an array of { name, node } or an object mapping names to nodes');
+        } else {
+            const names = new Set();
+            waypoints.forEach((waypoint, index) => {
+                const prefix = `waypoints[${index}]`;
+                if (typeof waypoint.name !== 'string' || waypoint.name.length === 0) {
+                    errors.push(`${prefix}.name must be a non-empty string`);
+                } else if (names.has(waypoint.name)) {
+                    errors.push(`${prefix}.name "${waypoint.name}" is not unique`);
+                } else {
+                    names.add(waypoint.name);
+                }
+                checkReference(waypoint.node, `${prefix}.node`);
+            });
+        }
+
+        const regions = NavigationGraphLoader.normalizeRegions(document.regions);
+        if (!regions) {
+            errors.push('"regions" must be an array of { id, scenes, adjacent } or an object mapping ids to { scenes, adjacent }');
+        } else {
+            const regionIds = new Set();
+            regions.forEach((region, index) => {
+                const prefix = `regions[${index}]`;
+                if (typeof region.id !== 'string' && typeof region.id !== 'number') {
+                    errors.push(`${prefix}.id must be a string or a number`);
+                } else if (regionIds.has(String(region.id))) {
+                    errors.push(`${prefix}.id "${region.id}" is not unique`);
+                } else {
+                    regionIds.add(String(region.id));
+                }
+                if (!Array.isArray(region.scenes)) {
+                    errors.push(`${prefix}.scenes must be an array`);
+                } else {
+                    region.scenes.forEach((scene, sceneIndex) => {
+                        const path = typeof scene === 'string' ? scene : scene && scene.path;
+                        if (typeof path !== 'string' || path.length === 0) {
+                            errors.push(`${prefix}.scenes[${sceneIndex}] must be a path or an object with a "path"`);
+                        }
+                    });
+                }
+                if (region.adjacent !== undefined && !Array.isArray(region.adjacent)) {
+                    errors.push(`${prefix}.adjacent must be an array of region ids`);
+                }
+            });
+            document.nodes.forEach((node, index) => {
+                if (node && node.region !== undefined && regionIds.size > 0 && !regionIds.has(String(node.region))) {
+                    errors.push(`nodes[${index}].region references region ${JSON.stringify(node.region)}, which does not exist`);
+                }
+            });
+            regions.forEach((region, index) => {
+                if (!Array.isArray(region.adjacent)) return;
+                region.adjacent.forEach((adjacentRegion, adjacentIndex) => {
+                    if (!regionIds.has(String(adjacentRegion))) {
+                        errors.push(`regions[${index}].adjacent[${adjacentIndex}] references region ` +
+                                    `${JSON.stringify(adjacentRegion)}, which does not exist`);
+                    }
+                });
+            });
+        }
+
+        if (document.hotspots !== undefined && !Array.isArray(document.hotspots)) {
+            errors.push('"hotspots" must be an array of { node, label, icon }');
+        } else {
+            (document.hotspots || []).forEach((hotspot, index) => {
+                const prefix = `hotspots[${index}]`;
+                if (!hotspot || typeof hotspot !== 'object') {
+                    errors.push(`${prefix} must be an object`);
+                    return;
+                }
+                checkReference(hotspot.node, `${prefix}.node`);
+                if (typeof hotspot.label !== 'string' || hotspot.label.length === 0) {
+                    errors.push(`${prefix}.label must be a non-empty string`);
+                }
+                if (hotspot.icon !== undefined && typeof hotspot.icon !== 'string') {
+                    errors.push(`${prefix}.icon must be a string`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    static convertGeoJSON(featureCollection) {
+        const nodes = [];
+        const edges = [];
+        const waypoints = [];
+        const hotspots = [];
+        for (let feature of featureCollection.features || []) {
+            if (!feature || !feature.geometry) continue;
+            const properties = feature.properties || {};
+            if (feature.geometry.type === 'Point') {
+                const node = { 'position': feature.geometry.coordinates };
+                for (let key of ['id', 'lookDirection', 'floor', 'room', 'label', 'region']) {
+                    if (properties[key] !== undefined) node[key] = properties[key];
+                }
+                if (node.id === undefined && feature.id !== undefined) node.id = feature.id;
+                if (properties.waypoint !== undefined) {
+                    waypoints.push({ 'name': properties.waypoint, 'node': node.id !== undefined ? node.id : nodes.length });
+                }
+                if (properties.hotspot !== undefined) {
+                    hotspots.push(Object.assign({}, properties.hotspot, { 'node': node.id !== undefined ? node.id : nodes.length }));
+                }
+                nodes.push(node);
+            } else if (feature.geometry.type === 'LineString') {
+                edges.push({ 'from': properties.from, 'to': properties.to, 'cost': properties.cost });
+            }
+        }
+        return {
+            'version': featureCollection.version !== undefined ? featureCollection.version : NavigationGraphLoader.CurrentSchemaVersion,
+            'nodes': nodes,
+            'edges': edges,
+            'waypoints': waypoints,
+            'regions': featureCollection.regions,
+            'hotspots': hotspots
+        };
+    }
+
+    /**
+     * Map node references (as used by edges, waypoints and hotspots) to node indexes. Nodes are referred to by their
+     * declared "id"; a node without one is referred to by its array index, which is also the id it gets in the graph.
+     * Declared ids take precedence, so with 1-based numeric ids, reference 1 is the node whose id is 1.
+     */
+    static buildNodeIndexMap(nodes) {
+        const nodeIndexes = new Map();
+        nodes.forEach((node, index) => {
+            if (node && node.id !== undefined && !nodeIndexes.has(node.id)) nodeIndexes.set(node.id, index);
+        });
+        nodes.forEach((node, index) => {
+            if ((!node || node.id === undefined) && !nodeIndexes.has(index)) nodeIndexes.set(index, index);
+        });
+        return nodeIndexes;
+    }
+
+    static normalizeEdge(edge) {
+        if (Array.isArray(edge)) {
+            if (edge.length !== 2 && edge.length !== 3) return null;
+            return { 'from': edge[0], 'to': edge[1], 'cost': edge[2] };
+        } else if (edge && typeof edge === 'object') {
+            return { 'from': edge.from, 'to': edge.to, 'cost': edge.cost };
+        }
+        return null;
+    }
+
+    static normalizeWaypoints(waypoints) {
+        if (waypoints === undefined) return [];
+        if (Array.isArray(waypoints)) {
+            return waypoints.map((waypoint) => waypoint || {});
+        } else if (waypoints && typeof waypoints === 'object') {
+            return Object.keys(waypoints).map((name) => {
+                return { 'name': name, 'node': waypoints[name] };
+            });
+        }
+        return null;
+    }
+
+    static normalizeRegions(regions) {
+        if (regions === undefined) return [];
+        if (Array.isArray(regions)) {
+            return regions.map((region) => region || {});
+        } else if (regions && typeof regions === 'object') {
+            return Object.keys(regions).map((id) => {
+                return Object.assign({}, regions[id], { 'id': id });
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Map the text of each region id to the id as declared. The object form of "regions" declares ids as object keys,
+     * which are always strings, while nodes may refer to them with numbers.
+     */
+    static buildRegionIdMap(regions) {
+        const regionIds = new Map();
+        for (let region of regions || []) {
+            if (region.id !== undefined && !regionIds.has(String(region.id))) regionIds.set(String(region.id), region.id);
+        }
+        return regionIds;
+    }
+
+    static isVector3Array(value) {
+        return Array.isArray(value) && value.length === 3 && value.every((component) => typeof component === 'number' && isFinite(component));
+    }
+}
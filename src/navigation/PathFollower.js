@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+/**
+ * PathFollower: Moves an object (typically the camera) at constant speed along a centripetal Catmull-Rom spline
+ * fitted through a list of points, while easing its orientation toward the direction of travel. Near the end of
+ * the path the orientation blends toward an optional final heading.
+ *
+ * The follower does not run its own animation loop; the owner is expected to call update() once per frame.
+ */
+export class PathFollower {
+
+    /**
+     * @param {THREE.Object3D} object The object to move
+     * @param {object} options {
+     *
+     *         speed (number):            Travel speed in world units per second, defaults to 1.5
+     *
+     *         turnRate (number):         How quickly the orientation converges on the desired heading; higher is
+     *                                    snappier, defaults to 4
+     *
+     *         headingBlendDistance:      Distance from the end of the path over which the look direction blends
+     *                                    from the travel direction to the final heading, defaults to 1.0
+     *
+     *         lookAheadDistance:         How far ahead on the spline to sample the travel direction, defaults to 0.5
+     *
+     *         levelLookDirection:        Keep the look direction perpendicular to the object's up vector,
+     *                                    defaults to true
+     * }
+     */
+    constructor(object, options = {}) {
+        this.object = object;
+        this.speed = options.speed !== undefined ? options.speed : 1.5;
+        this.turnRate = options.turnRate !== undefined ? options.turnRate : 4;
+        this.headingBlendDistance = options.headingBlendDistance !== undefined ? options.headingBlendDistance : 1.0;
+        this.lookAheadDistance = options.lookAheadDistance !== undefined ? options.lookAheadDistance : 0.5;
+        this.levelLookDirection = options.levelLookDirection !== undefined ? options.levelLookDirection : true;
+
+        this.curve = null;
+        this.curveLength = 0;
+        this.distanceTravelled = 0;
+        this.finalHeading = null;
+        this.active = false;
+        this.settling = false;
+        this.onComplete = null;
+        this.onCancel = null;
+    }
+
+    /**
+     * Start following a path.
+     * @param {Array<THREE.Vector3>} points Points the path passes through; the object's current position is
+     *                                      prepended if it is not already at the first point
+     * @param {object} options {
+     *
+     *         finalHeading (THREE.Vector3):  Direction the object should face on arrival, defaults to the direction
+     *                                        of travel
+     *
+     *         onComplete (function):         Called when the object arrives
+     *
+     *         onCancel (function):           Called if cancel() is invoked before arrival
+     * }
+     * @return {boolean} False if the path is too short to follow
+     */
+    start(points, options = {}) {
+        if (this.active) this.cancel();
+
+        const pathPoints = [];
+        if (points.length === 0 || this.object.position.distanceToSquared(points[0]) > 1e-8) {
+            pathPoints.push(this.object.position.clone());
+        }
+        for (let point of points) {
+            if (pathPoints.length === 0 || pathPoints[pathPoints.length - 1].distanceToSquared(point) > 1e-8) {
+                pathPoints.push(point.clone());
+            }
+        }
+
+        this.finalHeading = options.finalHeading ? options.finalHeading.clone().normalize() : null;
+        this.onComplete = options.onComplete || null;
+        this.onCancel = options.onCancel || null;
+        this.distanceTravelled = 0;
+
+        if (pathPoints.length < 2) {
+            this.curve = null;
+            this.curveLength = 0;
+            if (!this.finalHeading) return false;
+            this.active = true;
+            this.settling = true;
+            return true;
+        }
+
+        this.curve = new THREE.CatmullRomCurve3(pathPoints, false, 'centripetal');
+        this.curve.arcLengthDivisions = Math.max(200, pathPoints.length * 50);
+        this.curve.updateArcLengths();
+        this.curveLength = this.curve.getLength();
+        this.active = true;
+        this.settling = false;
+        return true;
+    }
+
+    cancel() {
+        if (!this.active) return;
+        this.active = false;
+        this.curve = null;
+        const onCancel = this.onCancel;
+        this.onComplete = null;
+        this.onCancel = null;
+        if (onCancel) onCancel();
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Advance along the path.
+     * @param {number} timeDelta Time elapsed since the last update, in seconds
+     * @return {boolean} True while the path is still being followed
+     */
+    update = function() {
+
+        const position = new THREE.Vector3();
+        const aheadPosition = new THREE.Vector3();
+        const travelDirection = new THREE.Vector3();
+        const desiredDirection = new THREE.Vector3();
+        const lookTarget = new THREE.Vector3();
+        const lookMatrix = new THREE.Matrix4();
+        const desiredQuaternion = new THREE.Quaternion();
+
+        return function(timeDelta) {
+            if (!this.active) return false;
+
+            if (this.curve && !this.settling) {
+                this.distanceTravelled = Math.min(this.distanceTravelled + this.speed * timeDelta, this.curveLength);
+                const u = this.curveLength > 0 ? this.distanceTravelled / this.curveLength : 1;
+                this.curve.getPointAt(u, position);
+                this.object.position.copy(position);
+
+                const aheadU = Math.min(1, (this.distanceTravelled + this.lookAheadDistance) / this.curveLength);
+                if (aheadU > u) {
+                    this.curve.getPointAt(aheadU, aheadPosition);
+                    travelDirection.subVectors(aheadPosition, position);
+                } else {
+                    this.curve.getTangentAt(u, travelDirection);
+                }
+                desiredDirection.copy(travelDirection);
+
+                const remainingDistance = this.curveLength - this.distanceTravelled;
+                if (this.finalHeading && remainingDistance < this.headingBlendDistance) {
+                    const t = 1.0 - remainingDistance / Math.max(this.headingBlendDistance, 1e-6);
+                    const blend = t * t * (3 - 2 * t);
+                    desiredDirection.normalize().lerp(this.finalHeading, blend);
+                }
+
+                if (this.distanceTravelled >= this.curveLength) this.settling = true;
+            } else {
+                desiredDirection.copy(this.finalHeading || this.object.getWorldDirection(desiredDirection));
+            }
+
+            if (this.levelLookDirection) {
+                desiredDirection.projectOnPlane(this.object.up);
+            }
+
+            let angleRemaining = 0;
+            if (desiredDirection.lengthSq() > 1e-8) {
+                desiredDirection.normalize();
+                lookTarget.copy(this.object.position).add(desiredDirection);
+                lookMatrix.lookAt(this.object.position, lookTarget, this.object.up);
+                desiredQuaternion.setFromRotationMatrix(lookMatrix);
+                const turnAlpha = 1.0 - Math.exp(-this.turnRate * timeDelta);
+                this.object.quaternion.slerp(desiredQuaternion, turnAlpha);
+                angleRemaining = this.object.quaternion.angleTo(desiredQuaternion);
+            }
+
+            if (this.settling && (!this.finalHeading || angleRemaining < 0.01)) {
+                this.active = false;
+                this.curve = null;
+                const onComplete = this.onComplete;
+                this.onComplete = null;
+                this.onCancel = null;
+                if (onComplete) onComplete();
+                return false;
+            }
+
+            return true;
+        };
+
+    }();
+}
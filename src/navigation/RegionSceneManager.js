@@ -0,0 +1,167 @@
+import { ViewerEvent } from '../ViewerEvent.js';
+
+/**
+ * RegionSceneManager: Shows only the splat scenes of the navigation graph region the camera is in. The region is
+ * taken from the graph node closest to the camera. When it changes, the new region's scenes are made visible and
+ * every other region's scenes are hidden (through SplatScene.visible, so the controls and the splat mesh are left
+ * as they are). The scenes of adjacent regions are downloaded in the background ahead of time, so that walking into
+ * them does not wait for a download. Region changes are reported through Viewer.emit():
+ *
+ *     'regionChanged' ({ region, previousRegion })   The camera moved into another region
+ *
+ * Scenes are added with Viewer.addSplatScenes() the first time a region needs them and are not removed by the
+ * manager. When scenes are removed through Viewer.removeSplatScenes(), the viewer calls onScenesRemoved() so that the
+ * indexes of the remaining scenes are updated; removed scenes are downloaded again the next time the camera enters
+ * a region that needs them. Hiding scenes requires the viewer to be created with 'enableOptionalEffects: true'.
+ */
+export class RegionSceneManager {
+
+    /**
+     * @param {Viewer} viewer The viewer whose splat scenes are managed
+     * @param {object} options {
+     *
+     *         prefetchAdjacent (boolean):  Download the scenes of regions adjacent to the current one in the
+     *                                      background, defaults to true
+     * }
+     */
+    constructor(viewer, options = {}) {
+        this.viewer = viewer;
+        this.prefetchAdjacent = options.prefetchAdjacent !== undefined ? options.prefetchAdjacent : true;
+
+        this.navigationGraph = null;
+        this.currentRegion = null;
+        this.sceneIndexes = new Map();
+        this.pendingPaths = new Set();
+        this.loadQueue = [];
+        this.loading = false;
+        this.warnedAboutVisibility = false;
+    }
+
+    getCurrentRegion() {
+        return this.currentRegion;
+    }
+
+    /**
+     * Switch to another navigation graph. Scenes that were already loaded stay loaded and are re-used by path.
+     * @param {NavigationGraph} navigationGraph The graph whose regions should be followed, or null
+     */
+    setNavigationGraph(navigationGraph) {
+        if (navigationGraph === this.navigationGraph) return;
+        this.navigationGraph = navigationGraph;
+        this.currentRegion = null;
+        this.loadQueue = [];
+    }
+
+    update(cameraPosition) {
+        const navigationGraph = this.navigationGraph;
+        if (!navigationGraph || !navigationGraph.hasRegions()) return;
+
+        const closestNode = navigationGraph.findClosestNode(cameraPosition);
+        if (closestNode < 0) return;
+        const region = navigationGraph.getNodeRegion(closestNode);
+        if (region !== null && region !== this.currentRegion && navigationGraph.getRegion(region)) {
+            const previousRegion = this.currentRegion;
+            this.currentRegion = region;
+            this.requestRegionScenes(region);
+            this.updateSceneVisibility();
+            this.viewer.emit(ViewerEvent.RegionChanged, { 'region': region, 'previousRegion': previousRegion });
+        }
+
+        this.processLoadQueue();
+    }
+
+    requestRegionScenes(region) {
+        const navigationGraph = this.navigationGraph;
+        // The current region's scenes go to the front of the queue, ahead of anything still being prefetched
+        this.loadQueue = [];
+        this.queueScenes(navigationGraph.getRegion(region).scenes, true);
+        if (this.prefetchAdjacent) {
+            for (let adjacentRegion of navigationGraph.getAdjacentRegions(region)) {
+                const adjacent = navigationGraph.getRegion(adjacentRegion);
+                if (adjacent) this.queueScenes(adjacent.scenes, false);
+            }
+        }
+    }
+
+    queueScenes(scenes, showLoadingUI) {
+        const missing = scenes.filter((scene) => !this.sceneIndexes.has(scene.path) && !this.pendingPaths.has(scene.path));
+        if (missing.length > 0) this.loadQueue.push({ 'scenes': missing, 'showLoadingUI': showLoadingUI });
+    }
+
+    processLoadQueue() {
+        const viewer = this.viewer;
+        if (this.loading || this.loadQueue.length === 0 || viewer.isLoadingOrUnloading() || viewer.isDisposingOrDisposed()) {
+            return;
+        }
+
+        const batch = this.loadQueue.shift();
+        const scenes = batch.scenes.filter((scene) => !this.sceneIndexes.has(scene.path) && !this.pendingPaths.has(scene.path));
+        if (scenes.length === 0) return;
+
+        // New scenes are appended to the splat mesh, so their indexes follow the scenes that are already there
+        const firstSceneIndex = viewer.splatMesh.scenes.length;
+        const sceneOptions = scenes.map((scene) => Object.assign({}, scene, { 'visible': this.isSceneInCurrentRegion(scene.path) }));
+        for (let scene of scenes) this.pendingPaths.add(scene.path);
+        this.loading = true;
+
+        const finishLoad = () => {
+            this.loading = false;
+            for (let scene of scenes) this.pendingPaths.delete(scene.path);
+        };
+        viewer.addSplatScenes(sceneOptions, batch.showLoadingUI)
+        .then(() => {
+            finishLoad();
+            if (!this.viewer) return;
+            // addSplatScenes() also resolves when the load was aborted; the scenes then were never added, so their
+            // paths stay unmapped and are requested again the next time they are needed
+            if (this.viewer.splatMesh.scenes.length !== firstSceneIndex + scenes.length) return;
+            scenes.forEach((scene, index) => this.sceneIndexes.set(scene.path, firstSceneIndex + index));
+            // The camera may have changed regions while the scenes were downloading
+            this.updateSceneVisibility();
+        })
+        .catch((error) => {
+            finishLoad();
+            console.error(`RegionSceneManager::processLoadQueue() -> ${error.message}`);
+        });
+    }
+
+    /**
+     * Update the stored scene indexes after splat scenes were removed from the viewer: entries for removed scenes are
+     * dropped and the indexes of the scenes after them are shifted down.
+     * @param {Array<number>} removedIndexes Indexes the removed scenes had before the removal
+     */
+    onScenesRemoved(removedIndexes) {
+        const sceneIndexes = new Map();
+        for (let [path, sceneIndex] of this.sceneIndexes) {
+            if (removedIndexes.includes(sceneIndex)) continue;
+            const removedBefore = removedIndexes.filter((removedIndex) => removedIndex < sceneIndex).length;
+            sceneIndexes.set(path, sceneIndex - removedBefore);
+        }
+        this.sceneIndexes = sceneIndexes;
+    }
+
+    isSceneInCurrentRegion(path) {
+        const region = this.navigationGraph ? this.navigationGraph.getRegion(this.currentRegion) : null;
+        return region ? region.scenes.some((scene) => scene.path === path) : false;
+    }
+
+    updateSceneVisibility() {
+        const splatMesh = this.viewer ? this.viewer.splatMesh : null;
+        if (!splatMesh) return;
+        if (!this.warnedAboutVisibility && !splatMesh.enableOptionalEffects && this.sceneIndexes.size > 1) {
+            console.warn('RegionSceneManager: Hiding splat scenes requires the viewer option \'enableOptionalEffects: true\'');
+            this.warnedAboutVisibility = true;
+        }
+        for (let [path, sceneIndex] of this.sceneIndexes) {
+            if (sceneIndex >= splatMesh.scenes.length) continue;
+            splatMesh.getScene(sceneIndex).visible = this.isSceneInCurrentRegion(path);
+        }
+        this.viewer.forceRenderNextFrame();
+    }
+
+    dispose() {
+        this.navigationGraph = null;
+        this.loadQueue = [];
+        this.viewer = null;
+    }
+}
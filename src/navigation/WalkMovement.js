@@ -0,0 +1,164 @@
+import * as THREE from 'three';
+
+/**
+ * WalkMovement: Turns walking input into smooth, frame-rate independent camera movement. Input from every source
+ * (keys, on-screen thumbsticks, ...) is combined into one direction, so diagonal movement works and opposing keys
+ * cancel out. The camera's velocity eases toward the desired velocity using separate acceleration and deceleration
+ * rates, which gives movement a short ramp up when it starts and a short glide when it stops.
+ *
+ * Movement normally happens in the walk ground plane. In free-fly mode it follows the full view direction instead,
+ * and the Up/Down actions move along the up vector.
+ */
+export class WalkMovement {
+
+    static Action = {
+        Forward: 'forward',
+        Backward: 'backward',
+        Left: 'left',
+        Right: 'right',
+        Up: 'up',
+        Down: 'down',
+        Sprint: 'sprint'
+    };
+
+    /**
+     * @param {object} options {
+     *
+     *         speed (number):              Walking speed in world units per second, defaults to 1.5
+     *
+     *         sprintMultiplier (number):   Speed multiplier while the Sprint action is active, defaults to 2.5
+     *
+     *         acceleration (number):       How quickly the velocity rises toward the desired velocity; higher is
+     *                                      snappier, defaults to 8
+     *
+     *         deceleration (number):       How quickly the velocity falls once input is released, defaults to 10
+     * }
+     */
+    constructor(options = {}) {
+        this.speed = options.speed !== undefined ? options.speed : 1.5;
+        this.sprintMultiplier = options.sprintMultiplier !== undefined ? options.sprintMultiplier : 2.5;
+        this.acceleration = options.acceleration !== undefined ? options.acceleration : 8;
+        this.deceleration = options.deceleration !== undefined ? options.deceleration : 10;
+
+        this.actions = {};
+        for (let action of Object.values(WalkMovement.Action)) this.actions[action] = false;
+
+        // Analog input in the range [-1, 1]: x is right/left, y is forward/back, z is up/down (free-fly only)
+        this.analogInput = new THREE.Vector3();
+
+        this.velocity = new THREE.Vector3();
+    }
+
+    /**
+     * Whether a controller should claim the key events of an action (call preventDefault(), interrupt path following).
+     * Up/Down and Sprint only matter in free-fly mode, so outside of it their keys are left to the page.
+     * @param {string} action A WalkMovement.Action
+     * @param {boolean} freeFly Whether free-fly mode is active
+     * @return {boolean}
+     */
+    static ownsKeyAction(action, freeFly) {
+        const Action = WalkMovement.Action;
+        if (action === Action.Up || action === Action.Down || action === Action.Sprint) return freeFly;
+        return true;
+    }
+
+    setAction(action, active) {
+        this.actions[action] = active;
+    }
+
+    setAnalogInput(x, y, z = 0) {
+        this.analogInput.set(x, y, z);
+    }
+
+    clearInput() {
+        for (let action of Object.keys(this.actions)) this.actions[action] = false;
+        this.analogInput.set(0, 0, 0);
+    }
+
+    hasInput() {
+        const Action = WalkMovement.Action;
+        return this.actions[Action.Forward] || this.actions[Action.Backward] || this.actions[Action.Left] ||
+               this.actions[Action.Right] || this.actions[Action.Up] || this.actions[Action.Down] ||
+               this.analogInput.lengthSq() > 0;
+    }
+
+    isMoving() {
+        return this.hasInput() || this.velocity.lengthSq() > 0;
+    }
+
+    stop() {
+        this.velocity.set(0, 0, 0);
+    }
+
+    /**
+     * Advance the velocity by one time step and compute how far the object should move.
+     * @param {THREE.Object3D} object The object (camera) being moved, which defines the forward direction
+     * @param {GroundPlane} groundPlane The walk ground plane
+     * @param {boolean} freeFly Move along the full view direction and allow vertical movement
+     * @param {number} timeDelta Time elapsed since the last update, in seconds
+     * @param {THREE.Vector3} outDisplacement Receives the movement for this time step
+     * @return {THREE.Vector3} outDisplacement
+     */
+    update = function() {
+
+        const input = new THREE.Vector3();
+        const forward = new THREE.Vector3();
+        const right = new THREE.Vector3();
+        const desiredVelocity = new THREE.Vector3();
+
+        return function(object, groundPlane, freeFly, timeDelta, outDisplacement) {
+            outDisplacement.set(0, 0, 0);
+            if (timeDelta <= 0) return outDisplacement;
+
+            const Action = WalkMovement.Action;
+            input.copy(this.analogInput);
+            if (this.actions[Action.Right]) input.x += 1;
+            if (this.actions[Action.Left]) input.x -= 1;
+            if (this.actions[Action.Forward]) input.y += 1;
+            if (this.actions[Action.Backward]) input.y -= 1;
+            if (freeFly) {
+                if (this.actions[Action.Up]) input.z += 1;
+                if (this.actions[Action.Down]) input.z -= 1;
+            } else {
+                input.z = 0;
+            }
+            if (input.lengthSq() > 1) input.normalize();
+
+            object.getWorldDirection(forward);
+            if (!freeFly) groundPlane.projectDirection(forward);
+            right.crossVectors(forward, groundPlane.up).normalize();
+
+            const speed = this.speed * (this.actions[Action.Sprint] ? this.sprintMultiplier : 1);
+            desiredVelocity.copy(right).multiplyScalar(input.x)
+                           .addScaledVector(forward, input.y)
+                           .addScaledVector(groundPlane.up, input.z)
+                           .multiplyScalar(speed);
+
+            const speedingUp = desiredVelocity.lengthSq() >= this.velocity.lengthSq();
+            const rate = speedingUp ? this.acceleration : this.deceleration;
+            this.velocity.lerp(desiredVelocity, 1.0 - Math.exp(-rate * timeDelta));
+            if (desiredVelocity.lengthSq() === 0 && this.velocity.lengthSq() < 1e-6) this.velocity.set(0, 0, 0);
+
+            return outDisplacement.copy(this.velocity).multiplyScalar(timeDelta);
+        };
+
+    }();
+
+    /**
+     * Limit the velocity to the movement that actually happened after walls, roads and collisions were applied, so
+     * that speed does not build up while the camera is blocked.
+     * @param {THREE.Vector3} displacement The movement that was applied
+     * @param {number} timeDelta Time step the movement covered, in seconds
+     */
+    constrainVelocity = function() {
+
+        const actualVelocity = new THREE.Vector3();
+
+        return function(displacement, timeDelta) {
+            if (timeDelta <= 0) return;
+            actualVelocity.copy(displacement).divideScalar(timeDelta);
+            if (actualVelocity.lengthSq() < this.velocity.lengthSq()) this.velocity.copy(actualVelocity);
+        };
+
+    }();
+}
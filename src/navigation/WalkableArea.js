@@ -0,0 +1,280 @@
+import * as THREE from 'three';
+
+/**
+ * WalkableArea: The region of the ground plane the camera is allowed to walk in, made up of one or more simple
+ * polygons, each of which may contain holes (pillars, furniture, ...). All coordinates are 2D ground-plane
+ * coordinates.
+ *
+ * Walkable areas are loaded from JSON, either as
+ *
+ * {
+ *     "version": 1,
+ *     "polygons": [
+ *         { "outer": [[x, y], [x, y], ...], "holes": [[[x, y], ...], ...] },
+ *         ...
+ *     ]
+ * }
+ *
+ * or as GeoJSON (a Polygon or MultiPolygon geometry, a Feature holding one, or a FeatureCollection of them), where
+ * the first ring of each polygon is its outline and any further rings are holes.
+ */
+export class WalkableArea {
+
+    static CurrentSchemaVersion = 1;
+
+    /**
+     * @param {Array<object>} polygons Polygons as { outer: Array<THREE.Vector2>, holes: Array<Array<THREE.Vector2>> }
+     */
+    constructor(polygons = []) {
+        this.polygons = polygons.map((polygon) => {
+            return {
+                'outer': polygon.outer,
+                'holes': polygon.holes || []
+            };
+        });
+    }
+
+    static fromOutline(points) {
+        return new WalkableArea([{ 'outer': points, 'holes': [] }]);
+    }
+
+    /**
+     * Build a walkable area from the convex hull of a set of ground-plane points (for example graph node positions).
+     * @param {Array<THREE.Vector2>} points The points to enclose
+     * @return {WalkableArea}
+     */
+    static fromConvexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const buildChain = (orderedPoints) => {
+            const chain = [];
+            for (let point of orderedPoints) {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) chain.pop();
+                chain.push(point);
+            }
+            chain.pop();
+            return chain;
+        };
+        const hull = buildChain(sorted).concat(buildChain(sorted.slice().reverse()));
+        return WalkableArea.fromOutline(hull.map((point) => new THREE.Vector2(point.x, point.y)));
+    }
+
+    static async loadFromURL(path) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`WalkableArea.loadFromURL() -> Failed to fetch ${path}: ${response.status}`);
+        }
+        return WalkableArea.parse(await response.json());
+    }
+
+    static parse(document) {
+        const toRing = (coordinates, description) => {
+            if (!Array.isArray(coordinates)) {
+                throw new Error(`WalkableArea.parse() -> ${description} must be an array of [x, y] coordinates`);
+            }
+            const ring = coordinates.map((coordinate, index) => {
+                if (!Array.isArray(coordinate) || coordinate.length < 2 ||
+                    !isFinite(coordinate[0]) || !isFinite(coordinate[1])) {
+                    throw new Error(`WalkableArea.parse() -> ${description}[${index}] is not a valid coordinate`);
+                }
+                return new THREE.Vector2(coordinate[0], coordinate[1]);
+            });
+            // GeoJSON rings repeat the first coordinate at the end
+            if (ring.length > 1 && ring[0].equals(ring[ring.length - 1])) ring.pop();
+            if (ring.length < 3) {
+                throw new Error(`WalkableArea.parse() -> ${description} needs at least 3 distinct points`);
+            }
+            return ring;
+        };
+
+        const polygons = [];
+        const addGeoJSONPolygon = (rings, description) => {
+            if (!Array.isArray(rings) || rings.length === 0) {
+                throw new Error(`WalkableArea.parse() -> ${description} has no rings`);
+            }
+            polygons.push({
+                'outer': toRing(rings[0], `${description}[0]`),
+                'holes': rings.slice(1).map((ring, index) => toRing(ring, `${description}[${index + 1}]`))
+            });
+        };
+        const addGeoJSONGeometry = (geometry, description) => {
+            if (!geometry) return;
+            if (geometry.type === 'Polygon') {
+                addGeoJSONPolygon(geometry.coordinates, `${description}.coordinates`);
+            } else if (geometry.type === 'MultiPolygon') {
+                geometry.coordinates.forEach((rings, index) => addGeoJSONPolygon(rings, `${description}.coordinates[${index}]`));
+            }
+        };
+
+        if (!document || typeof document !== 'object') {
+            throw new Error('WalkableArea.parse() -> Document must be a JSON object');
+        } else if (document.type === 'FeatureCollection') {
+            (document.features || []).forEach((feature, index) => addGeoJSONGeometry(feature.geometry, `features[${index}].geometry`));
+        } else if (document.type === 'Feature') {
+            addGeoJSONGeometry(document.geometry, 'geometry');
+        } else if (document.type === 'Polygon' || document.type === 'MultiPolygon') {
+            addGeoJSONGeometry(document, 'geometry');
+        } else {
+            if (document.version !== undefined && document.version > WalkableArea.CurrentSchemaVersion) {
+                throw new Error(`WalkableArea.parse() -> Unsupported schema version ${document.version}`);
+            }
+            if (!Array.isArray(document.polygons)) {
+                throw new Error('WalkableArea.parse() -> "polygons" must be an array');
+            }
+            document.polygons.forEach((polygon, index) => {
+                polygons.push({
+                    'outer': toRing(polygon.outer, `polygons[${index}].outer`),
+                    'holes': (polygon.holes || []).map((hole, holeIndex) => toRing(hole, `polygons[${index}].holes[${holeIndex}]`))
+                });
+            });
+        }
+
+        if (polygons.length === 0) {
+            throw new Error('WalkableArea.parse() -> Document does not contain any polygons');
+        }
+        return new WalkableArea(polygons);
+    }
+
+    static isPointInRing(point, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i].x;
+            const yi = ring[i].y;
+            const xj = ring[j].x;
+            const yj = ring[j].y;
+            const intersect = ((yi > point.y) !== (yj > point.y)) &&
+                              (point.x < (xj - xi) * (point.y - yi) / (yj - yi) + xi);
+            if (intersect) inside = !inside;
+        }
+        return inside;
+    }
+
+    containsPoint(point) {
+        for (let polygon of this.polygons) {
+            if (!WalkableArea.isPointInRing(point, polygon.outer)) continue;
+            let inHole = false;
+            for (let hole of polygon.holes) {
+                if (WalkableArea.isPointInRing(point, hole)) {
+                    inHole = true;
+                    break;
+                }
+            }
+            if (!inHole) return true;
+        }
+        return false;
+    }
+
+    forEachEdge(callback) {
+        for (let polygon of this.polygons) {
+            for (let ring of [polygon.outer, ...polygon.holes]) {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    callback(ring[j], ring[i]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Find the closest point on any polygon edge (outline or hole) to a given point.
+     * @param {THREE.Vector2} point The point to test
+     * @param {THREE.Vector2} outPoint Receives the closest point
+     * @param {THREE.Vector2} outEdgeDirection Optional, receives the normalized direction of the closest edge
+     * @return {number} Distance to the closest point, Infinity if the area is empty
+     */
+    closestPointOnBoundary = function() {
+
+        const candidate = new THREE.Vector2();
+
+        return function(point, outPoint, outEdgeDirection) {
+            let closestDistanceSq = Infinity;
+            this.forEachEdge((a, b) => {
+                WalkableArea.closestPointOnSegment(point, a, b, candidate);
+                const distanceSq = candidate.distanceToSquared(point);
+                if (distanceSq < closestDistanceSq) {
+                    closestDistanceSq = distanceSq;
+                    outPoint.copy(candidate);
+                    if (outEdgeDirection) outEdgeDirection.subVectors(b, a).normalize();
+                }
+            });
+            return Math.sqrt(closestDistanceSq);
+        };
+
+    }();
+
+    /**
+     * Compute where a move from one point toward another ends up. Moves that stay inside the area are unchanged;
+     * moves that would leave it slide along the wall that was hit. Moves that start outside the area are allowed
+     * as long as they get closer to it, so that a camera placed outside is never trapped.
+     * @param {THREE.Vector2} from Start of the move
+     * @param {THREE.Vector2} to Desired end of the move
+     * @param {THREE.Vector2} outPosition Receives the resulting position
+     * @return {THREE.Vector2} outPosition
+     */
+    resolveMovement = function() {
+
+        const movement = new THREE.Vector2();
+        const edgeDirection = new THREE.Vector2();
+        const closestPoint = new THREE.Vector2();
+        const slidPosition = new THREE.Vector2();
+
+        return function(from, to, outPosition) {
+            if (this.containsPoint(to)) return outPosition.copy(to);
+
+            if (!this.containsPoint(from)) {
+                const fromDistance = this.closestPointOnBoundary(from, closestPoint);
+                const toDistance = this.closestPointOnBoundary(to, closestPoint);
+                return outPosition.copy(toDistance < fromDistance ? to : from);
+            }
+
+            movement.subVectors(to, from);
+            if (!this.findCrossedEdgeDirection(from, to, edgeDirection)) {
+                this.closestPointOnBoundary(to, closestPoint, edgeDirection);
+            }
+
+            // Keep only the part of the move that runs along the wall
+            slidPosition.copy(edgeDirection).multiplyScalar(movement.dot(edgeDirection)).add(from);
+            if (this.containsPoint(slidPosition)) return outPosition.copy(slidPosition);
+
+            return outPosition.copy(from);
+        };
+
+    }();
+
+    findCrossedEdgeDirection(from, to, outEdgeDirection) {
+        let closestT = Infinity;
+        this.forEachEdge((a, b) => {
+            const t = WalkableArea.segmentIntersection(from, to, a, b);
+            if (t !== null && t < closestT) {
+                closestT = t;
+                outEdgeDirection.subVectors(b, a).normalize();
+            }
+        });
+        return closestT !== Infinity;
+    }
+
+    static closestPointOnSegment(point, a, b, outPoint) {
+        const abX = b.x - a.x;
+        const abY = b.y - a.y;
+        const lengthSq = abX * abX + abY * abY;
+        let t = lengthSq > 0 ? ((point.x - a.x) * abX + (point.y - a.y) * abY) / lengthSq : 0;
+        t = Math.max(0, Math.min(1, t));
+        return outPoint.set(a.x + abX * t, a.y + abY * t);
+    }
+
+    /**
+     * Intersect segment p -> q with segment a -> b.
+     * @return {number|null} Parameter along p -> q of the intersection, or null if the segments do not cross
+     */
+    static segmentIntersection(p, q, a, b) {
+        const rX = q.x - p.x;
+        const rY = q.y - p.y;
+        const sX = b.x - a.x;
+        const sY = b.y - a.y;
+        const denominator = rX * sY - rY * sX;
+        if (Math.abs(denominator) < 1e-12) return null;
+        const t = ((a.x - p.x) * sY - (a.y - p.y) * sX) / denominator;
+        const u = ((a.x - p.x) * rY - (a.y - p.y) * rX) / denominator;
+        if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+        return t;
+    }
+}
@@ -1772,7 +1772,7 @@ export class SplatMesh extends THREE.Mesh {
                                 return this.computeDistancesOnGPUSyncTimeout;
                             case gl.WAIT_FAILED:
                                 throw new Error('should never get here');
-                            default:
+                            default: {
                                 this.computeDistancesOnGPUSyncTimeout = null;
                                 gl.deleteSync(sync);
                                 const currentVao = gl.getParameter(gl.VERTEX_ARRAY_BINDING);
@@ -1786,6 +1786,7 @@ export class SplatMesh extends THREE.Mesh {
                                 // console.timeEnd("gpu_compute_distances");
 
                                 resolve();
+                            }
                         }
                     }
                 };
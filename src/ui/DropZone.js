@@ -0,0 +1,166 @@
+import { getString, getPreferredLocale } from './Strings.js';
+
+/**
+ * DropZone: Lets the user drop files onto an element. While files are dragged over the element, an overlay tells the
+ * user what dropping them will do: a plain drop replaces the current scene, a drop with Shift held adds to it. Drags
+ * that carry no files (e.g. selected text) are ignored.
+ */
+export class DropZone {
+
+    static elementIDGen = 0;
+
+    /**
+     * @param {HTMLElement} container Element that files can be dropped onto; the overlay is added to it
+     * @param {object} options {
+     *
+     *         onDrop (function):  Called with the dropped files (Array<File>) and whether they should be added to the
+     *                             scene (true) or replace it (false)
+     *
+     *         locale (string):    Locale of the overlay's message (see Strings), defaults to the browser's language
+     * }
+     */
+    constructor(container, options = {}) {
+
+        this.elementID = DropZone.elementIDGen++;
+        this.container = null;
+        this.onDrop = options.onDrop || null;
+        this.locale = options.locale || getPreferredLocale();
+        this.add = false;
+        // dragenter and dragleave fire for every child element the drag passes over, so the overlay is only hidden
+        // once the drag has left all of them
+        this.dragDepth = 0;
+
+        this.dropZoneContainer = document.createElement('div');
+        this.dropZoneContainer.className = `dropZoneContainer${this.elementID}`;
+
+        const style = document.createElement('style');
+        style.innerHTML = `
+
+            .dropZoneContainer${this.elementID} {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                padding: 16px;
+                box-sizing: border-box;
+                display: none;
+                background-color: rgba(0, 0, 0, 0.4);
+                z-index: 10000;
+                pointer-events: none;
+                font-family: arial;
+            }
+
+            .dropZoneBorder${this.elementID} {
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                width: 100%;
+                height: 100%;
+                box-sizing: border-box;
+                border: #dddddd 3px dashed;
+                border-radius: 10px;
+            }
+
+            .dropZoneMessage${this.elementID} {
+                padding: 10px 20px;
+                background-color: rgba(40, 40, 40, 0.9);
+                border-radius: 5px;
+                color: #dddddd;
+                font-size: 14pt;
+                text-align: center;
+            }
+
+        `;
+        this.dropZoneContainer.appendChild(style);
+
+        const border = document.createElement('div');
+        border.className = `dropZoneBorder${this.elementID}`;
+        this.dropZoneContainer.appendChild(border);
+
+        this.message = document.createElement('div');
+        this.message.className = `dropZoneMessage${this.elementID}`;
+        border.appendChild(this.message);
+
+        this.onDragEnter = (event) => {
+            if (!DropZone.hasFiles(event)) return;
+            event.preventDefault();
+            this.dragDepth++;
+            this.show(event.shiftKey);
+        };
+        this.onDragOver = (event) => {
+            if (!DropZone.hasFiles(event)) return;
+            // Without this the browser opens the dropped file instead of firing 'drop'
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            this.show(event.shiftKey);
+        };
+        this.onDragLeave = (event) => {
+            if (!DropZone.hasFiles(event)) return;
+            this.dragDepth = Math.max(this.dragDepth - 1, 0);
+            if (this.dragDepth === 0) this.hide();
+        };
+        this.onDropEvent = (event) => {
+            if (!DropZone.hasFiles(event)) return;
+            event.preventDefault();
+            this.dragDepth = 0;
+            this.hide();
+            const files = Array.from(event.dataTransfer.files);
+            if (files.length > 0 && this.onDrop) this.onDrop(files, event.shiftKey);
+        };
+
+        this.setContainer(container);
+        this.visible = false;
+    }
+
+    static hasFiles(event) {
+        return event.dataTransfer ? Array.from(event.dataTransfer.types).includes('Files') : false;
+    }
+
+    show(add) {
+        if (!this.visible || add !== this.add) {
+            this.add = add;
+            this.message.innerText = getString(this.locale, add ? 'dropToAdd' : 'dropToReplace');
+        }
+        if (!this.visible) {
+            this.dropZoneContainer.style.display = 'block';
+            this.visible = true;
+        }
+    }
+
+    hide() {
+        if (!this.visible) return;
+        this.dropZoneContainer.style.display = 'none';
+        this.visible = false;
+    }
+
+    setLocale(locale) {
+        this.locale = locale;
+        if (this.visible) this.message.innerText = getString(this.locale, this.add ? 'dropToAdd' : 'dropToReplace');
+    }
+
+    setContainer(container) {
+        if (this.container) {
+            this.container.removeEventListener('dragenter', this.onDragEnter);
+            this.container.removeEventListener('dragover', this.onDragOver);
+            this.container.removeEventListener('dragleave', this.onDragLeave);
+            this.container.removeEventListener('drop', this.onDropEvent);
+            this.container.removeChild(this.dropZoneContainer);
+        }
+        if (container) {
+            this.container = container;
+            this.container.addEventListener('dragenter', this.onDragEnter);
+            this.container.addEventListener('dragover', this.onDragOver);
+            this.container.addEventListener('dragleave', this.onDragLeave);
+            this.container.addEventListener('drop', this.onDropEvent);
+            this.container.appendChild(this.dropZoneContainer);
+        }
+    }
+
+    dispose() {
+        this.hide();
+        this.setContainer(null);
+        this.container = null;
+        this.onDrop = null;
+    }
+}
@@ -1,25 +1,30 @@
+import { getString, getPreferredLocale } from './Strings.js';
+
 export class InfoPanel {
 
-    constructor(container) {
+    constructor(container, locale) {
 
         this.container = container || document.body;
+        this.locale = locale || getPreferredLocale();
 
         this.infoCells = {};
+        this.labelCells = {};
 
         const layout = [
-            ['Camera position', 'cameraPosition'],
-            ['Camera look-at', 'cameraLookAt'],
-            ['Camera up', 'cameraUp'],
-            ['Camera mode', 'orthographicCamera'],
-            ['Cursor position', 'cursorPosition'],
-            ['FPS', 'fps'],
-            ['Rendering:', 'renderSplatCount'],
-            ['Sort time', 'sortTime'],
-            ['Render window', 'renderWindow'],
-            ['Focal adjustment', 'focalAdjustment'],
-            ['Splat scale', 'splatScale'],
-            ['Point cloud mode', 'pointCloudMode']
+            ['infoCameraPosition', 'cameraPosition'],
+            ['infoCameraLookAt', 'cameraLookAt'],
+            ['infoCameraUp', 'cameraUp'],
+            ['infoCameraMode', 'orthographicCamera'],
+            ['infoCursorPosition', 'cursorPosition'],
+            ['infoFPS', 'fps'],
+            ['infoRendering', 'renderSplatCount'],
+            ['infoSortTime', 'sortTime'],
+            ['infoRenderWindow', 'renderWindow'],
+            ['infoFocalAdjustment', 'focalAdjustment'],
+            ['infoSplatScale', 'splatScale'],
+            ['infoPointCloudMode', 'pointCloudMode']
         ];
+        this.layout = layout;
 
         this.infoPanelContainer = document.createElement('div');
         const style = document.createElement('style');
@@ -70,7 +75,7 @@ export class InfoPanel {
 
             const labelCell = document.createElement('div');
             labelCell.style.display = 'table-cell';
-            labelCell.innerHTML = `${layoutEntry[0]}: `;
+            labelCell.innerHTML = `${getString(this.locale, layoutEntry[0])}: `;
             labelCell.classList.add('info-panel-cell', 'label-cell');
 
             const spacerCell = document.createElement('div');
@@ -85,6 +90,7 @@ export class InfoPanel {
             infoCell.className = 'info-panel-cell';
 
             this.infoCells[layoutEntry[1]] = infoCell;
+            this.labelCells[layoutEntry[1]] = labelCell;
 
             row.appendChild(labelCell);
             row.appendChild(spacerCell);
@@ -123,21 +129,24 @@ export class InfoPanel {
             this.infoCells.cameraUp.innerHTML = cameraUpString;
         }
 
-        this.infoCells.orthographicCamera.innerHTML = orthographicCamera ? 'Orthographic' : 'Perspective';
+        this.infoCells.orthographicCamera.innerHTML = getString(this.locale, orthographicCamera ? 'infoOrthographic' : 'infoPerspective');
 
         if (meshCursorPosition) {
             const cursPos = meshCursorPosition;
             const cursorPosString = `${cursPos.x.toFixed(5)}, ${cursPos.y.toFixed(5)}, ${cursPos.z.toFixed(5)}`;
             this.infoCells.cursorPosition.innerHTML = cursorPosString;
         } else {
-            this.infoCells.cursorPosition.innerHTML = 'N/A';
+            this.infoCells.cursorPosition.innerHTML = getString(this.locale, 'infoNotAvailable');
         }
 
         this.infoCells.fps.innerHTML = currentFPS;
         this.infoCells.renderWindow.innerHTML = `${renderDimensions.x} x ${renderDimensions.y}`;
 
-        this.infoCells.renderSplatCount.innerHTML =
-            `${splatRenderCount} splats out of ${splatCount} (${splatRenderCountPct.toFixed(2)}%)`;
+        this.infoCells.renderSplatCount.innerHTML = getString(this.locale, 'infoRenderSplatCount', {
+            'renderCount': splatRenderCount,
+            'count': splatCount,
+            'percent': splatRenderCountPct.toFixed(2)
+        });
 
         this.infoCells.sortTime.innerHTML = `${lastSortTime.toFixed(3)} ms`;
         this.infoCells.focalAdjustment.innerHTML = `${focalAdjustment.toFixed(3)}`;
@@ -156,6 +165,13 @@ export class InfoPanel {
         }
     }
 
+    setLocale(locale) {
+        this.locale = locale;
+        for (let layoutEntry of this.layout) {
+            this.labelCells[layoutEntry[1]].innerHTML = `${getString(this.locale, layoutEntry[0])}: `;
+        }
+    }
+
     show() {
         this.infoPanelContainer.style.display = 'block';
         this.visible = true;
@@ -1,6 +1,8 @@
+import { getString, getPreferredLocale } from './Strings.js';
+
 export class LoadingProgressBar {
 
-    constructor(container) {
+    constructor(container, locale) {
 
         this.idGen = 0;
 
@@ -14,6 +16,11 @@ export class LoadingProgressBar {
 
         this.progressBarBox = document.createElement('div');
         this.progressBarBox.className = 'progressBarBox';
+        // The bar has no visible text, so screen readers get a localized label and the current percentage
+        this.progressBarBox.setAttribute('role', 'progressbar');
+        this.progressBarBox.setAttribute('aria-valuemin', '0');
+        this.progressBarBox.setAttribute('aria-valuemax', '100');
+        this.setLocale(locale || getPreferredLocale());
 
         this.progressBarBackground = document.createElement('div');
         this.progressBarBackground.className = 'progressBarBackground';
@@ -86,6 +93,12 @@ export class LoadingProgressBar {
 
     setProgress(progress) {
         this.progressBar.style.width = progress + '%';
+        this.progressBarBox.setAttribute('aria-valuenow', `${Math.round(progress)}`);
+    }
+
+    setLocale(locale) {
+        this.locale = locale;
+        this.progressBarBox.setAttribute('aria-label', getString(this.locale, 'loadingProgress'));
     }
 
     setContainer(container) {
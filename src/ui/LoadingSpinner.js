@@ -1,4 +1,5 @@
 import { fadeElement } from './Util.js';
+import { getString, getPreferredLocale } from './Strings.js';
 
 const STANDARD_FADE_DURATION = 500;
 
@@ -6,14 +7,17 @@ export class LoadingSpinner {
 
     static elementIDGen = 0;
 
-    constructor(message, container) {
+    constructor(message, container, locale) {
 
         this.taskIDGen = 0;
         this.elementID = LoadingSpinner.elementIDGen++;
 
         this.tasks = [];
 
-        this.message = message || 'Loading...';
+        this.locale = locale || getPreferredLocale();
+        // Without a message of its own the spinner shows the localized default, which follows setLocale()
+        this.useDefaultMessage = !message;
+        this.message = message || getString(this.locale, 'loading');
         this.container = container || document.body;
 
         this.spinnerContainerOuter = document.createElement('div');
@@ -201,6 +205,14 @@ export class LoadingSpinner {
         }
     }
 
+    setLocale(locale) {
+        this.locale = locale;
+        if (this.useDefaultMessage) {
+            this.message = getString(this.locale, 'loading');
+            if (this.tasks.length === 0) this.setMessage(this.message);
+        }
+    }
+
     show() {
         this.spinnerContainerOuter.style.display = 'block';
         this.visible = true;
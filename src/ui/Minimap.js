@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+
+const MAP_SIZE = 220;
+const MAP_PADDING = 12;
+const MAX_SPLAT_SAMPLES = 60000;
+const VIEW_CONE_LENGTH = 28;
+const VIEW_CONE_HALF_ANGLE = Math.PI / 6;
+
+/**
+ * Minimap: A top-down map panel in the top-right corner of the viewer. It draws the splat centers projected onto the
+ * walk ground plane, the walkable area outline, the navigation graph and the camera with its view cone. Clicking on
+ * the map calls 'onClick' with the world position under the cursor (at the camera's height).
+ *
+ * The splat layer is rendered once into an offscreen canvas and redrawn only when the splat count changes; the
+ * panel itself is redrawn when the camera, the graph or the walkable area changes.
+ */
+export class Minimap {
+
+    static elementIDGen = 0;
+
+    constructor(container, onClick) {
+
+        this.elementID = Minimap.elementIDGen++;
+        this.container = container || document.body;
+        this.onClick = onClick;
+
+        this.minimapContainer = document.createElement('div');
+        this.minimapContainer.className = `minimapContainer${this.elementID}`;
+
+        const style = document.createElement('style');
+        style.innerHTML = `
+
+            .minimapContainer${this.elementID} {
+                position: absolute;
+                top: 10px;
+                right: 10px;
+                width: ${MAP_SIZE}px;
+                height: ${MAP_SIZE}px;
+                background-color: rgba(30, 30, 30, 0.8);
+                border: #555555 2px solid;
+                border-radius: 10px;
+                overflow: hidden;
+                z-index: 9999;
+                pointer-events: auto;
+                cursor: crosshair;
+            }
+
+            .minimapCanvas${this.elementID} {
+                width: 100%;
+                height: 100%;
+                display: block;
+            }
+
+        `;
+        this.minimapContainer.appendChild(style);
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = `minimapCanvas${this.elementID}`;
+        this.canvas.width = MAP_SIZE;
+        this.canvas.height = MAP_SIZE;
+        this.minimapContainer.appendChild(this.canvas);
+
+        this.splatLayer = document.createElement('canvas');
+        this.splatLayer.width = MAP_SIZE;
+        this.splatLayer.height = MAP_SIZE;
+
+        this.splatPoints = [];
+        this.splatCount = -1;
+        this.navigationGraph = null;
+        this.walkableArea = null;
+        this.groundPlane = null;
+        this.boundsMin = new THREE.Vector2();
+        this.boundsMax = new THREE.Vector2();
+        this.scale = 1;
+        this.cameraHeight = 0;
+        this.lastCameraPosition = new THREE.Vector3();
+        this.lastCameraQuaternion = new THREE.Quaternion();
+        this.needsRedraw = true;
+
+        this.onCanvasClick = this.onCanvasClick.bind(this);
+        this.onCanvasPointerDown = (event) => event.stopPropagation();
+        this.canvas.addEventListener('click', this.onCanvasClick);
+        this.canvas.addEventListener('pointerdown', this.onCanvasPointerDown);
+
+        this.container.appendChild(this.minimapContainer);
+        this.visible = true;
+    }
+
+    /**
+     * Bring the map up to date and redraw it if anything it shows has changed.
+     * @param {THREE.Camera} camera The viewer camera
+     * @param {SplatMesh} splatMesh The splat mesh whose centers form the background
+     * @param {object} controls The active controls, providing the ground plane, navigation graph and walkable area
+     */
+    update(camera, splatMesh, controls) {
+        if (!this.visible || !controls || !controls.getGroundPlane) return;
+
+        const groundPlane = controls.getGroundPlane();
+        const splatCount = splatMesh ? splatMesh.getSplatCount() : 0;
+        const splatsChanged = groundPlane !== this.groundPlane || splatCount !== this.splatCount;
+        if (splatsChanged || controls.navigationGraph !== this.navigationGraph || controls.walkableArea !== this.walkableArea) {
+            this.groundPlane = groundPlane;
+            this.navigationGraph = controls.navigationGraph;
+            this.walkableArea = controls.walkableArea;
+            if (splatsChanged) {
+                this.splatCount = splatCount;
+                this.sampleSplatPoints(splatMesh);
+            }
+            this.computeBounds();
+            this.drawSplatLayer();
+            this.needsRedraw = true;
+        }
+
+        if (!camera.position.equals(this.lastCameraPosition) || !camera.quaternion.equals(this.lastCameraQuaternion)) {
+            this.lastCameraPosition.copy(camera.position);
+            this.lastCameraQuaternion.copy(camera.quaternion);
+            this.needsRedraw = true;
+        }
+
+        if (this.needsRedraw) {
+            this.draw(camera);
+            this.needsRedraw = false;
+        }
+    }
+
+    sampleSplatPoints = function() {
+
+        const center = new THREE.Vector3();
+
+        return function(splatMesh) {
+            this.splatPoints = [];
+            if (!splatMesh || this.splatCount === 0) return;
+            const stride = Math.max(1, Math.floor(this.splatCount / MAX_SPLAT_SAMPLES));
+            for (let i = 0; i < this.splatCount; i += stride) {
+                splatMesh.getSplatCenter(i, center, true);
+                this.splatPoints.push(this.groundPlane.toPlaneCoordinates(center));
+            }
+        };
+
+    }();
+
+    /**
+     * Fit the map to the walkable area and navigation graph, or to the splats when neither is available. Splat bounds
+     * ignore the outermost 2% of points on each axis so that stray floaters do not shrink the map.
+     */
+    computeBounds() {
+        const points = [];
+        if (this.walkableArea) {
+            for (let polygon of this.walkableArea.polygons) points.push(...polygon.outer);
+        }
+        if (this.navigationGraph) {
+            for (let point of this.navigationGraph.points) points.push(this.groundPlane.toPlaneCoordinates(point));
+        }
+
+        if (points.length > 0) {
+            this.boundsMin.set(Infinity, Infinity);
+            this.boundsMax.set(-Infinity, -Infinity);
+            for (let point of points) {
+                this.boundsMin.min(point);
+                this.boundsMax.max(point);
+            }
+        } else if (this.splatPoints.length > 0) {
+            const percentile = (values, fraction) => values[Math.floor(fraction * (values.length - 1))];
+            const xs = this.splatPoints.map((point) => point.x).sort((a, b) => a - b);
+            const ys = this.splatPoints.map((point) => point.y).sort((a, b) => a - b);
+            this.boundsMin.set(percentile(xs, 0.02), percentile(ys, 0.02));
+            this.boundsMax.set(percentile(xs, 0.98), percentile(ys, 0.98));
+        } else {
+            this.boundsMin.set(-1, -1);
+            this.boundsMax.set(1, 1);
+        }
+
+        const width = Math.max(this.boundsMax.x - this.boundsMin.x, 1e-3);
+        const height = Math.max(this.boundsMax.y - this.boundsMin.y, 1e-3);
+        this.scale = (MAP_SIZE - MAP_PADDING * 2) / Math.max(width, height);
+    }
+
+    toMap(planePoint, outPoint = new THREE.Vector2()) {
+        const centerX = (this.boundsMin.x + this.boundsMax.x) / 2;
+        const centerY = (this.boundsMin.y + this.boundsMax.y) / 2;
+        return outPoint.set(MAP_SIZE / 2 + (planePoint.x - centerX) * this.scale,
+                            MAP_SIZE / 2 - (planePoint.y - centerY) * this.scale);
+    }
+
+    fromMap(mapPoint, outPoint = new THREE.Vector2()) {
+        const centerX = (this.boundsMin.x + this.boundsMax.x) / 2;
+        const centerY = (this.boundsMin.y + this.boundsMax.y) / 2;
+        return outPoint.set(centerX + (mapPoint.x - MAP_SIZE / 2) / this.scale,
+                            centerY - (mapPoint.y - MAP_SIZE / 2) / this.scale);
+    }
+
+    drawSplatLayer() {
+        const context = this.splatLayer.getContext('2d');
+        context.clearRect(0, 0, MAP_SIZE, MAP_SIZE);
+        context.fillStyle = 'rgba(200, 200, 200, 0.15)';
+        const mapPoint = new THREE.Vector2();
+        for (let point of this.splatPoints) {
+            this.toMap(point, mapPoint);
+            context.fillRect(mapPoint.x, mapPoint.y, 1, 1);
+        }
+    }
+
+    draw = function() {
+
+        const mapPoint = new THREE.Vector2();
+        const mapEnd = new THREE.Vector2();
+        const planePoint = new THREE.Vector2();
+        const forward = new THREE.Vector3();
+        const ahead = new THREE.Vector3();
+
+        return function(camera) {
+            const context = this.canvas.getContext('2d');
+            context.clearRect(0, 0, MAP_SIZE, MAP_SIZE);
+            context.drawImage(this.splatLayer, 0, 0);
+
+            if (this.walkableArea) {
+                context.strokeStyle = 'rgba(120, 220, 120, 0.9)';
+                context.lineWidth = 1.5;
+                for (let polygon of this.walkableArea.polygons) {
+                    for (let ring of [polygon.outer, ...polygon.holes]) {
+                        context.beginPath();
+                        ring.forEach((point, index) => {
+                            this.toMap(point, mapPoint);
+                            if (index === 0) context.moveTo(mapPoint.x, mapPoint.y);
+                            else context.lineTo(mapPoint.x, mapPoint.y);
+                        });
+                        context.closePath();
+                        context.stroke();
+                    }
+                }
+            }
+
+            if (this.navigationGraph) {
+                const points = this.navigationGraph.points;
+                context.strokeStyle = 'rgba(0, 200, 255, 0.8)';
+                context.lineWidth = 1;
+                context.beginPath();
+                for (let connection of this.navigationGraph.connections) {
+                    this.toMap(this.groundPlane.toPlaneCoordinates(points[connection.from], planePoint), mapPoint);
+                    this.toMap(this.groundPlane.toPlaneCoordinates(points[connection.to], planePoint), mapEnd);
+                    context.moveTo(mapPoint.x, mapPoint.y);
+                    context.lineTo(mapEnd.x, mapEnd.y);
+                }
+                context.stroke();
+                context.fillStyle = 'rgba(255, 170, 0, 0.9)';
+                for (let point of points) {
+                    this.toMap(this.groundPlane.toPlaneCoordinates(point, planePoint), mapPoint);
+                    context.fillRect(mapPoint.x - 1.5, mapPoint.y - 1.5, 3, 3);
+                }
+            }
+
+            // Camera icon: a dot with a cone pointing in the view direction
+            this.cameraHeight = this.groundPlane.getHeight(camera.position);
+            this.toMap(this.groundPlane.toPlaneCoordinates(camera.position, planePoint), mapPoint);
+            camera.getWorldDirection(forward);
+            this.groundPlane.projectDirection(forward);
+            ahead.copy(camera.position).add(forward);
+            this.toMap(this.groundPlane.toPlaneCoordinates(ahead, planePoint), mapEnd);
+            const heading = Math.atan2(mapEnd.y - mapPoint.y, mapEnd.x - mapPoint.x);
+
+            context.fillStyle = 'rgba(255, 255, 255, 0.3)';
+            context.beginPath();
+            context.moveTo(mapPoint.x, mapPoint.y);
+            context.arc(mapPoint.x, mapPoint.y, VIEW_CONE_LENGTH, heading - VIEW_CONE_HALF_ANGLE, heading + VIEW_CONE_HALF_ANGLE);
+            context.closePath();
+            context.fill();
+
+            context.fillStyle = '#ff4444';
+            context.strokeStyle = '#ffffff';
+            context.lineWidth = 1.5;
+            context.beginPath();
+            context.arc(mapPoint.x, mapPoint.y, 4, 0, Math.PI * 2);
+            context.fill();
+            context.stroke();
+        };
+
+    }();
+
+    onCanvasClick(event) {
+        event.stopPropagation();
+        if (!this.groundPlane || !this.onClick) return;
+        const rect = this.canvas.getBoundingClientRect();
+        const mapPoint = new THREE.Vector2((event.clientX - rect.left) * MAP_SIZE / rect.width,
+                                           (event.clientY - rect.top) * MAP_SIZE / rect.height);
+        const planePoint = this.fromMap(mapPoint);
+        this.onClick(this.groundPlane.fromPlaneCoordinates(planePoint, this.cameraHeight));
+    }
+
+    setContainer(container) {
+        if (this.container) {
+            this.container.removeChild(this.minimapContainer);
+        }
+        if (container) {
+            this.container = container;
+            this.container.appendChild(this.minimapContainer);
+            this.minimapContainer.style.zIndex = this.container.style.zIndex + 1;
+        }
+    }
+
+    show() {
+        this.minimapContainer.style.display = 'block';
+        this.visible = true;
+        this.needsRedraw = true;
+    }
+
+    hide() {
+        this.minimapContainer.style.display = 'none';
+        this.visible = false;
+    }
+
+    dispose() {
+        this.canvas.removeEventListener('click', this.onCanvasClick);
+        this.canvas.removeEventListener('pointerdown', this.onCanvasPointerDown);
+        this.setContainer(null);
+        this.container = null;
+        this.onClick = null;
+    }
+}
@@ -0,0 +1,345 @@
+import { getString, getPreferredLocale } from './Strings.js';
+
+const DEFAULT_STORAGE_KEY = 'gaussianSplatsOnboardingDismissed';
+
+/**
+ * Onboarding: A dismissable overlay that walks the user through one or more steps (e.g. how to move around). Each
+ * step is shown as a card with an image, a title, a short text and/or arbitrary HTML; 'Back' / 'Next' buttons, the
+ * arrow keys and the step dots move between steps. Finishing or skipping the steps (or pressing Escape) dismisses the
+ * overlay and records that in localStorage, so it is not shown again on this browser until reset() is called.
+ */
+export class Onboarding {
+
+    static elementIDGen = 0;
+
+    /**
+     * @param {HTMLElement} container Element the overlay is added to
+     * @param {Array<object|string>} steps Steps as { image, title, text, html }, where every field is optional; a plain
+     *                                     string is taken as an image URL
+     * @param {object} options {
+     *
+     *         storageKey (string):  localStorage key used to remember the dismissal, so that different onboarding
+     *                               flows on the same site do not share it
+     *
+     *         onDismiss (function): Called when the user dismisses the overlay
+     *
+     *         locale (string):      Locale of the button labels (see Strings), defaults to the browser's language
+     * }
+     */
+    constructor(container, steps, options = {}) {
+
+        this.elementID = Onboarding.elementIDGen++;
+        this.container = container || document.body;
+        this.steps = (steps || []).map((step) => typeof step === 'string' ? { 'image': step } : step);
+        this.storageKey = options.storageKey || DEFAULT_STORAGE_KEY;
+        this.onDismiss = options.onDismiss || null;
+        this.locale = options.locale || getPreferredLocale();
+        this.currentStep = 0;
+
+        this.onboardingContainer = document.createElement('div');
+        this.onboardingContainer.className = `onboardingContainer${this.elementID}`;
+
+        const style = document.createElement('style');
+        style.innerHTML = `
+
+            .onboardingContainer${this.elementID} {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                display: none;
+                justify-content: center;
+                align-items: center;
+                background-color: rgba(0, 0, 0, 0.4);
+                z-index: 10000;
+                pointer-events: auto;
+                font-family: arial;
+            }
+
+            .onboardingCard${this.elementID} {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                max-width: min(90%, 640px);
+                max-height: 90%;
+                padding: 16px;
+                box-sizing: border-box;
+                background-color: rgba(40, 40, 40, 0.9);
+                border: #555555 2px solid;
+                border-radius: 10px;
+                color: #dddddd;
+                text-align: center;
+            }
+
+            .onboardingContent${this.elementID} {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                min-height: 0;
+                overflow: auto;
+            }
+
+            .onboardingImage${this.elementID} {
+                max-width: 100%;
+                max-height: 60vh;
+                object-fit: contain;
+                opacity: 0.9;
+            }
+
+            .onboardingTitle${this.elementID} {
+                margin: 12px 0 4px 0;
+                font-size: 15pt;
+                font-weight: bold;
+            }
+
+            .onboardingText${this.elementID} {
+                margin: 4px 0;
+                font-size: 12pt;
+            }
+
+            .onboardingDots${this.elementID} {
+                display: flex;
+                gap: 8px;
+                margin: 12px 0;
+            }
+
+            .onboardingDot${this.elementID} {
+                width: 10px;
+                height: 10px;
+                border-radius: 50%;
+                background-color: #777777;
+                cursor: pointer;
+            }
+
+            .onboardingDot${this.elementID}.active {
+                background-color: #ffffff;
+            }
+
+            .onboardingButtons${this.elementID} {
+                display: flex;
+                gap: 10px;
+            }
+
+            .onboardingButton${this.elementID} {
+                padding: 6px 16px;
+                font-size: 11pt;
+                color: #ffffff;
+                background-color: #555555;
+                border: none;
+                border-radius: 5px;
+                cursor: pointer;
+            }
+
+            .onboardingButton${this.elementID}.primary {
+                background-color: #3388dd;
+            }
+
+        `;
+        this.onboardingContainer.appendChild(style);
+
+        this.card = document.createElement('div');
+        this.card.className = `onboardingCard${this.elementID}`;
+        this.onboardingContainer.appendChild(this.card);
+
+        this.content = document.createElement('div');
+        this.content.className = `onboardingContent${this.elementID}`;
+        this.card.appendChild(this.content);
+
+        this.dots = document.createElement('div');
+        this.dots.className = `onboardingDots${this.elementID}`;
+        this.card.appendChild(this.dots);
+
+        const buttons = document.createElement('div');
+        buttons.className = `onboardingButtons${this.elementID}`;
+        this.card.appendChild(buttons);
+
+        const createButton = (className) => {
+            const button = document.createElement('button');
+            button.className = className;
+            buttons.appendChild(button);
+            return button;
+        };
+        this.skipButton = createButton(`onboardingButton${this.elementID}`);
+        this.backButton = createButton(`onboardingButton${this.elementID}`);
+        this.nextButton = createButton(`onboardingButton${this.elementID} primary`);
+        this.updateButtonLabels();
+
+        this.onSkipClick = () => this.dismiss();
+        this.onBackClick = () => this.showStep(this.currentStep - 1);
+        this.onNextClick = () => {
+            if (this.currentStep < this.steps.length - 1) this.showStep(this.currentStep + 1);
+            else this.dismiss();
+        };
+        this.onDotsClick = (event) => {
+            const index = Array.prototype.indexOf.call(this.dots.children, event.target);
+            if (index >= 0) this.showStep(index);
+        };
+        // Clicking the dimmed background around the card dismisses it
+        this.onContainerClick = (event) => {
+            if (event.target === this.onboardingContainer) this.dismiss();
+        };
+        // Keep pointer events from reaching the viewer's controls while the overlay is up
+        this.onContainerPointerDown = (event) => event.stopPropagation();
+        this.onKeyDown = (event) => {
+            if (event.code === 'Escape') this.dismiss();
+            else if (event.code === 'ArrowRight') this.onNextClick();
+            else if (event.code === 'ArrowLeft') this.showStep(this.currentStep - 1);
+            else return;
+            event.preventDefault();
+            event.stopImmediatePropagation();
+        };
+
+        this.skipButton.addEventListener('click', this.onSkipClick);
+        this.backButton.addEventListener('click', this.onBackClick);
+        this.nextButton.addEventListener('click', this.onNextClick);
+        this.dots.addEventListener('click', this.onDotsClick);
+        this.onboardingContainer.addEventListener('click', this.onContainerClick);
+        this.onboardingContainer.addEventListener('pointerdown', this.onContainerPointerDown);
+
+        this.container.appendChild(this.onboardingContainer);
+        this.visible = false;
+    }
+
+    /**
+     * @param {string} storageKey localStorage key the dismissal is recorded under
+     * @return {boolean} True if an onboarding flow with this key has already been dismissed on this browser
+     */
+    static isDismissed(storageKey = DEFAULT_STORAGE_KEY) {
+        try {
+            return window.localStorage.getItem(storageKey) === 'true';
+        } catch (e) {
+            // localStorage can be unavailable (e.g. disabled storage or sandboxed iframes)
+            return false;
+        }
+    }
+
+    isDismissed() {
+        return Onboarding.isDismissed(this.storageKey);
+    }
+
+    /**
+     * Show the first step, unless the overlay was dismissed before or there are no steps.
+     * @param {boolean} force Show the overlay even if it was dismissed before
+     * @return {boolean} True if the overlay is shown
+     */
+    show(force = false) {
+        if (this.steps.length === 0 || (!force && this.isDismissed())) return false;
+        if (!this.visible) {
+            window.addEventListener('keydown', this.onKeyDown, true);
+            this.onboardingContainer.style.display = 'flex';
+            this.visible = true;
+        }
+        this.showStep(0);
+        return true;
+    }
+
+    hide() {
+        if (!this.visible) return;
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        this.onboardingContainer.style.display = 'none';
+        this.visible = false;
+    }
+
+    dismiss() {
+        this.hide();
+        try {
+            window.localStorage.setItem(this.storageKey, 'true');
+        } catch (e) {
+            // Without localStorage the overlay simply shows again next time
+        }
+        if (this.onDismiss) this.onDismiss();
+    }
+
+    /**
+     * Forget that the overlay was dismissed, so that show() displays it again.
+     */
+    reset() {
+        try {
+            window.localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            // Nothing was stored
+        }
+    }
+
+    showStep(index) {
+        if (index < 0 || index >= this.steps.length) return;
+        this.currentStep = index;
+        const step = this.steps[index];
+
+        this.content.innerHTML = '';
+        if (step.image) {
+            const image = document.createElement('img');
+            image.className = `onboardingImage${this.elementID}`;
+            image.src = step.image;
+            if (step.title) image.alt = step.title;
+            this.content.appendChild(image);
+        }
+        if (step.title) {
+            const title = document.createElement('div');
+            title.className = `onboardingTitle${this.elementID}`;
+            title.innerText = step.title;
+            this.content.appendChild(title);
+        }
+        if (step.text) {
+            const text = document.createElement('div');
+            text.className = `onboardingText${this.elementID}`;
+            text.innerText = step.text;
+            this.content.appendChild(text);
+        }
+        if (step.html) {
+            const html = document.createElement('div');
+            html.innerHTML = step.html;
+            this.content.appendChild(html);
+        }
+
+        this.dots.innerHTML = '';
+        if (this.steps.length > 1) {
+            for (let i = 0; i < this.steps.length; i++) {
+                const dot = document.createElement('div');
+                dot.className = `onboardingDot${this.elementID}` + (i === index ? ' active' : '');
+                this.dots.appendChild(dot);
+            }
+        }
+
+        const lastStep = index === this.steps.length - 1;
+        this.backButton.style.display = index > 0 ? 'inline-block' : 'none';
+        this.skipButton.style.display = lastStep ? 'none' : 'inline-block';
+        this.updateButtonLabels();
+    }
+
+    updateButtonLabels() {
+        const lastStep = this.currentStep === this.steps.length - 1;
+        this.skipButton.innerText = getString(this.locale, 'onboardingSkip');
+        this.backButton.innerText = getString(this.locale, 'onboardingBack');
+        this.nextButton.innerText = getString(this.locale, lastStep ? 'onboardingDone' : 'onboardingNext');
+    }
+
+    setLocale(locale) {
+        this.locale = locale;
+        this.updateButtonLabels();
+    }
+
+    setContainer(container) {
+        if (this.container) {
+            this.container.removeChild(this.onboardingContainer);
+        }
+        if (container) {
+            this.container = container;
+            this.container.appendChild(this.onboardingContainer);
+        }
+    }
+
+    dispose() {
+        this.hide();
+        this.skipButton.removeEventListener('click', this.onSkipClick);
+        this.backButton.removeEventListener('click', this.onBackClick);
+        this.nextButton.removeEventListener('click', this.onNextClick);
+        this.dots.removeEventListener('click', this.onDotsClick);
+        this.onboardingContainer.removeEventListener('click', this.onContainerClick);
+        this.onboardingContainer.removeEventListener('pointerdown', this.onContainerPointerDown);
+        this.setContainer(null);
+        this.container = null;
+        this.onDismiss = null;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Strings: Text shown by the viewer's built-in UI, keyed by locale and then by message id. Messages may contain
+ * {name} placeholders that getString() fills in. To support another language, add a table for its locale, e.g.
+ * Strings['ja'] = { ... }; any message missing from it falls back to English.
+ */
+export const Strings = {
+    'en': {
+        'loading': 'Loading...',
+        'downloading': 'Downloading...',
+        'downloadingPercent': 'Downloading: {percent}',
+        'downloadComplete': 'Download complete!',
+        'processingScene': 'Processing splats...',
+        'optimizingScene': 'Optimizing data structures...',
+        'removingScene': 'Removing splat scene...',
+        'loadingProgress': 'Loading progress',
+
+        'infoCameraPosition': 'Camera position',
+        'infoCameraLookAt': 'Camera look-at',
+        'infoCameraUp': 'Camera up',
+        'infoCameraMode': 'Camera mode',
+        'infoCursorPosition': 'Cursor position',
+        'infoFPS': 'FPS',
+        'infoRendering': 'Rendering',
+        'infoSortTime': 'Sort time',
+        'infoRenderWindow': 'Render window',
+        'infoFocalAdjustment': 'Focal adjustment',
+        'infoSplatScale': 'Splat scale',
+        'infoPointCloudMode': 'Point cloud mode',
+        'infoOrthographic': 'Orthographic',
+        'infoPerspective': 'Perspective',
+        'infoNotAvailable': 'N/A',
+        'infoRenderSplatCount': '{renderCount} splats out of {count} ({percent}%)',
+
+        'enterVR': 'ENTER VR',
+        'exitVR': 'EXIT VR',
+        'vrNotSupported': 'VR NOT SUPPORTED',
+        'vrNotAllowed': 'VR NOT ALLOWED',
+        'startAR': 'START AR',
+        'stopAR': 'STOP AR',
+        'arNotSupported': 'AR NOT SUPPORTED',
+        'arNotAllowed': 'AR NOT ALLOWED',
+        'webXRNeedsHTTPS': 'WEBXR NEEDS HTTPS',
+        'webXRNotAvailable': 'WEBXR NOT AVAILABLE',
+
+        'onboardingSkip': 'Skip',
+        'onboardingBack': 'Back',
+        'onboardingNext': 'Next',
+        'onboardingDone': 'Done',
+
+        'dropToReplace': 'Drop to replace the scene (hold Shift to add to it)',
+        'dropToAdd': 'Drop to add to the scene'
+    },
+    'ko': {
+        'loading': '불러오는 중...',
+        'downloading': '다운로드 중...',
+        'downloadingPercent': '다운로드: {percent}',
+        'downloadComplete': '다운로드 완료!',
+        'processingScene': '실내 불러오는 중',
+        'optimizingScene': '실내 그리는 중...',
+        'removingScene': '스플랫 장면 제거 중...',
+        'loadingProgress': '불러오기 진행률',
+
+        'infoCameraPosition': '카메라 위치',
+        'infoCameraLookAt': '카메라 시선',
+        'infoCameraUp': '카메라 위쪽',
+        'infoCameraMode': '카메라 모드',
+        'infoCursorPosition': '커서 위치',
+        'infoFPS': 'FPS',
+        'infoRendering': '렌더링',
+        'infoSortTime': '정렬 시간',
+        'infoRenderWindow': '렌더 창',
+        'infoFocalAdjustment': '초점 조정',
+        'infoSplatScale': '스플랫 크기',
+        'infoPointCloudMode': '포인트 클라우드 모드',
+        'infoOrthographic': '직교',
+        'infoPerspective': '원근',
+        'infoNotAvailable': '없음',
+        'infoRenderSplatCount': '스플랫 {count}개 중 {renderCount}개 ({percent}%)',
+
+        'enterVR': 'VR 시작',
+        'exitVR': 'VR 종료',
+        'vrNotSupported': 'VR 미지원',
+        'vrNotAllowed': 'VR 사용 불가',
+        'startAR': 'AR 시작',
+        'stopAR': 'AR 종료',
+        'arNotSupported': 'AR 미지원',
+        'arNotAllowed': 'AR 사용 불가',
+        'webXRNeedsHTTPS': 'WEBXR은 HTTPS가 필요합니다',
+        'webXRNotAvailable': 'WEBXR을 사용할 수 없습니다',
+
+        'onboardingSkip': '건너뛰기',
+        'onboardingBack': '이전',
+        'onboardingNext': '다음',
+        'onboardingDone': '완료',
+
+        'dropToReplace': '놓으면 장면을 교체합니다 (Shift를 누르면 추가)',
+        'dropToAdd': '놓으면 장면에 추가합니다'
+    }
+};
+
+export const DefaultLocale = 'en';
+
+/**
+ * Pick the locale to use when none is given: the browser's language if there is a strings table for it, otherwise
+ * English.
+ * @return {string}
+ */
+export const getPreferredLocale = () => {
+    const language = typeof navigator !== 'undefined' && navigator.language ? navigator.language.toLowerCase() : '';
+    if (Strings[language]) return language;
+    const baseLanguage = language.split('-')[0];
+    return Strings[baseLanguage] ? baseLanguage : DefaultLocale;
+};
+
+/**
+ * Look up a message in the strings table.
+ * @param {string} locale Locale to look the message up for, e.g. 'ko'
+ * @param {string} id Message id
+ * @param {object} params Values for the message's {name} placeholders
+ * @return {string} The message, the English message if the locale does not have it, or the id if neither does
+ */
+export const getString = (locale, id, params) => {
+    const table = Strings[locale] || Strings[DefaultLocale];
+    let message = table[id] !== undefined ? table[id] : Strings[DefaultLocale][id];
+    if (message === undefined) return id;
+    if (params) {
+        message = message.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    }
+    return message;
+};
@@ -0,0 +1,186 @@
+const STICK_RADIUS = 50;
+const DEAD_ZONE = 0.1;
+
+/**
+ * VirtualJoysticks: An on-screen overlay with two thumbsticks for touch devices, one in the bottom-left corner for
+ * walking and one in the bottom-right corner for looking around. Each stick reports an analog value with x and y in
+ * the range [-1, 1] (x positive to the right, y positive upward) through the 'onInput' callback, which is called
+ * whenever either stick changes.
+ */
+export class VirtualJoysticks {
+
+    static elementIDGen = 0;
+
+    constructor(container, onInput) {
+
+        this.elementID = VirtualJoysticks.elementIDGen++;
+        this.container = container || document.body;
+        this.onInput = onInput;
+
+        this.moveInput = { x: 0, y: 0 };
+        this.lookInput = { x: 0, y: 0 };
+
+        this.joysticksContainer = document.createElement('div');
+        this.joysticksContainer.className = `virtualJoysticks${this.elementID}`;
+
+        const style = document.createElement('style');
+        style.innerHTML = `
+
+            .virtualJoysticks${this.elementID} {
+                width: 100%;
+                height: 100%;
+                margin: 0;
+                top: 0;
+                left: 0;
+                position: absolute;
+                pointer-events: none;
+            }
+
+            .joystickBase${this.elementID} {
+                position: absolute;
+                bottom: 40px;
+                width: ${STICK_RADIUS * 2}px;
+                height: ${STICK_RADIUS * 2}px;
+                border-radius: 50%;
+                background-color: rgba(128, 128, 128, 0.35);
+                border: rgba(255, 255, 255, 0.5) 2px solid;
+                touch-action: none;
+                pointer-events: auto;
+                z-index: 9999;
+            }
+
+            .joystickMove${this.elementID} {
+                left: 40px;
+            }
+
+            .joystickLook${this.elementID} {
+                right: 40px;
+            }
+
+            .joystickKnob${this.elementID} {
+                position: absolute;
+                width: ${STICK_RADIUS}px;
+                height: ${STICK_RADIUS}px;
+                left: ${STICK_RADIUS / 2}px;
+                top: ${STICK_RADIUS / 2}px;
+                border-radius: 50%;
+                background-color: rgba(255, 255, 255, 0.75);
+                pointer-events: none;
+            }
+
+        `;
+        this.joysticksContainer.appendChild(style);
+
+        this.moveStick = this.createStick(`joystickMove${this.elementID}`, this.moveInput);
+        this.lookStick = this.createStick(`joystickLook${this.elementID}`, this.lookInput);
+
+        this.container.appendChild(this.joysticksContainer);
+        this.visible = true;
+    }
+
+    createStick(className, input) {
+        const base = document.createElement('div');
+        base.classList.add(`joystickBase${this.elementID}`, className);
+        const knob = document.createElement('div');
+        knob.className = `joystickKnob${this.elementID}`;
+        base.appendChild(knob);
+        this.joysticksContainer.appendChild(base);
+
+        const stick = {
+            'base': base,
+            'knob': knob,
+            'input': input,
+            'pointerId': null
+        };
+
+        const setFromPointer = (event) => {
+            const rect = base.getBoundingClientRect();
+            let x = (event.clientX - (rect.left + rect.width / 2)) / STICK_RADIUS;
+            let y = ((rect.top + rect.height / 2) - event.clientY) / STICK_RADIUS;
+            const length = Math.sqrt(x * x + y * y);
+            if (length > 1) {
+                x /= length;
+                y /= length;
+            }
+            this.setStickInput(stick, x, y);
+        };
+
+        stick.onPointerDown = (event) => {
+            if (stick.pointerId !== null) return;
+            event.preventDefault();
+            stick.pointerId = event.pointerId;
+            base.setPointerCapture(event.pointerId);
+            setFromPointer(event);
+        };
+        stick.onPointerMove = (event) => {
+            if (event.pointerId !== stick.pointerId) return;
+            event.preventDefault();
+            setFromPointer(event);
+        };
+        stick.onPointerUp = (event) => {
+            if (event.pointerId !== stick.pointerId) return;
+            base.releasePointerCapture(event.pointerId);
+            stick.pointerId = null;
+            this.setStickInput(stick, 0, 0);
+        };
+
+        base.addEventListener('pointerdown', stick.onPointerDown);
+        base.addEventListener('pointermove', stick.onPointerMove);
+        base.addEventListener('pointerup', stick.onPointerUp);
+        base.addEventListener('pointercancel', stick.onPointerUp);
+        return stick;
+    }
+
+    setStickInput(stick, x, y) {
+        stick.knob.style.transform = `translate(${x * STICK_RADIUS}px, ${-y * STICK_RADIUS}px)`;
+
+        // Small deflections are ignored so a resting thumb does not cause drift
+        const length = Math.sqrt(x * x + y * y);
+        const scale = length > DEAD_ZONE ? (length - DEAD_ZONE) / ((1 - DEAD_ZONE) * length) : 0;
+        stick.input.x = x * scale;
+        stick.input.y = y * scale;
+
+        if (this.onInput) this.onInput(this.moveInput, this.lookInput);
+    }
+
+    reset() {
+        for (let stick of [this.moveStick, this.lookStick]) {
+            stick.pointerId = null;
+            this.setStickInput(stick, 0, 0);
+        }
+    }
+
+    setContainer(container) {
+        if (this.container) {
+            this.container.removeChild(this.joysticksContainer);
+        }
+        if (container) {
+            this.container = container;
+            this.container.appendChild(this.joysticksContainer);
+            this.joysticksContainer.style.zIndex = this.container.style.zIndex + 1;
+        }
+    }
+
+    show() {
+        this.joysticksContainer.style.display = 'block';
+        this.visible = true;
+    }
+
+    hide() {
+        this.reset();
+        this.joysticksContainer.style.display = 'none';
+        this.visible = false;
+    }
+
+    dispose() {
+        for (let stick of [this.moveStick, this.lookStick]) {
+            stick.base.removeEventListener('pointerdown', stick.onPointerDown);
+            stick.base.removeEventListener('pointermove', stick.onPointerMove);
+            stick.base.removeEventListener('pointerup', stick.onPointerUp);
+            stick.base.removeEventListener('pointercancel', stick.onPointerUp);
+        }
+        this.setContainer(null);
+        this.container = null;
+        this.onInput = null;
+    }
+}
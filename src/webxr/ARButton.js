@@ -12,11 +12,22 @@ The above copyright notice and this permission notice shall be included in
 all copies or substantial portions of the Software.
 */
 
+import { getString, getPreferredLocale } from '../ui/Strings.js';
+
 export class ARButton {
 
-    static createButton( renderer, sessionInit = {} ) {
+    static createButton( renderer, sessionInit = {}, locale = getPreferredLocale() ) {
 
         const button = document.createElement( 'button' );
+        button.dataset.locale = locale;
+
+        // The message id is kept on the element so that setLocale() can translate it again later
+        function setText( element, id ) {
+
+            element.dataset.messageId = id;
+            element.textContent = getString( element.dataset.locale, id );
+
+        }
 
         function showStartAR( /* device */ ) {
 
@@ -68,7 +79,7 @@ export class ARButton {
 
                 await renderer.xr.setSession( session );
 
-                button.textContent = 'STOP AR';
+                setText( button, 'stopAR' );
                 sessionInit.domOverlay.root.style.display = '';
 
                 currentSession = session;
@@ -79,7 +90,7 @@ export class ARButton {
 
                 currentSession.removeEventListener( 'end', onSessionEnded );
 
-                button.textContent = 'START AR';
+                setText( button, 'startAR' );
                 sessionInit.domOverlay.root.style.display = 'none';
 
                 currentSession = null;
@@ -94,7 +105,7 @@ export class ARButton {
             button.style.left = 'calc(50% - 50px)';
             button.style.width = '100px';
 
-            button.textContent = 'START AR';
+            setText( button, 'startAR' );
 
             button.onmouseenter = function() {
 
@@ -167,7 +178,7 @@ export class ARButton {
 
             disableButton();
 
-            button.textContent = 'AR NOT SUPPORTED';
+            setText( button, 'arNotSupported' );
 
         }
 
@@ -177,7 +188,7 @@ export class ARButton {
 
             console.warn( 'Exception when trying to call xr.isSessionSupported', exception );
 
-            button.textContent = 'AR NOT ALLOWED';
+            setText( button, 'arNotAllowed' );
 
         }
 
@@ -216,16 +227,17 @@ export class ARButton {
         } else {
 
             const message = document.createElement( 'a' );
+            message.dataset.locale = locale;
 
             if ( window.isSecureContext === false ) {
 
                 message.href = document.location.href.replace( /^http:/, 'https:' );
-                message.innerHTML = 'WEBXR NEEDS HTTPS'; // TODO Improve message
+                setText( message, 'webXRNeedsHTTPS' ); // TODO Improve message
 
             } else {
 
                 message.href = 'https://immersiveweb.dev/';
-                message.innerHTML = 'WEBXR NOT AVAILABLE';
+                setText( message, 'webXRNotAvailable' );
 
             }
 
@@ -241,4 +253,16 @@ export class ARButton {
 
     }
 
+    /**
+     * Show the text of a button (or of the message shown in its place) created by createButton() in another locale.
+     * @param {HTMLElement} element The element createButton() returned
+     * @param {string} locale Locale to show, e.g. 'ko'
+     */
+    static setLocale( element, locale ) {
+
+        element.dataset.locale = locale;
+        if ( element.dataset.messageId ) element.textContent = getString( locale, element.dataset.messageId );
+
+    }
+
 }
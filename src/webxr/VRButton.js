@@ -12,11 +12,22 @@ The above copyright notice and this permission notice shall be included in
 all copies or substantial portions of the Software.
 */
 
+import { getString, getPreferredLocale } from '../ui/Strings.js';
+
 export class VRButton {
 
-    static createButton( renderer ) {
+    static createButton( renderer, locale = getPreferredLocale() ) {
 
         const button = document.createElement( 'button' );
+        button.dataset.locale = locale;
+
+        // The message id is kept on the element so that setLocale() can translate it again later
+        function setText( element, id ) {
+
+            element.dataset.messageId = id;
+            element.textContent = getString( element.dataset.locale, id );
+
+        }
 
         function showEnterVR( /* device */ ) {
 
@@ -27,7 +38,7 @@ export class VRButton {
                 session.addEventListener( 'end', onSessionEnded );
 
                 await renderer.xr.setSession( session );
-                button.textContent = 'EXIT VR';
+                setText( button, 'exitVR' );
 
                 currentSession = session;
 
@@ -37,7 +48,7 @@ export class VRButton {
 
                 currentSession.removeEventListener( 'end', onSessionEnded );
 
-                button.textContent = 'ENTER VR';
+                setText( button, 'enterVR' );
 
                 currentSession = null;
 
@@ -51,7 +62,7 @@ export class VRButton {
             button.style.left = 'calc(50% - 50px)';
             button.style.width = '100px';
 
-            button.textContent = 'ENTER VR';
+            setText( button, 'enterVR' );
 
             // WebXR's requestReferenceSpace only works if the corresponding feature
             // was requested at session creation time. For simplicity, just ask for
@@ -133,7 +144,7 @@ export class VRButton {
 
             disableButton();
 
-            button.textContent = 'VR NOT SUPPORTED';
+            setText( button, 'vrNotSupported' );
 
         }
 
@@ -143,7 +154,7 @@ export class VRButton {
 
             console.warn( 'Exception when trying to call xr.isSessionSupported', exception );
 
-            button.textContent = 'VR NOT ALLOWED';
+            setText( button, 'vrNotAllowed' );
 
         }
 
@@ -188,16 +199,17 @@ export class VRButton {
         } else {
 
             const message = document.createElement( 'a' );
+            message.dataset.locale = locale;
 
             if ( window.isSecureContext === false ) {
 
                 message.href = document.location.href.replace( /^http:/, 'https:' );
-                message.innerHTML = 'WEBXR NEEDS HTTPS'; // TODO Improve message
+                setText( message, 'webXRNeedsHTTPS' ); // TODO Improve message
 
             } else {
 
                 message.href = 'https://immersiveweb.dev/';
-                message.innerHTML = 'WEBXR NOT AVAILABLE';
+                setText( message, 'webXRNotAvailable' );
 
             }
 
@@ -213,6 +225,18 @@ export class VRButton {
 
     }
 
+    /**
+     * Show the text of a button (or of the message shown in its place) created by createButton() in another locale.
+     * @param {HTMLElement} element The element createButton() returned
+     * @param {string} locale Locale to show, e.g. 'ko'
+     */
+    static setLocale( element, locale ) {
+
+        element.dataset.locale = locale;
+        if ( element.dataset.messageId ) element.textContent = getString( locale, element.dataset.messageId );
+
+    }
+
     static registerSessionGrantedListener() {
 
         if ( typeof navigator !== 'undefined' && 'xr' in navigator ) {
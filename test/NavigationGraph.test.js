@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { NavigationGraph } from '../src/navigation/NavigationGraph.js';
+
+const createGraph = (positions, edges) => {
+    const points = positions.map((position) => new THREE.Vector3().fromArray(position));
+    const connections = edges.map(([from, to, cost]) => cost === undefined ? { from, to } : { from, to, cost });
+    return new NavigationGraph(points, connections);
+};
+
+// Reference shortest path costs from every node to 'startIndex', computed with a plain O(n^2) Dijkstra
+const dijkstraCosts = (graph, startIndex) => {
+    const costs = graph.points.map(() => Infinity);
+    const done = graph.points.map(() => false);
+    costs[startIndex] = 0;
+    for (;;) {
+        let current = -1;
+        costs.forEach((cost, index) => {
+            if (!done[index] && cost < Infinity && (current < 0 || cost < costs[current])) current = index;
+        });
+        if (current < 0) return costs;
+        done[current] = true;
+        for (let edge of graph.getNeighbors(current)) {
+            costs[edge.node] = Math.min(costs[edge.node], costs[current] + edge.weight);
+        }
+    }
+};
+
+const getPathCost = (graph, path) => {
+    let cost = 0;
+    for (let i = 0; i < path.length - 1; i++) {
+        // Nodes can be joined by more than one edge, a path always takes the cheapest
+        const weights = graph.getNeighbors(path[i]).filter((edge) => edge.node === path[i + 1]).map((edge) => edge.weight);
+        assert.ok(weights.length > 0, `path step ${path[i]} -> ${path[i + 1]} is not an edge`);
+        cost += Math.min(...weights);
+    }
+    return cost;
+};
+
+test('findShortestPath() takes a direct edge over a longer route', () => {
+    // A square 0-1-2-3 with a diagonal 0-2: the diagonal is shorter than going around
+    const graph = createGraph([[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]], [[0, 1], [1, 2], [2, 3], [3, 0], [0, 2]]);
+    assert.deepEqual(graph.findShortestPath(0, 2), [0, 2]);
+    assert.deepEqual(graph.findShortestPath(2, 0), [2, 0]);
+});
+
+test('findShortestPath() avoids edges with a high cost', () => {
+    const graph = createGraph([[0, 0, 0], [1, 0, 0], [1, 0, 1], [0, 0, 1]], [[0, 1], [1, 2], [2, 3], [3, 0], [0, 2, 10]]);
+    const path = graph.findShortestPath(0, 2);
+    assert.equal(path.length, 3);
+    assert.equal(path[0], 0);
+    assert.equal(path[2], 2);
+});
+
+test('findShortestPath() handles trivial and impossible queries', () => {
+    const graph = createGraph([[0, 0, 0], [1, 0, 0], [5, 0, 0]], [[0, 1]]);
+    assert.deepEqual(graph.findShortestPath(1, 1), [1]);
+    assert.deepEqual(graph.findShortestPath(0, 2), []);
+    assert.deepEqual(graph.findShortestPath(0, 7), []);
+    assert.deepEqual(graph.findShortestPath(-1, 0), []);
+});
+
+test('findShortestPath() matches Dijkstra on a random graph', () => {
+    // Small deterministic generator so that failures can be reproduced
+    let seed = 12345;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+    const positions = [];
+    for (let i = 0; i < 60; i++) positions.push([random() * 20, random() * 2, random() * 20]);
+    const edges = [];
+    for (let i = 1; i < positions.length; i++) {
+        edges.push([i, Math.floor(random() * i), 1 + random() * 2]);
+        if (random() < 0.5) edges.push([i, Math.floor(random() * positions.length)]);
+    }
+    const graph = createGraph(positions, edges);
+
+    for (let start of [0, 17, 42]) {
+        const costs = dijkstraCosts(graph, start);
+        for (let target = 0; target < positions.length; target++) {
+            const path = graph.findShortestPath(start, target);
+            assert.equal(path[0], start);
+            assert.equal(path[path.length - 1], target);
+            assert.ok(Math.abs(getPathCost(graph, path) - costs[target]) < 1e-9,
+                      `path ${start} -> ${target} costs ${getPathCost(graph, path)}, expected ${costs[target]}`);
+        }
+    }
+});
+
+test('getReachableNodes() returns the connected component of a node', () => {
+    const graph = createGraph([[0, 0, 0], [1, 0, 0], [2, 0, 0], [3, 0, 0]], [[0, 1], [2, 3]]);
+    assert.deepEqual([...graph.getReachableNodes(1)].sort(), [0, 1]);
+    assert.deepEqual([...graph.getReachableNodes(3)].sort(), [2, 3]);
+});
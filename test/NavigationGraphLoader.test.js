@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NavigationGraphLoader } from '../src/navigation/NavigationGraphLoader.js';
+
+const createDocument = () => {
+    return {
+        'version': 1,
+        'nodes': [
+            { 'id': 'lobby', 'position': [0, 0, 0], 'region': '1F' },
+            { 'id': 'hall', 'position': [1, 0, 0], 'region': '1F', 'lookDirection': [0, 0, 2] },
+            { 'id': 'stairs', 'position': [1, 3, 0], 'region': '2F' }
+        ],
+        'edges': [
+            { 'from': 'lobby', 'to': 'hall' },
+            ['hall', 'stairs', 2]
+        ],
+        'waypoints': [{ 'name': 'Entrance', 'node': 'lobby' }],
+        'regions': [
+            { 'id': '1F', 'scenes': ['1f.ksplat'], 'adjacent': ['2F'] },
+            { 'id': '2F', 'scenes': [{ 'path': '2f.ksplat' }] }
+        ],
+        'hotspots': [{ 'node': 'stairs', 'label': 'Stairs' }]
+    };
+};
+
+test('validate() accepts a valid document', () => {
+    assert.deepEqual(NavigationGraphLoader.validate(createDocument()), []);
+});
+
+test('parse() resolves node ids in edges, waypoints, regions and hotspots', () => {
+    const graph = NavigationGraphLoader.parse(createDocument());
+    assert.equal(graph.getNodeCount(), 3);
+    assert.deepEqual(graph.connections, [{ 'from': 0, 'to': 1 }, { 'from': 1, 'to': 2, 'cost': 2 }]);
+    assert.equal(graph.getWaypointNode('Entrance'), 0);
+    assert.equal(graph.getNode(1).lookDirection.length(), 1);
+    assert.equal(graph.getNodeRegion(2), '2F');
+    assert.deepEqual(graph.getRegion('1F').scenes, [{ 'path': '1f.ksplat' }]);
+    assert.deepEqual(graph.hotspots, [{ 'node': 2, 'label': 'Stairs', 'icon': null }]);
+});
+
+test('declared numeric ids take precedence over node indexes', () => {
+    const graph = NavigationGraphLoader.parse({
+        'version': 1,
+        'nodes': [{ 'id': 1, 'position': [0, 0, 0] }, { 'id': 2, 'position': [1, 0, 0] }, { 'id': 3, 'position': [2, 0, 0] }],
+        'edges': [[1, 2], [2, 3]]
+    });
+    assert.deepEqual(graph.connections, [{ 'from': 0, 'to': 1 }, { 'from': 1, 'to': 2 }]);
+});
+
+test('validate() reports every problem in the document', () => {
+    const document = createDocument();
+    document.nodes.push({ 'id': 'hall', 'position': [0, 0] });
+    document.edges.push({ 'from': 'lobby', 'to': 'roof' }, ['lobby', 'lobby'], ['hall', 'stairs', -1]);
+    document.waypoints.push({ 'name': 'Entrance', 'node': 'basement' });
+    document.regions[0].adjacent.push('3F');
+    document.nodes[0].region = '0F';
+
+    const errors = NavigationGraphLoader.validate(document);
+    const expected = [
+        'nodes[3].position must be an array of 3 finite numbers',
+        'nodes[3].id "hall" is not unique',
+        '"roof"',
+        'connects node "lobby" to itself',
+        'edges[4].cost must be a finite number >= 0',
+        'waypoints[1].name "Entrance" is not unique',
+        '"basement"',
+        'regions[0].adjacent[1] references region "3F", which does not exist',
+        'nodes[0].region references region "0F", which does not exist'
+    ];
+    for (let text of expected) {
+        assert.ok(errors.some((error) => error.includes(text)), `missing error containing '${text}' in:\n${errors.join('\n')}`);
+    }
+});
+
+test('validate() rejects documents without a supported version or nodes', () => {
+    assert.ok(NavigationGraphLoader.validate(null).length > 0);
+    assert.ok(NavigationGraphLoader.validate({ 'version': 99, 'nodes': [{ 'position': [0, 0, 0] }] }).length > 0);
+    assert.ok(NavigationGraphLoader.validate({ 'version': 1, 'nodes': [] }).length > 0);
+});
+
+test('parse() throws with the validation errors attached', () => {
+    const document = createDocument();
+    document.edges.push({ 'from': 'lobby', 'to': 'roof' });
+    assert.throws(() => NavigationGraphLoader.parse(document), (error) => {
+        return error.message.startsWith('NavigationGraphLoader.parse() -> Invalid navigation graph') &&
+               error.validationErrors.length === 1;
+    });
+});
+
+test('parse() accepts a GeoJSON FeatureCollection', () => {
+    const graph = NavigationGraphLoader.parse({
+        'type': 'FeatureCollection',
+        'features': [
+            { 'type': 'Feature', 'geometry': { 'type': 'Point', 'coordinates': [0, 0, 0] }, 'properties': { 'id': 'a', 'waypoint': 'Start' } },
+            { 'type': 'Feature', 'geometry': { 'type': 'Point', 'coordinates': [1, 0, 0] }, 'properties': { 'id': 'b' } },
+            { 'type': 'Feature', 'geometry': { 'type': 'LineString', 'coordinates': [[0, 0, 0], [1, 0, 0]] },
+              'properties': { 'from': 'a', 'to': 'b' } }
+        ]
+    });
+    assert.equal(graph.getNodeCount(), 2);
+    assert.deepEqual(graph.connections, [{ 'from': 0, 'to': 1 }]);
+    assert.equal(graph.getWaypointNode('Start'), 0);
+});
+
+test('parseLegacy() skips malformed lines but rejects edges to missing nodes', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const graph = NavigationGraphLoader.parseLegacy('0 0 0\n1 0 0\nnot a point\n2 0 0\n', '0 1\n1 2 1.5\n\nbroken\n');
+    assert.equal(graph.getNodeCount(), 3);
+    assert.deepEqual(graph.connections, [{ 'from': 0, 'to': 1 }, { 'from': 1, 'to': 2, 'cost': 1.5 }]);
+    assert.equal(console.warn.mock.calls.length, 2);
+
+    assert.throws(() => NavigationGraphLoader.parseLegacy('0 0 0\n1 0 0\n', '0 1\n1 5\n'), /references node 5/);
+});
@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpzParser } from '../src/loaders/spz/SpzParser.js';
+import { UncompressedSplatArray } from '../src/loaders/UncompressedSplatArray.js';
+
+const OFFSET = UncompressedSplatArray.OFFSET;
+const FRACTIONAL_BITS = 12;
+
+// Build an uncompressed .spz file; each splat gives its attributes in the file's own encoding
+const createSpzBuffer = (version, splats, sphericalHarmonicsDegree = 0) => {
+    const shBytesPerSplat = [0, 9, 24, 45][sphericalHarmonicsDegree];
+    const positionSizeBytes = version === 1 ? 6 : 9;
+    const rotationSizeBytes = version >= 3 ? 4 : 3;
+    const bytesPerSplat = positionSizeBytes + 1 + 3 + 3 + rotationSizeBytes + shBytesPerSplat;
+    const buffer = new ArrayBuffer(SpzParser.HeaderSizeBytes + splats.length * bytesPerSplat);
+    const bytes = new Uint8Array(buffer);
+    const dataView = new DataView(buffer);
+    dataView.setUint32(0, SpzParser.Magic, true);
+    dataView.setUint32(4, version, true);
+    dataView.setUint32(8, splats.length, true);
+    dataView.setUint8(12, sphericalHarmonicsDegree);
+    dataView.setUint8(13, FRACTIONAL_BITS);
+
+    let offset = SpzParser.HeaderSizeBytes;
+    for (let splat of splats) {
+        for (let value of splat.position) {
+            const fixed = Math.round(value * (1 << FRACTIONAL_BITS));
+            bytes[offset++] = fixed & 0xff;
+            bytes[offset++] = (fixed >> 8) & 0xff;
+            bytes[offset++] = (fixed >> 16) & 0xff;
+        }
+    }
+    for (let splat of splats) bytes[offset++] = splat.alpha;
+    for (let splat of splats) for (let c = 0; c < 3; c++) bytes[offset++] = splat.color[c];
+    for (let splat of splats) for (let c = 0; c < 3; c++) bytes[offset++] = splat.scale[c];
+    for (let splat of splats) {
+        if (version >= 3) {
+            dataView.setUint32(offset, splat.rotation, true);
+            offset += 4;
+        } else {
+            for (let c = 0; c < 3; c++) bytes[offset++] = splat.rotation[c];
+        }
+    }
+    for (let splat of splats) for (let i = 0; i < shBytesPerSplat; i++) bytes[offset++] = splat.sh[i];
+    return buffer;
+};
+
+const assertClose = (actual, expected, tolerance, message) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not close to ${expected}`);
+};
+
+test('decodeHeader() reads the header and rejects files that are not .spz', () => {
+    const buffer = createSpzBuffer(2, []);
+    assert.deepEqual(SpzParser.decodeHeader(buffer), {
+        'version': 2, 'splatCount': 0, 'sphericalHarmonicsDegree': 0, 'fractionalBits': FRACTIONAL_BITS, 'flags': 0
+    });
+
+    assert.throws(() => SpzParser.decodeHeader(new ArrayBuffer(8)), /too small/);
+    const badMagic = createSpzBuffer(2, []);
+    new DataView(badMagic).setUint32(0, 0x12345678, true);
+    assert.throws(() => SpzParser.decodeHeader(badMagic), /invalid magic number/);
+    const badVersion = createSpzBuffer(2, []);
+    new DataView(badVersion).setUint32(4, SpzParser.MaxVersion + 1, true);
+    assert.throws(() => SpzParser.decodeHeader(badVersion), /Unsupported .spz version/);
+});
+
+test('parseToUncompressedSplatArray() decodes version 2 splats into the viewer coordinate system', () => {
+    const buffer = createSpzBuffer(2, [{
+        'position': [1.5, -2, 0.25],
+        'alpha': 200,
+        'color': [128, 128, 128],
+        'scale': [160, 144, 176],
+        'rotation': [128, 128, 128]
+    }]);
+    const splatArray = SpzParser.parseToUncompressedSplatArray(buffer);
+    assert.equal(splatArray.splatCount, 1);
+    const splat = splatArray.splats[0];
+
+    // Right-up-back to right-down-front flips y and z
+    assert.equal(splat[OFFSET.X], 1.5);
+    assert.equal(splat[OFFSET.Y], 2);
+    assert.equal(splat[OFFSET.Z], -0.25);
+    assert.equal(splat[OFFSET.OPACITY], 200);
+    for (let c = 0; c < 3; c++) assertClose(splat[OFFSET.FDC0 + c], 127, 1, `color ${c}`);
+    assertClose(splat[OFFSET.SCALE0], 1, 1e-6, 'scale x');
+    assertClose(splat[OFFSET.SCALE1], Math.exp(-1), 1e-6, 'scale y');
+    assertClose(splat[OFFSET.SCALE2], Math.exp(1), 1e-6, 'scale z');
+    // x, y and z of 128 are close to 0, so the rotation is close to the identity
+    assertClose(splat[OFFSET.ROTATION0], 1, 1e-3, 'rotation w');
+});
+
+test('parseToUncompressedSplatArray() decodes version 3 smallest-three rotations', () => {
+    // Largest component x (index 0), z = 0.6 stored as magnitude 434 of 511 in units of 1 / sqrt(2), y = w = 0
+    const magnitude = Math.round(0.6 / Math.SQRT1_2 * 511);
+    const packedRotation = (0 << 30) | (magnitude << 10);
+    const buffer = createSpzBuffer(3, [{
+        'position': [0, 0, 0], 'alpha': 255, 'color': [0, 0, 0], 'scale': [160, 160, 160], 'rotation': packedRotation
+    }]);
+    const splat = SpzParser.parseToUncompressedSplatArray(buffer).splats[0];
+    assertClose(splat[OFFSET.ROTATION0], 0, 1e-6, 'rotation w');
+    assertClose(splat[OFFSET.ROTATION1], 0.8, 2e-3, 'rotation x');
+    assertClose(splat[OFFSET.ROTATION2], 0, 1e-6, 'rotation y');
+    assertClose(splat[OFFSET.ROTATION3], -0.6, 2e-3, 'rotation z');
+});
+
+test('parseToUncompressedSplatArray() keeps spherical harmonics up to the requested degree', () => {
+    const sh = [];
+    for (let i = 0; i < 24; i++) sh.push(128 + i);
+    const buffer = createSpzBuffer(2, [{
+        'position': [0, 0, 0], 'alpha': 255, 'color': [0, 0, 0], 'scale': [160, 160, 160], 'rotation': [128, 128, 128], 'sh': sh
+    }], 2);
+    const degree1 = SpzParser.parseToUncompressedSplatArray(buffer, 1);
+    assert.equal(degree1.sphericalHarmonicsDegree, 1);
+    const splat = degree1.splats[0];
+    // Coefficient j of channel c is stored at j * 3 + c and kept at c * 3 + j, with y and z flipped (j = 0, 1 negate)
+    assertClose(splat[OFFSET.FRC0 + 0], -(sh[0] - 128) / 128, 1e-6, 'red, coefficient 0');
+    assertClose(splat[OFFSET.FRC0 + 3], -(sh[1] - 128) / 128, 1e-6, 'green, coefficient 0');
+    assertClose(splat[OFFSET.FRC0 + 2], (sh[6] - 128) / 128, 1e-6, 'red, coefficient 2');
+});
+
+test('parseToUncompressedSplatArray() rejects truncated and gzipped data', () => {
+    const buffer = createSpzBuffer(2, [{
+        'position': [0, 0, 0], 'alpha': 255, 'color': [0, 0, 0], 'scale': [160, 160, 160], 'rotation': [128, 128, 128]
+    }]);
+    assert.throws(() => SpzParser.parseToUncompressedSplatArray(buffer.slice(0, buffer.byteLength - 1)), /truncated/);
+    const gzipped = new Uint8Array([0x1f, 0x8b, 0x08, 0x00]).buffer;
+    assert.throws(() => SpzParser.parseToUncompressedSplatArray(gzipped), /gzipped/);
+});
+
+test('decompress() undoes gzip compression and passes other data through', async () => {
+    const buffer = createSpzBuffer(2, []);
+    const stream = new Blob([buffer]).stream().pipeThrough(new CompressionStream('gzip'));
+    const gzipped = await new Response(stream).arrayBuffer();
+    assert.ok(SpzParser.isGzipped(gzipped));
+    assert.deepEqual(new Uint8Array(await SpzParser.decompress(gzipped)), new Uint8Array(buffer));
+    assert.equal(await SpzParser.decompress(buffer), buffer);
+});
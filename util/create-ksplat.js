@@ -4,7 +4,7 @@ import * as fs from 'fs';
 
 if (process.argv.length < 4) {
     console.log('Expected at least 2 arguments!');
-    console.log('Usage: node create-ksplat.js [path to .PLY or .SPLAT] [output file name] [compression level = 0] [alpha removal threshold = 1] [scene center = "0,0,0"] [block size = 5.0] [bucket size = 256] [spherical harmonics level = 0]');
+    console.log('Usage: node create-ksplat.js [path to .PLY, .SPLAT or .SPZ] [output file name] [compression level = 0] [alpha removal threshold = 1] [scene center = "0,0,0"] [block size = 5.0] [bucket size = 256] [spherical harmonics level = 0]');
     process.exit(1);
 }
 
@@ -20,8 +20,15 @@ const sectionSize = 0;
 
 const fileData = fs.readFileSync(intputFile);
 const path = intputFile.toLowerCase().trim();
-const format = GaussianSplats3D.LoaderUtils.sceneFormatFromPath(path);
-const splatBuffer = fileBufferToSplatBuffer(fileData.buffer, format, compressionLevel, splatAlphaRemovalThreshold);
+let format = GaussianSplats3D.LoaderUtils.sceneFormatFromPath(path);
+if (format === null) format = GaussianSplats3D.LoaderUtils.sceneFormatFromBuffer(fileData.buffer);
+if (format === null) {
+    console.log(`Could not determine the format of ${intputFile}`);
+    process.exit(1);
+}
+const splatBuffer = format === GaussianSplats3D.SceneFormat.Spz ?
+                    await spzFileBufferToSplatBuffer(fileData.buffer, compressionLevel, splatAlphaRemovalThreshold) :
+                    fileBufferToSplatBuffer(fileData.buffer, format, compressionLevel, splatAlphaRemovalThreshold);
 
 fs.writeFileSync(outputFile, Buffer.from(splatBuffer.bufferData));
 
@@ -44,3 +51,12 @@ function fileBufferToSplatBuffer(fileBufferData, format, compressionLevel, alpha
 
     return splatBuffer;
 }
+
+async function spzFileBufferToSplatBuffer(fileBufferData, compressionLevel, alphaRemovalThreshold) {
+    const spzBuffer = await GaussianSplats3D.SpzParser.decompress(fileBufferData);
+    const splatArray = GaussianSplats3D.SpzParser.parseToUncompressedSplatArray(spzBuffer, outSphericalHarmonicsDegree);
+    const splatBufferGenerator = GaussianSplats3D.SplatBufferGenerator.getStandardGenerator(alphaRemovalThreshold, compressionLevel,
+                                                                                            sectionSize, sceneCenter, blockSize,
+                                                                                            bucketSize);
+    return splatBufferGenerator.generateFromUncompressedSplatArray(splatArray);
+}
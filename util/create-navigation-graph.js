@@ -0,0 +1,44 @@
+import * as GaussianSplats3D from '../build/gaussian-splats-3d.module.js';
+import * as fs from 'fs';
+
+if (process.argv.length < 4) {
+    console.log('Expected at least 2 arguments!');
+    console.log('Usage: node create-navigation-graph.js [path to COLMAP images.txt or transforms.json] [output file name] [path to .PLY, .SPLAT or .KSPLAT for line of sight checks = none] [cluster radius = 0.75] [max edge length = 2.0] [clearance = 0.1]');
+    process.exit(1);
+}
+
+const posesFile = process.argv[2];
+const outputFile = process.argv[3];
+const splatFile = (process.argv.length >= 5 && process.argv[4] !== 'none') ? process.argv[4] : undefined;
+const clusterRadius = (process.argv.length >= 6) ? parseFloat(process.argv[5]) : undefined;
+const maxEdgeLength = (process.argv.length >= 7) ? parseFloat(process.argv[6]) : undefined;
+const clearance = (process.argv.length >= 8) ? parseFloat(process.argv[7]) : undefined;
+
+const generator = new GaussianSplats3D.NavigationGraphGenerator({
+    'clusterRadius': clusterRadius,
+    'maxEdgeLength': maxEdgeLength,
+    'clearance': clearance
+});
+const positions = GaussianSplats3D.NavigationGraphGenerator.parseCameraPositions(fs.readFileSync(posesFile, 'utf8'));
+const lineOfSightTest = splatFile ? generator.createSplatBufferLineOfSightTest(fileToSplatBuffer(splatFile)) : undefined;
+const navigationDocument = generator.generate(positions, lineOfSightTest);
+
+fs.writeFileSync(outputFile, JSON.stringify(navigationDocument, null, 2));
+console.log(`${positions.length} cameras -> ${navigationDocument.nodes.length} nodes, ${navigationDocument.edges.length} edges`);
+
+function fileToSplatBuffer(filePath) {
+    const fileData = fs.readFileSync(filePath);
+    const fileBufferData = fileData.buffer.slice(fileData.byteOffset, fileData.byteOffset + fileData.byteLength);
+    const format = GaussianSplats3D.LoaderUtils.sceneFormatFromPath(filePath.toLowerCase().trim());
+    if (format === GaussianSplats3D.SceneFormat.Ply || format === GaussianSplats3D.SceneFormat.Splat) {
+        let splatArray;
+        if (format === GaussianSplats3D.SceneFormat.Ply) {
+            splatArray = GaussianSplats3D.PlyParser.parseToUncompressedSplatArray(fileBufferData, 0);
+        } else {
+            splatArray = GaussianSplats3D.SplatParser.parseStandardSplatToUncompressedSplatArray(fileBufferData);
+        }
+        const splatBufferGenerator = GaussianSplats3D.SplatBufferGenerator.getStandardGenerator(1, 0);
+        return splatBufferGenerator.generateFromUncompressedSplatArray(splatArray);
+    }
+    return new GaussianSplats3D.SplatBuffer(fileBufferData);
+}